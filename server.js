@@ -6,7 +6,16 @@ const morgan = require('morgan');
 const winston = require('winston');
 const cron = require('node-cron');
 const { v4: uuidv4 } = require('uuid');
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_dummy');
+const crypto = require('crypto');
+const moment = require('moment');
+// STRIPE_API_HOST/PORT/PROTOCOL point the client at a local stripe-mock in tests
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY || 'sk_test_dummy', {
+  ...(process.env.STRIPE_API_HOST && {
+    host: process.env.STRIPE_API_HOST,
+    port: process.env.STRIPE_API_PORT || 12111,
+    protocol: process.env.STRIPE_API_PROTOCOL || 'http'
+  })
+});
 const jwt = require('jsonwebtoken');
 const rateLimit = require('express-rate-limit');
 const Redis = require('ioredis');
@@ -26,7 +35,8 @@ let db;
 
 // Logger configuration
 const logger = winston.createLogger({
-  level: 'info',
+  level: process.env.LOG_LEVEL || 'info',
+  silent: process.env.NODE_ENV === 'test',
   format: winston.format.combine(
     winston.format.timestamp(),
     winston.format.errors({ stack: true }),
@@ -40,23 +50,286 @@ const logger = winston.createLogger({
   ]
 });
 
+// Railway terminates connections at its proxy, so there the client address has to come from
+// X-Forwarded-For. TRUST_PROXY is the number of proxy hops in front of the app or a list of
+// trusted proxy addresses. It is off unless set: with no proxy in front, clients could forge
+// the header and slip past the per-IP limits.
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+
 // Middleware
 app.use(helmet());
 app.use(compression());
-app.use(morgan('combined'));
+if (process.env.NODE_ENV !== 'test') app.use(morgan('combined'));
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw payload around for webhook signature verification
+  verify: (req, res, buf) => { req.rawBody = buf; }
+}));
 app.use(express.urlencoded({ extended: true }));
 
+// Persistence layer - managers keep their Maps as a write-through cache and
+// mirror every change into a MongoDB collection. Any object exposing the
+// driver's collection() API can be attached, so tests can pass an in-memory db.
+class MongoRepository {
+  constructor(collectionName) {
+    this.collectionName = collectionName;
+    this.collection = null;
+  }
+
+  attach(database) {
+    this.collection = database ? database.collection(this.collectionName) : null;
+  }
+
+  async findAll(query = {}, sort = null, limit = 0) {
+    if (!this.collection) return [];
+    let cursor = this.collection.find(query, { projection: { _id: 0 } });
+    if (sort) cursor = cursor.sort(sort);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.toArray();
+  }
+
+  isAttached() {
+    return Boolean(this.collection);
+  }
+
+  async findById(id) {
+    if (!this.collection) return null;
+    return this.collection.findOne({ id }, { projection: { _id: 0 } });
+  }
+
+  async save(document) {
+    if (!this.collection) return document;
+    await this.collection.replaceOne({ id: document.id }, document, { upsert: true });
+    return document;
+  }
+
+  // Sets `changes` only if the stored document still matches `expected`; false when it did not
+  async compareAndSet(id, expected, changes) {
+    if (!this.collection) return true;
+    const result = await this.collection.updateOne({ ...expected, id }, { $set: changes });
+    return result.matchedCount === 1;
+  }
+
+  // For append-only collections: fails rather than overwriting an existing id
+  async insert(document) {
+    if (!this.collection) return document;
+    await this.collection.insertOne({ ...document });
+    return document;
+  }
+
+  async remove(id) {
+    if (!this.collection) return;
+    await this.collection.deleteOne({ id });
+  }
+}
+
+// Exchange rates - providers quote rates per unit of their base currency. The fixture is
+// used in development and tests; set FX_RATES_URL to fetch live rates instead.
+const fixtureExchangeRates = {
+  base: 'USD',
+  rates: { USD: 1, EUR: 0.92, GBP: 0.79, CAD: 1.36, AUD: 1.52, JPY: 149.5, BRL: 5.05 }
+};
+
+class FixtureRateProvider {
+  constructor(fixture = fixtureExchangeRates) {
+    this.fixture = fixture;
+  }
+
+  async fetchRates() {
+    return { base: this.fixture.base, rates: { ...this.fixture.rates }, asOf: new Date() };
+  }
+}
+
+// Expects an Open Exchange Rates style body: { base, rates, timestamp }
+class HttpRateProvider {
+  constructor(url) {
+    this.url = url;
+  }
+
+  async fetchRates() {
+    const response = await fetch(this.url);
+    if (!response.ok) throw new Error(`Exchange rate request failed with status ${response.status}`);
+
+    const { base, rates, timestamp } = await response.json();
+    return { base, rates, asOf: timestamp ? new Date(timestamp * 1000) : new Date() };
+  }
+}
+
+const createRateProvider = () => (process.env.FX_RATES_URL ?
+  new HttpRateProvider(process.env.FX_RATES_URL) : new FixtureRateProvider());
+
+// Keeps every rate snapshot so amounts can be converted at the rate in force when they were booked
+class CurrencyConverter {
+  constructor(provider) {
+    this.provider = provider;
+    this.reportingCurrency = process.env.REPORTING_CURRENCY || 'USD';
+    this.supportedCurrencies = Object.keys(fixtureExchangeRates.rates);
+    this.minorUnits = { JPY: 0 };
+    this.snapshots = [];
+    this.rateRepository = new MongoRepository('fx_rates');
+  }
+
+  attachDatabase(database) {
+    this.rateRepository.attach(database);
+  }
+
+  async loadState() {
+    this.snapshots = await this.rateRepository.findAll({}, { asOf: 1 });
+  }
+
+  async refreshRates() {
+    const { base, rates, asOf } = await this.provider.fetchRates();
+    if (!rates || !rates[base]) throw new Error('Exchange rate provider returned no usable rates');
+
+    // Rates identical to the ones already in force at `asOf` add nothing to the history
+    const index = this.snapshotsUpTo(asOf);
+    const previous = this.snapshots[index - 1];
+    if (previous && previous.base === base && this.sameRates(previous.rates, rates)) return previous;
+
+    const snapshot = { id: uuidv4(), base, rates, asOf };
+    this.snapshots.splice(index, 0, snapshot);
+    await this.rateRepository.insert(snapshot);
+    return snapshot;
+  }
+
+  sameRates(a, b) {
+    const currencies = Object.keys(a);
+    return currencies.length === Object.keys(b).length && currencies.every(currency => a[currency] === b[currency]);
+  }
+
+  // Snapshots are kept sorted by `asOf`; binary search for how many were taken at or before `at`
+  snapshotsUpTo(at) {
+    const time = new Date(at).getTime();
+    let low = 0;
+    let high = this.snapshots.length;
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+      if (new Date(this.snapshots[middle].asOf).getTime() <= time) low = middle + 1;
+      else high = middle;
+    }
+    return low;
+  }
+
+  // Latest snapshot at or before `at`; amounts older than every snapshot use the oldest one
+  getSnapshot(at = new Date()) {
+    if (this.snapshots.length === 0) throw new Error('No exchange rates loaded');
+
+    return this.snapshots[Math.max(this.snapshotsUpTo(at) - 1, 0)];
+  }
+
+  getRate(from, to, at = new Date()) {
+    if (from === to) return 1;
+
+    const { rates } = this.getSnapshot(at);
+    if (!rates[from] || !rates[to]) throw new Error(`No exchange rate for ${from}/${to}`);
+    return rates[to] / rates[from];
+  }
+
+  round(amount, currency) {
+    const factor = 10 ** (this.minorUnits[currency] ?? 2);
+    return Math.round(amount * factor) / factor;
+  }
+
+  // Providers such as Stripe take amounts in the currency's smallest unit (cents, or whole yen)
+  toMinorUnits(amount, currency) {
+    return Math.round(amount * 10 ** (this.minorUnits[currency] ?? 2));
+  }
+
+  fromMinorUnits(amount, currency) {
+    return amount / 10 ** (this.minorUnits[currency] ?? 2);
+  }
+
+  // Decimal string with the currency's number of minor digits, as PayPal and Coinbase expect
+  formatAmount(amount, currency) {
+    return amount.toFixed(this.minorUnits[currency] ?? 2);
+  }
+
+  convert(amount, from, to, at = new Date()) {
+    return this.round(amount * this.getRate(from, to, at), to);
+  }
+
+  toReporting(amount, currency, at = new Date()) {
+    const fxRate = this.getRate(currency, this.reportingCurrency, at);
+    return {
+      reportingAmount: this.round(amount * fxRate, this.reportingCurrency),
+      reportingCurrency: this.reportingCurrency,
+      fxRate
+    };
+  }
+}
+
+// Tax engine - rates by billing country, with US sales tax by state. VAT and GST regions price
+// tax-inclusive (the shown price is what the buyer pays); sales tax is added on top.
+class TaxEngine {
+  constructor(fx) {
+    this.fx = fx;
+    this.jurisdictions = {
+      GB: { type: 'VAT', rate: 0.2, inclusive: true },
+      DE: { type: 'VAT', rate: 0.19, inclusive: true },
+      FR: { type: 'VAT', rate: 0.2, inclusive: true },
+      IE: { type: 'VAT', rate: 0.23, inclusive: true },
+      NL: { type: 'VAT', rate: 0.21, inclusive: true },
+      ES: { type: 'VAT', rate: 0.21, inclusive: true },
+      AU: { type: 'GST', rate: 0.1, inclusive: true },
+      NZ: { type: 'GST', rate: 0.15, inclusive: true },
+      CA: { type: 'GST', rate: 0.05, inclusive: false },
+      // States without an entry (OR, DE, MT, NH, ...) levy no sales tax
+      US: { type: 'sales_tax', inclusive: false, regions: { CA: 0.0725, FL: 0.06, IL: 0.0625, NY: 0.04, TX: 0.0625, WA: 0.065 } }
+    };
+  }
+
+  getRate(jurisdiction, region) {
+    if (!jurisdiction) return 0;
+    return jurisdiction.regions ? jurisdiction.regions[region] ?? 0 : jurisdiction.rate;
+  }
+
+  // Splits a listed price into net and tax for the buyer's billing address. Unknown
+  // countries (or no address) are untaxed.
+  calculate(amount, currency, address) {
+    const { country, region } = address || {};
+    const jurisdiction = this.jurisdictions[country];
+    const rate = this.getRate(jurisdiction, region);
+    const inclusive = Boolean(jurisdiction?.inclusive);
+
+    const net = inclusive ? this.fx.round(amount / (1 + rate), currency) : amount;
+    const taxAmount = inclusive ? this.fx.round(amount - net, currency) : this.fx.round(amount * rate, currency);
+    const lines = taxAmount > 0 ? [{
+      type: jurisdiction.type,
+      jurisdiction: jurisdiction.regions ? `${country}-${region}` : country,
+      rate,
+      amount: taxAmount
+    }] : [];
+
+    return {
+      net,
+      gross: this.fx.round(net + taxAmount, currency),
+      tax: { country: country || null, region: region || null, inclusive, amount: taxAmount, lines }
+    };
+  }
+}
+
 // Commercial Platform Core Systems - Enhanced with SMUGGLER'S UNIVERSE Smuggling
 class CommercialPlatform {
   constructor() {
-    this.marketplace = new MarketplaceManager();
-    this.payments = new PaymentProcessor();
-    this.subscriptions = new SubscriptionManager();
-    this.analytics = new CommercialAnalytics();
-    this.userAcquisition = new UserAcquisitionManager();
-    this.revenue = new RevenueManager();
+    this.fx = new CurrencyConverter(createRateProvider());
+    this.tax = new TaxEngine(this.fx);
+    this.marketplace = new MarketplaceManager(this.fx, this.tax);
+    this.giftCards = new GiftCardManager(this.fx);
+    this.payments = new PaymentProcessor(this.fx, this.giftCards);
+    this.subscriptions = new SubscriptionManager(this.payments, this.fx, this.tax);
+    this.analytics = new CommercialAnalytics(this.marketplace, this.subscriptions, this.fx);
+    this.userAcquisition = new UserAcquisitionManager(this.fx, this.analytics);
+    this.trackingGuard = new TrackingGuard(redis, process.env.PUBLIC_BASE_URL || `http://localhost:${PORT}`);
+    this.revenue = new RevenueManager(this.fx);
+    this.payouts = new SellerPayoutManager(this.fx);
+    this.promotions = new PromotionManager(this.marketplace, this.fx);
+    this.invoices = new InvoiceManager();
+    this.referrals = new ReferralManager(this.marketplace, this.subscriptions, this.giftCards);
+    this.payments.onStatusChange(payment => this.syncPurchaseWithPayment(payment));
+    this.payments.onStatusChange(payment => this.syncSubscriptionWithPayment(payment));
+    this.marketplace.onStatusChange(transaction => this.promotions.onPurchaseStatusChange(transaction));
 
     // SMUGGLER'S UNIVERSE Smuggling Integration - Sprint 5
     this.smuggling = new SmugglingManager();
@@ -67,7 +340,9 @@ class CommercialPlatform {
     this.loreIntegration = null; // Will connect to lore database
   }
 
-  async initialize() {
+  async initialize(database) {
+    await this.initializePersistence(database);
+    this.refreshEngagementMetrics();
     await this.initializeLoreIntegration();
     await this.smuggling.initialize();
     await this.cargoSystem.initialize();
@@ -78,6 +353,216 @@ class CommercialPlatform {
     logger.info('Commercial Platform initialized with SMUGGLER\'S UNIVERSE smuggling mechanics');
   }
 
+  async initializePersistence(database) {
+    const managers = [
+      this.fx, this.giftCards, this.marketplace, this.payments, this.subscriptions, this.userAcquisition,
+      this.revenue, this.payouts, this.promotions, this.invoices, this.referrals
+    ];
+
+    for (const manager of managers) {
+      manager.attachDatabase(database);
+      await manager.loadState();
+    }
+
+    await this.refreshExchangeRates();
+
+    if (!database) {
+      logger.warn('No database attached - commercial state will not survive restarts');
+    }
+  }
+
+  // Keeps serving the last stored rates if the provider is unreachable
+  async refreshExchangeRates() {
+    try {
+      await this.fx.refreshRates();
+    } catch (error) {
+      logger.error('Exchange rate refresh failed:', error.message);
+    }
+  }
+
+  // Purchase saga: reserve, charge, then commit or roll back so a marketplace
+  // sale only counts once its payment has actually gone through
+  async purchaseListing(listingId, buyerId, paymentMethod, paymentData = {},
+    { couponCode = null, currency = 'USD', billingAddress = null } = {}) {
+    const listing = this.marketplace.listings.get(listingId);
+    const pricing = listing ? this.promotions.quote(listing, buyerId, couponCode, currency) : null;
+    if (pricing && !(await this.promotions.claimRedemption(pricing.promotion))) {
+      const kind = pricing.promotion.kind === 'coupon' ? 'Coupon' : 'Promotion';
+      throw new PromotionError(`${kind} redemption limit reached`);
+    }
+
+    let transaction;
+    try {
+      transaction = await this.marketplace.reservePurchase(listingId, buyerId, paymentMethod, {
+        ...pricing,
+        currency,
+        billingAddress
+      });
+    } catch (error) {
+      if (pricing) await this.promotions.releaseRedemption(pricing.promotion);
+      throw error;
+    }
+
+    let payment;
+    try {
+      payment = await this.payments.processPayment(transaction.totalAmount, transaction.currency, paymentMethod, {
+        ...paymentData,
+        userId: buyerId,
+        marketplaceTransactionId: transaction.id,
+        tax: transaction.tax
+      });
+    } catch (error) {
+      await this.marketplace.transitionPurchase(transaction.id, 'failed', { failureReason: error.message });
+      throw error;
+    }
+
+    await this.syncPurchaseWithPayment(payment);
+    return { transaction, payment };
+  }
+
+  // Invoicing problems are logged rather than thrown so they cannot undo a paid purchase
+  async issuePurchaseInvoice(transaction) {
+    try {
+      return await this.invoices.issueForPurchase(transaction, this.marketplace.listings.get(transaction.listingId));
+    } catch (error) {
+      logger.error(`Invoicing marketplace transaction ${transaction.id} failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Referral rewards are a side effect of a sale, so their failures are logged rather than thrown.
+  // Any paid purchase is also the moment to hand over rewards that were waiting on the buyer.
+  async recordReferralPurchase(userId, purchase) {
+    try {
+      const referral = await this.referrals.recordPurchase(userId, purchase);
+      await this.referrals.applyPendingRewards(userId);
+      return referral;
+    } catch (error) {
+      logger.error(`Recording referral purchase ${purchase.id} failed:`, error.message);
+      return null;
+    }
+  }
+
+  async reverseReferralPurchase(userId, purchase, reason) {
+    try {
+      return await this.referrals.reversePurchase(userId, purchase, reason);
+    } catch (error) {
+      logger.error(`Reversing referral purchase ${purchase.id} failed:`, error.message);
+      return null;
+    }
+  }
+
+  // Books a paid subscription invoice: net revenue plus the customer's tax invoice
+  async settleSubscriptionInvoice(invoice) {
+    if (invoice.amount <= 0) return null;
+
+    const subscription = this.subscriptions.subscriptions.get(invoice.subscriptionId);
+    await this.revenue.updateRevenue('subscriptions', invoice.subtotal ?? invoice.amount, {
+      currency: invoice.currency,
+      sourceTransactionId: invoice.paymentIds[invoice.paymentIds.length - 1],
+      timestamp: invoice.paidAt
+    });
+    await this.recordReferralPurchase(subscription.userId, {
+      source: 'subscription',
+      id: invoice.id,
+      amount: invoice.subtotal ?? invoice.amount,
+      currency: invoice.currency
+    });
+    return this.invoices.issueForSubscription(invoice, subscription);
+  }
+
+  // The reservation expired before the payment landed, so its stock may already be sold again
+  async refundLatePayment(payment) {
+    try {
+      await this.payments.refundTransaction(payment.id, 'Reservation expired before payment completed');
+    } catch (error) {
+      logger.error(`Payment ${payment.id} completed after its reservation expired and needs a manual refund:`,
+        error.message);
+    }
+  }
+
+  // Mirrors a payment's status onto the marketplace transaction it pays for
+  async syncPurchaseWithPayment(payment) {
+    const transactionId = payment.marketplaceTransactionId;
+    if (!transactionId) return;
+
+    switch (payment.status) {
+      case 'processing':
+        await this.marketplace.transitionPurchase(transactionId, 'processing', { paymentId: payment.id });
+        break;
+
+      case 'completed':
+        try {
+          const committed = await this.marketplace.transitionPurchase(transactionId, 'completed', {
+            paymentId: payment.id,
+            completedAt: new Date()
+          });
+          if (committed) {
+            await this.revenue.updateRevenue('marketplace', committed.amount, {
+              currency: committed.currency,
+              fxRate: committed.fxRate,
+              sourceTransactionId: payment.id
+            });
+            await this.payouts.accrueSale(committed);
+            await this.issuePurchaseInvoice(committed);
+            await this.recordReferralPurchase(committed.buyerId, {
+              source: 'marketplace',
+              id: committed.id,
+              amount: committed.amount,
+              currency: committed.currency
+            });
+          } else if (this.marketplace.transactions.find(t => t.id === transactionId)?.status === 'failed') {
+            await this.refundLatePayment(payment);
+          }
+        } catch (error) {
+          // Compensate: the buyer was charged but the sale could not be recorded
+          logger.error(`Committing marketplace transaction ${transactionId} failed, refunding:`, error.message);
+          await this.payments.refundTransaction(payment.id, 'Marketplace purchase could not be completed');
+          await this.marketplace.transitionPurchase(transactionId, 'failed', { failureReason: error.message });
+        }
+        break;
+
+      case 'failed':
+        await this.marketplace.transitionPurchase(transactionId, 'failed', {
+          paymentId: payment.id,
+          failureReason: payment.failureReason || 'Payment failed'
+        });
+        break;
+
+      case 'refunded':
+      case 'charged_back': {
+        const reversed = await this.marketplace.transitionPurchase(transactionId, payment.status, {
+          reversedAt: new Date()
+        });
+        if (reversed) {
+          await this.revenue.updateRevenue('marketplace', -reversed.amount, {
+            currency: reversed.currency,
+            fxRate: reversed.fxRate,
+            sourceTransactionId: payment.refund?.id || payment.dispute?.id || payment.id
+          });
+          await this.payouts.clawback(reversed, payment.status === 'refunded' ? 'refund' : 'chargeback');
+          await this.reverseReferralPurchase(reversed.buyerId, { source: 'marketplace', id: reversed.id },
+            payment.status);
+        }
+        break;
+      }
+    }
+  }
+
+  // Subscription payments settle through the billing cycle; only their reversals are mirrored here
+  async syncSubscriptionWithPayment(payment) {
+    if (!payment.invoiceId || !['refunded', 'charged_back'].includes(payment.status)) return;
+
+    await this.revenue.reverseRevenue(payment.id, payment.refund?.id || payment.dispute?.id || payment.id);
+    await this.reverseReferralPurchase(payment.userId, { source: 'subscription', id: payment.invoiceId },
+      payment.status);
+  }
+
+  refreshEngagementMetrics() {
+    this.analytics.updateMetric('engagement', 'churn', { monthly: this.subscriptions.calculateChurnRate() });
+    this.analytics.updateMetric('engagement', 'retention', this.subscriptions.getCohortRetention());
+  }
+
   async initializeLoreIntegration() {
     try {
       // Connect to lore database for authentic cargo types and jobs
@@ -99,9 +584,47 @@ class CommercialPlatform {
 }
 
 class MarketplaceManager {
-  constructor() {
+  constructor(fx, tax) {
+    this.fx = fx;
+    this.tax = tax;
     this.listings = new Map();
     this.transactions = [];
+    this.listingRepository = new MongoRepository('marketplace');
+    this.transactionRepository = new MongoRepository('marketplace_transactions');
+    this.priceChanges = [];
+    this.priceChangeRepository = new MongoRepository('listing_price_changes');
+    // Daily view counters per listing, keyed `${listingId}:${YYYY-MM-DD}`
+    this.viewStats = new Map();
+    this.viewStatRepository = new MongoRepository('listing_views');
+    this.funnelIntervals = ['day', 'week', 'month'];
+    // Unpaid reservations (an unapproved PayPal order, an unpaid crypto charge) hand their
+    // stock back after this long; Coinbase charges themselves expire after an hour
+    this.reservationTtlMinutes = 60;
+    this.maxFunnelBuckets = 1000;
+    // Only active listings can be bought; sold_out is set and cleared from stock levels
+    this.listingTransitions = {
+      draft: ['active', 'sold_out', 'archived'],
+      active: ['paused', 'sold_out', 'archived'],
+      paused: ['active', 'sold_out', 'archived'],
+      sold_out: ['active', 'paused', 'archived'],
+      archived: []
+    };
+    // Purchases start reserved and only count as sales once their payment completes
+    this.purchaseTransitions = {
+      pending: ['processing', 'completed', 'failed'],
+      processing: ['completed', 'failed'],
+      completed: ['refunded', 'charged_back'],
+      failed: [],
+      refunded: [],
+      charged_back: []
+    };
+    this.statusListeners = [];
+    this.sortOptions = {
+      newest: { field: 'createdAt', direction: -1 },
+      price_asc: { field: 'price', direction: 1 },
+      price_desc: { field: 'price', direction: -1 },
+      popularity: { field: 'purchases', direction: -1 }
+    };
     this.categories = {
       cosmetics: { basePrice: 4.99, royalty: 0.3 },
       equipment: { basePrice: 9.99, royalty: 0.25 },
@@ -111,333 +634,3479 @@ class MarketplaceManager {
     };
   }
 
-  createListing(listingData) {
+  attachDatabase(database) {
+    this.listingRepository.attach(database);
+    this.transactionRepository.attach(database);
+    this.priceChangeRepository.attach(database);
+    this.viewStatRepository.attach(database);
+  }
+
+  async loadState() {
+    const listings = await this.listingRepository.findAll();
+    listings.forEach(listing => this.listings.set(listing.id, listing));
+    this.transactions = await this.transactionRepository.findAll({}, { timestamp: 1 });
+    this.priceChanges = await this.priceChangeRepository.findAll({}, { changedAt: 1 });
+    const viewStats = await this.viewStatRepository.findAll();
+    viewStats.forEach(stat => this.viewStats.set(stat.id, stat));
+  }
+
+  // price is in USD and `prices` holds optional per-currency overrides. stock is the number of
+  // units left (null for unlimited); a limited edition fixes it at editionSize and numbers each sale
+  async createListing(listingData) {
+    const editionSize = listingData.editionSize ?? null;
     const listing = {
-      id: uuidv4(),
       ...listingData,
-      status: 'active',
+      id: uuidv4(),
+      prices: listingData.prices || {},
+      status: listingData.status === 'draft' ? 'draft' : 'active',
+      stock: editionSize ?? listingData.stock ?? null,
+      editionSize,
+      editionsSold: 0,
       createdAt: new Date(),
       views: 0,
       purchases: 0,
       revenue: 0
     };
+    listing.status = this.availableStatus(listing, listing.status);
     this.listings.set(listing.id, listing);
+    await this.listingRepository.save(listing);
     return listing;
   }
 
-  purchaseListing(listingId, buyerId, paymentMethod) {
+  async updateListing(listingId, changes, changedBy) {
     const listing = this.listings.get(listingId);
     if (!listing) throw new Error('Listing not found');
+    if (listing.status === 'archived') throw new Error('Archived listings cannot be changed');
+    if (changes.stock !== undefined && listing.editionSize) {
+      throw new Error('Stock of a limited edition cannot be changed');
+    }
 
-    const transaction = {
-      id: uuidv4(),
-      listingId,
-      buyerId,
-      sellerId: listing.sellerId,
-      amount: listing.price,
-      currency: 'USD',
-      paymentMethod,
-      status: 'completed',
-      timestamp: new Date(),
-      royalty: listing.price * this.categories[listing.category].royalty
-    };
+    // Checked before anything changes, so a rejected update leaves the listing and its price
+    // history untouched
+    const stock = changes.stock !== undefined ? changes.stock : listing.stock;
+    const status = this.availableStatus({ ...listing, stock }, changes.status ?? listing.status);
+    this.assertListingTransition(listing, status);
 
-    this.transactions.push(transaction);
-    listing.purchases++;
-    listing.revenue += transaction.amount;
+    listing.stock = stock;
 
-    return transaction;
+    if (changes.price !== undefined && changes.price !== listing.price) {
+      await this.recordPriceChange(listing, changes.price, changedBy);
+      listing.price = changes.price;
+    }
+
+    for (const [currency, price] of Object.entries(changes.prices || {})) {
+      if (price === undefined || price === listing.prices?.[currency]) continue;
+      await this.recordPriceChange(listing, price, changedBy, currency);
+      listing.prices = { ...listing.prices, [currency]: price };
+    }
+
+    ['name', 'description'].forEach(field => {
+      if (changes[field] !== undefined) listing[field] = changes[field];
+    });
+
+    listing.status = status;
+    listing.updatedAt = new Date();
+    await this.listingRepository.save(listing);
+    return listing;
   }
 
-  getMarketAnalytics() {
-    const categoryStats = {};
-    const totalRevenue = this.transactions.reduce((sum, t) => sum + t.amount, 0);
-    const totalTransactions = this.transactions.length;
+  // Listings are archived rather than removed so past transactions keep their reference
+  async archiveListing(listingId) {
+    const listing = this.listings.get(listingId);
+    if (!listing) throw new Error('Listing not found');
 
-    Object.keys(this.categories).forEach(category => {
-      const categoryListings = Array.from(this.listings.values()).filter(l => l.category === category);
-      const categoryTransactions = this.transactions.filter(t => {
-        const listing = this.listings.get(t.listingId);
-        return listing && listing.category === category;
-      });
+    this.setListingStatus(listing, 'archived');
+    listing.archivedAt = new Date();
+    listing.updatedAt = listing.archivedAt;
+    await this.listingRepository.save(listing);
+    return listing;
+  }
 
-      categoryStats[category] = {
-        listings: categoryListings.length,
-        transactions: categoryTransactions.length,
-        revenue: categoryTransactions.reduce((sum, t) => sum + t.amount, 0),
-        averagePrice: categoryListings.length > 0 ?
-          categoryListings.reduce((sum, l) => sum + l.price, 0) / categoryListings.length : 0
-      };
-    });
+  assertListingTransition(listing, status) {
+    if (status !== listing.status && !this.listingTransitions[listing.status].includes(status)) {
+      throw new Error(`Cannot change listing from ${listing.status} to ${status}`);
+    }
+  }
 
-    return {
-      totalRevenue,
-      totalTransactions,
-      categoryStats,
-      topListings: Array.from(this.listings.values())
-        .sort((a, b) => b.purchases - a.purchases)
-        .slice(0, 10)
-    };
+  setListingStatus(listing, status) {
+    this.assertListingTransition(listing, status);
+    listing.status = status;
   }
-}
 
-class PaymentProcessor {
-  constructor() {
-    this.transactions = [];
-    this.supportedMethods = ['stripe', 'paypal', 'crypto', 'gift_card'];
+  // Maps active/sold_out onto whichever one the stock level calls for
+  availableStatus(listing, status) {
+    if (status === 'active' && listing.stock === 0) return 'sold_out';
+    if (status === 'sold_out' && listing.stock !== 0) return 'active';
+    return status;
   }
 
-  async processPayment(amount, currency, paymentMethod, paymentData) {
-    // Simulate payment processing
-    const transaction = {
+  async recordPriceChange(listing, price, changedBy, currency = 'USD') {
+    const change = {
       id: uuidv4(),
-      amount,
+      listingId: listing.id,
       currency,
-      method: paymentMethod,
-      status: 'processing',
-      timestamp: new Date(),
-      ...paymentData
+      previousPrice: currency === 'USD' ? listing.price : listing.prices?.[currency] ?? null,
+      price,
+      changedBy,
+      changedAt: new Date()
     };
+    this.priceChanges.push(change);
+    await this.priceChangeRepository.insert(change);
+    return change;
+  }
 
-    // Simulate processing delay
-    await new Promise(resolve => setTimeout(resolve, 1000));
+  getPriceHistory(listingId) {
+    return this.priceChanges.filter(change => change.listingId === listingId);
+  }
 
-    transaction.status = Math.random() > 0.05 ? 'completed' : 'failed';
-    this.transactions.push(transaction);
+  // Uses the listing's price table when it has an entry, else converts the USD price at today's rate
+  getPrice(listing, currency = 'USD') {
+    if (!this.fx.supportedCurrencies.includes(currency)) throw new Error(`Unsupported currency: ${currency}`);
+    if (listing.prices?.[currency] !== undefined) return listing.prices[currency];
+    return currency === 'USD' ? listing.price : this.fx.convert(listing.price, 'USD', currency);
+  }
 
-    return transaction;
+  // Transactions lock in their exchange rate at reservation; older ones predate multi-currency and are USD
+  toReporting(transaction, field = 'amount') {
+    return this.fx.round(transaction[field] * (transaction.fxRate ?? 1), this.fx.reportingCurrency);
   }
 
-  refundTransaction(transactionId, reason) {
-    const transaction = this.transactions.find(t => t.id === transactionId);
-    if (!transaction) throw new Error('Transaction not found');
+  // Cursor-paginated listing search. Runs against MongoDB when attached (the
+  // { category, status } index serves category filters), else over the in-memory cache.
+  async searchListings({ q, category, minPrice, maxPrice, sellerId, sort = 'newest', limit = 20, cursor } = {}) {
+    const order = this.sortOptions[sort];
+    if (!order) throw new Error(`Unsupported sort: ${sort}`);
 
-    const refund = {
-      id: uuidv4(),
-      originalTransactionId: transactionId,
-      amount: transaction.amount,
-      reason,
-      status: 'completed',
-      timestamp: new Date()
-    };
+    const after = cursor ? this.decodeCursor(cursor) : null;
+    const listings = this.listingRepository.isAttached() ?
+      await this.queryListings({ q, category, minPrice, maxPrice, sellerId }, order, after, limit + 1) :
+      this.filterListings({ q, category, minPrice, maxPrice, sellerId }, order, after).slice(0, limit + 1);
 
-    transaction.refund = refund;
-    return refund;
-  }
-}
+    const hasMore = listings.length > limit;
+    const page = listings.slice(0, limit);
+    const last = page[page.length - 1];
 
-class SubscriptionManager {
-  constructor() {
-    this.subscriptions = new Map();
-    this.plans = {
-      basic: { price: 4.99, features: ['basic_access', 'community'], period: 'monthly' },
-      premium: { price: 9.99, features: ['premium_access', 'early_access', 'customization'], period: 'monthly' },
-      vip: { price: 19.99, features: ['vip_access', 'exclusive_content', 'priority_support'], period: 'monthly' },
-      lifetime: { price: 99.99, features: ['lifetime_access', 'all_features', 'beta_access'], period: 'lifetime' }
+    return {
+      listings: page,
+      pagination: {
+        limit,
+        hasMore,
+        nextCursor: hasMore ? this.encodeCursor(last, order) : null
+      }
     };
   }
 
-  createSubscription(userId, planId, paymentMethod) {
-    const plan = this.plans[planId];
-    if (!plan) throw new Error('Invalid plan');
+  async queryListings({ q, category, minPrice, maxPrice, sellerId }, order, after, limit) {
+    const conditions = [{ status: 'active' }];
+    if (category) conditions.push({ category });
+    if (sellerId) conditions.push({ sellerId });
+    if (minPrice !== undefined) conditions.push({ price: { $gte: minPrice } });
+    if (maxPrice !== undefined) conditions.push({ price: { $lte: maxPrice } });
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      conditions.push({ $or: [{ name: pattern }, { description: pattern }] });
+    }
+    if (after) {
+      const value = order.field === 'createdAt' ? new Date(after.value) : after.value;
+      const beyond = order.direction === 1 ? '$gt' : '$lt';
+      conditions.push({ $or: [{ [order.field]: { [beyond]: value } }, { [order.field]: value, id: { $gt: after.id } }] });
+    }
 
-    const subscription = {
-      id: uuidv4(),
-      userId,
-      planId,
-      status: 'active',
-      startDate: new Date(),
-      nextBilling: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
-      paymentMethod,
-      features: plan.features,
-      revenue: plan.price
-    };
+    return this.listingRepository.findAll({ $and: conditions }, { [order.field]: order.direction, id: 1 }, limit);
+  }
 
-    this.subscriptions.set(subscription.id, subscription);
+  filterListings({ q, category, minPrice, maxPrice, sellerId }, order, after) {
+    const needle = q && q.toLowerCase();
+    const sortValue = value => (order.field === 'createdAt' ? new Date(value).getTime() : value);
+    const compare = (aValue, aId, bValue, bId) =>
+      (sortValue(aValue) - sortValue(bValue)) * order.direction || (aId < bId ? -1 : aId > bId ? 1 : 0);
+
+    return Array.from(this.listings.values())
+      .filter(listing => listing.status === 'active' &&
+        (!category || listing.category === category) &&
+        (!sellerId || listing.sellerId === sellerId) &&
+        (minPrice === undefined || listing.price >= minPrice) &&
+        (maxPrice === undefined || listing.price <= maxPrice) &&
+        (!needle || [listing.name, listing.description].some(text => text && text.toLowerCase().includes(needle))) &&
+        (!after || compare(listing[order.field], listing.id, after.value, after.id) > 0))
+      .sort((a, b) => compare(a[order.field], a.id, b[order.field], b.id));
+  }
+
+  encodeCursor(listing, order) {
+    return Buffer.from(JSON.stringify({ value: listing[order.field], id: listing.id })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (decoded && typeof decoded.id === 'string') return decoded;
+    } catch (error) {
+      // fall through
+    }
+    throw new Error('Invalid cursor');
+  }
+
+  async reservePurchase(listingId, buyerId, paymentMethod,
+    { promotion = null, discount = 0, currency = 'USD', billingAddress = null } = {}) {
+    const listing = this.listings.get(listingId);
+    if (!listing || listing.status !== 'active') throw new Error('Listing not available');
+
+    const listPrice = this.getPrice(listing, currency);
+    const { fxRate, reportingCurrency } = this.fx.toReporting(listPrice, currency);
+    const { net, gross, tax } = this.tax.calculate(this.fx.round(listPrice - discount, currency), currency, billingAddress);
+
+    // Stock is held by the reservation and handed back if the purchase fails
+    if (Number.isInteger(listing.stock)) {
+      listing.stock -= 1;
+      listing.status = this.availableStatus(listing, listing.status);
+      await this.listingRepository.save(listing);
+    }
+
+    const transaction = {
+      id: uuidv4(),
+      listingId,
+      buyerId,
+      sellerId: listing.sellerId,
+      listPrice,
+      discount,
+      promotionId: promotion ? promotion.id : null,
+      couponCode: promotion ? promotion.code : null,
+      // amount is net of tax and drives revenue and royalties; totalAmount is what the buyer pays
+      amount: net,
+      tax,
+      totalAmount: gross,
+      billingAddress,
+      currency,
+      fxRate,
+      reportingCurrency,
+      paymentMethod,
+      status: 'pending',
+      timestamp: new Date()
+    };
+    transaction.reportingAmount = this.toReporting(transaction);
+    // The seller's share of what was actually paid, so discounts are shared; the platform keeps the rest
+    transaction.royalty = this.fx.round(transaction.amount * this.categories[listing.category].royalty, currency);
+    transaction.platformFee = this.fx.round(transaction.amount - transaction.royalty, currency);
+
+    this.transactions.push(transaction);
+    await this.transactionRepository.save(transaction);
+
+    return transaction;
+  }
+
+  // Returns the updated transaction, or null when the transition does not apply
+  async transitionPurchase(transactionId, status, details = {}) {
+    const transaction = this.transactions.find(t => t.id === transactionId);
+    if (!transaction) throw new Error('Marketplace transaction not found');
+
+    if (!this.purchaseTransitions[transaction.status].includes(status)) {
+      logger.warn(`Ignoring marketplace transaction ${transactionId} transition ${transaction.status} -> ${status}`);
+      return null;
+    }
+
+    Object.assign(transaction, details, { status, updatedAt: new Date() });
+
+    const listing = this.listings.get(transaction.listingId);
+    if (listing && ['completed', 'refunded', 'charged_back'].includes(status)) {
+      const direction = status === 'completed' ? 1 : -1;
+      listing.purchases += direction;
+      listing.revenue += direction * this.toReporting(transaction);
+      // Edition numbers are never reused, even when a sale is later reversed
+      if (status === 'completed' && listing.editionSize) {
+        listing.editionsSold += 1;
+        transaction.editionNumber = listing.editionsSold;
+      }
+      await this.listingRepository.save(listing);
+    } else if (listing && status === 'failed' && Number.isInteger(listing.stock)) {
+      listing.stock += 1;
+      if (listing.status === 'sold_out') listing.status = this.availableStatus(listing, listing.status);
+      await this.listingRepository.save(listing);
+    }
+
+    await this.transactionRepository.save(transaction);
+    for (const listener of this.statusListeners) {
+      try {
+        await listener(transaction);
+      } catch (error) {
+        logger.error(`Purchase status listener failed for ${transaction.id}:`, error.message);
+      }
+    }
+    return transaction;
+  }
+
+  // Listeners hear about every purchase transition, after it has been saved
+  onStatusChange(listener) {
+    this.statusListeners.push(listener);
+  }
+
+  async expireStaleReservations(now = new Date()) {
+    const cutoff = now.getTime() - this.reservationTtlMinutes * 60 * 1000;
+    const stale = this.transactions.filter(t => ['pending', 'processing'].includes(t.status) &&
+      new Date(t.timestamp).getTime() < cutoff);
+
+    for (const transaction of stale) {
+      await this.transitionPurchase(transaction.id, 'failed', { failureReason: 'Reservation expired', expiredAt: now });
+    }
+    return stale;
+  }
+
+  async recordView(listingId, viewedAt = new Date()) {
+    const listing = this.listings.get(listingId);
+    if (!listing) throw new Error('Listing not found');
+
+    const date = moment.utc(viewedAt).format('YYYY-MM-DD');
+    const id = `${listing.id}:${date}`;
+    const stat = this.viewStats.get(id) || { id, listingId: listing.id, category: listing.category, date, views: 0 };
+    stat.views++;
+    listing.views++;
+    this.viewStats.set(id, stat);
+
+    await this.viewStatRepository.save(stat);
+    await this.listingRepository.save(listing);
+    return listing;
+  }
+
+  conversionRate(purchases, views) {
+    return views > 0 ? purchases / views : 0;
+  }
+
+  // Views -> purchase attempts (reservations) -> completed purchases, bucketed by interval.
+  // Sales that were later refunded still count as conversions.
+  getConversionFunnel({ from, to, interval = 'day', category } = {}) {
+    if (!this.funnelIntervals.includes(interval)) throw new Error(`Unsupported interval: ${interval}`);
+
+    const unit = interval === 'week' ? 'isoWeek' : interval;
+    const end = to ? moment.utc(to) : moment.utc();
+    const start = from ? moment.utc(from) : end.clone().subtract(30, 'days');
+    if (!start.isValid() || !end.isValid() || start.isAfter(end)) throw new Error('Invalid date range');
+    if (Math.ceil(end.diff(start.clone().startOf(unit), interval, true)) > this.maxFunnelBuckets) {
+      throw new Error(`Date range spans more than ${this.maxFunnelBuckets} ${interval} buckets`);
+    }
+
+    const emptyStage = () => ({ views: 0, attempts: 0, purchases: 0 });
+    const buckets = new Map();
+    for (const cursor = start.clone().startOf(unit); cursor.isBefore(end); cursor.add(1, interval)) {
+      buckets.set(cursor.toISOString(), { period: cursor.toISOString(), ...emptyStage() });
+    }
+    const totals = emptyStage();
+    const byCategory = {};
+    Object.keys(this.categories).forEach(name => { byCategory[name] = emptyStage(); });
+
+    const count = (stage, timestamp, listingCategory, amount = 1) => {
+      const at = moment.utc(timestamp);
+      if (at.isBefore(start) || !at.isBefore(end)) return;
+      if (category && listingCategory !== category) return;
+      buckets.get(at.clone().startOf(unit).toISOString())[stage] += amount;
+      totals[stage] += amount;
+      if (byCategory[listingCategory]) byCategory[listingCategory][stage] += amount;
+    };
+
+    this.viewStats.forEach(stat => count('views', stat.date, stat.category, stat.views));
+    this.transactions.forEach(transaction => {
+      const listingCategory = this.listings.get(transaction.listingId)?.category;
+      count('attempts', transaction.timestamp, listingCategory);
+      if (['completed', 'refunded', 'charged_back'].includes(transaction.status)) {
+        count('purchases', transaction.completedAt || transaction.timestamp, listingCategory);
+      }
+    });
+
+    const withRates = stage => ({
+      ...stage,
+      viewToAttempt: this.conversionRate(stage.attempts, stage.views),
+      attemptToPurchase: this.conversionRate(stage.purchases, stage.attempts),
+      conversionRate: this.conversionRate(stage.purchases, stage.views)
+    });
+
+    return {
+      interval,
+      from: start.toISOString(),
+      to: end.toISOString(),
+      category: category || null,
+      totals: withRates(totals),
+      byCategory: Object.fromEntries(Object.entries(byCategory)
+        .filter(([name]) => !category || name === category)
+        .map(([name, stage]) => [name, withRates(stage)])),
+      buckets: Array.from(buckets.values()).map(withRates)
+    };
+  }
+
+  getMarketAnalytics() {
+    const categoryStats = {};
+    const sales = this.transactions.filter(t => t.status === 'completed');
+    const totalRevenue = sales.reduce((sum, t) => sum + this.toReporting(t), 0);
+    const totalTransactions = sales.length;
+
+    const revenueByCurrency = {};
+    sales.forEach(t => {
+      const currency = t.currency || 'USD';
+      const stats = revenueByCurrency[currency] || { transactions: 0, amount: 0, reportingAmount: 0 };
+      stats.transactions++;
+      stats.amount = this.fx.round(stats.amount + t.amount, currency);
+      stats.reportingAmount += this.toReporting(t);
+      revenueByCurrency[currency] = stats;
+    });
+
+    Object.keys(this.categories).forEach(category => {
+      const categoryListings = Array.from(this.listings.values()).filter(l => l.category === category);
+      const categoryTransactions = sales.filter(t => {
+        const listing = this.listings.get(t.listingId);
+        return listing && listing.category === category;
+      });
+
+      const categoryViews = categoryListings.reduce((sum, l) => sum + l.views, 0);
+      categoryStats[category] = {
+        listings: categoryListings.length,
+        views: categoryViews,
+        transactions: categoryTransactions.length,
+        conversionRate: this.conversionRate(categoryTransactions.length, categoryViews),
+        revenue: categoryTransactions.reduce((sum, t) => sum + this.toReporting(t), 0),
+        averagePrice: categoryListings.length > 0 ?
+          categoryListings.reduce((sum, l) => sum + l.price, 0) / categoryListings.length : 0
+      };
+    });
+
+    return {
+      reportingCurrency: this.fx.reportingCurrency,
+      totalRevenue,
+      totalTransactions,
+      sellerRoyalties: sales.reduce((sum, t) => sum + this.toReporting(t, 'royalty'), 0),
+      platformFees: sales.reduce((sum, t) => sum + (t.platformFee === undefined ?
+        this.toReporting(t) - this.toReporting(t, 'royalty') : this.toReporting(t, 'platformFee')), 0),
+      revenueByCurrency,
+      categoryStats,
+      topListings: Array.from(this.listings.values())
+        .sort((a, b) => b.purchases - a.purchases)
+        .slice(0, 10)
+        .map(listing => ({ ...listing, conversionRate: this.conversionRate(listing.purchases, listing.views) }))
+    };
+  }
+}
+
+// Raised for promotions and coupon codes that cannot be created or applied
+class PromotionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PromotionError';
+  }
+}
+
+// Coupons, timed category sales and bundle discounts. Redemptions are the marketplace
+// transactions carrying a promotionId, so limits and ROI follow the purchase saga.
+class PromotionManager {
+  constructor(marketplace, fx) {
+    this.marketplace = marketplace;
+    this.fx = fx;
+    this.promotions = new Map();
+    this.promotionRepository = new MongoRepository('promotions');
+    this.kinds = ['coupon', 'sale', 'bundle'];
+    this.discountTypes = ['percent', 'fixed'];
+    // Stripe will not charge less than this (USD), so discounts stop short of it
+    this.minimumCharge = 0.5;
+    this.maxCountUpdateAttempts = 5;
+  }
+
+  attachDatabase(database) {
+    this.promotionRepository.attach(database);
+  }
+
+  async loadState() {
+    const promotions = await this.promotionRepository.findAll();
+    for (const promotion of promotions) {
+      // Promotions stored before redemptions were counted start from their purchases
+      if (promotion.redemptionCount === undefined) {
+        promotion.redemptionCount = this.getRedemptions(promotion.id).length;
+        await this.promotionRepository.save(promotion);
+      }
+      this.promotions.set(promotion.id, promotion);
+    }
+  }
+
+  async createPromotion(promotionData, createdBy) {
+    const { kind, discountType, value, category, listingIds } = promotionData;
+    if (discountType === 'percent' && value > 100) throw new PromotionError('Percentage discounts cannot exceed 100');
+    if (kind === 'sale' && (!category || !promotionData.startsAt || !promotionData.endsAt)) {
+      throw new PromotionError('Sales need a category, startsAt and endsAt');
+    }
+    if (kind === 'bundle' && (!listingIds || new Set(listingIds).size < 2)) {
+      throw new PromotionError('Bundles need at least two listings');
+    }
+
+    const code = kind === 'coupon' ? (promotionData.code || '').toUpperCase() : null;
+    if (kind === 'coupon' && !code) throw new PromotionError('Coupons need a code');
+    if (code && this.findCoupon(code)) throw new PromotionError(`Coupon code ${code} already exists`);
+
+    const startsAt = promotionData.startsAt ? new Date(promotionData.startsAt) : new Date();
+    const endsAt = promotionData.endsAt ? new Date(promotionData.endsAt) : null;
+    if (isNaN(startsAt) || (endsAt && (isNaN(endsAt) || endsAt <= startsAt))) {
+      throw new PromotionError('Invalid promotion schedule');
+    }
+
+    const promotion = {
+      ...promotionData,
+      id: uuidv4(),
+      code,
+      // Fixed discounts are worth this much in currency, converted for purchases in other currencies
+      currency: promotionData.currency || 'USD',
+      listingIds: kind === 'bundle' ? [...new Set(listingIds)] : null,
+      startsAt,
+      endsAt,
+      maxRedemptions: promotionData.maxRedemptions ?? null,
+      redemptionCount: 0,
+      perUserLimit: promotionData.perUserLimit ?? (kind === 'coupon' ? 1 : null),
+      status: 'active',
+      createdBy,
+      createdAt: new Date()
+    };
+    this.promotions.set(promotion.id, promotion);
+    await this.promotionRepository.save(promotion);
+    return promotion;
+  }
+
+  async endPromotion(promotionId) {
+    const promotion = this.promotions.get(promotionId);
+    if (!promotion) throw new PromotionError('Promotion not found');
+
+    promotion.status = 'ended';
+    promotion.endedAt = new Date();
+    await this.promotionRepository.save(promotion);
+    return promotion;
+  }
+
+  findCoupon(code) {
+    const normalized = code.toUpperCase();
+    return Array.from(this.promotions.values()).find(p => p.kind === 'coupon' && p.code === normalized);
+  }
+
+  isLive(promotion, now = new Date()) {
+    return promotion.status === 'active' &&
+      new Date(promotion.startsAt) <= now &&
+      (!promotion.endsAt || new Date(promotion.endsAt) > now);
+  }
+
+  // Failed purchases release their redemption; refunded ones still count against the limits
+  getRedemptions(promotionId, buyerId = null) {
+    return this.marketplace.transactions.filter(t => t.promotionId === promotionId &&
+      t.status !== 'failed' && (!buyerId || t.buyerId === buyerId));
+  }
+
+  hasRedemptionsLeft(promotion, buyerId) {
+    if (promotion.maxRedemptions && promotion.redemptionCount >= promotion.maxRedemptions) return false;
+    if (promotion.perUserLimit && this.getRedemptions(promotion.id, buyerId).length >= promotion.perUserLimit) return false;
+    return true;
+  }
+
+  // redemptionCount is moved with a compare-and-set on the stored promotion, so two purchases
+  // (or two instances) cannot both take the last redemption. The in-memory count moves before
+  // the first await; when the stored count has moved meanwhile it is re-read and retried.
+  async adjustRedemptionCount(promotion, delta) {
+    for (let attempt = 0; attempt < this.maxCountUpdateAttempts; attempt++) {
+      const current = promotion.redemptionCount;
+      const next = Math.max(0, current + delta);
+      if (delta > 0 && promotion.maxRedemptions && next > promotion.maxRedemptions) return false;
+
+      promotion.redemptionCount = next;
+      if (await this.promotionRepository.compareAndSet(promotion.id, { redemptionCount: current },
+        { redemptionCount: next })) {
+        return true;
+      }
+      const stored = await this.promotionRepository.findById(promotion.id);
+      promotion.redemptionCount = stored.redemptionCount;
+    }
+    logger.warn(`Gave up updating the redemption count of promotion ${promotion.id}`);
+    return false;
+  }
+
+  async claimRedemption(promotion) {
+    return this.adjustRedemptionCount(promotion, 1);
+  }
+
+  async releaseRedemption(promotion) {
+    return this.adjustRedemptionCount(promotion, -1);
+  }
+
+  // Failed purchases hand their redemption back; refunded ones keep counting
+  async onPurchaseStatusChange(transaction) {
+    const promotion = transaction.status === 'failed' && this.promotions.get(transaction.promotionId);
+    if (promotion) await this.releaseRedemption(promotion);
+  }
+
+  appliesTo(promotion, listing, buyerId) {
+    switch (promotion.kind) {
+      case 'sale':
+        return listing.category === promotion.category;
+      case 'coupon':
+        return !promotion.category || listing.category === promotion.category;
+      case 'bundle':
+        // Each further item from a bundle is discounted once the buyer owns another one
+        return promotion.listingIds.includes(listing.id) && this.marketplace.transactions.some(t =>
+          t.buyerId === buyerId && t.status === 'completed' &&
+          t.listingId !== listing.id && promotion.listingIds.includes(t.listingId));
+      default:
+        return false;
+    }
+  }
+
+  calculateDiscount(promotion, price, currency = 'USD') {
+    const discount = promotion.discountType === 'percent' ?
+      price * promotion.value / 100 : this.fx.convert(promotion.value, promotion.currency || 'USD', currency);
+    const ceiling = Math.max(price - this.fx.convert(this.minimumCharge, 'USD', currency), 0);
+    return this.fx.round(Math.min(discount, ceiling), currency);
+  }
+
+  // Picks the single best discount among live sales, bundles and the buyer's coupon; they do not stack
+  quote(listing, buyerId, couponCode = null, currency = 'USD', now = new Date()) {
+    const price = this.marketplace.getPrice(listing, currency);
+    const candidates = Array.from(this.promotions.values())
+      .filter(p => p.kind !== 'coupon' && this.isLive(p, now));
+
+    if (couponCode) {
+      const coupon = this.findCoupon(couponCode);
+      if (!coupon || !this.isLive(coupon, now)) throw new PromotionError('Coupon is invalid or expired');
+      if (!this.appliesTo(coupon, listing, buyerId)) throw new PromotionError('Coupon does not apply to this listing');
+      if (!this.hasRedemptionsLeft(coupon, buyerId)) throw new PromotionError('Coupon redemption limit reached');
+      candidates.push(coupon);
+    }
+
+    return candidates
+      .filter(p => this.appliesTo(p, listing, buyerId) && this.hasRedemptionsLeft(p, buyerId))
+      .map(promotion => ({ promotion, discount: this.calculateDiscount(promotion, price, currency) }))
+      .filter(quote => quote.discount > 0)
+      .reduce((best, quote) => (!best || quote.discount > best.discount ? quote : best), null);
+  }
+
+  // ROI is net revenue from promoted sales per unit of discount given away, in the reporting currency
+  getPromotionAnalytics({ from, to } = {}) {
+    const start = from ? new Date(from) : null;
+    const end = to ? new Date(to) : null;
+    const inWindow = t => {
+      const completedAt = new Date(t.completedAt || t.timestamp);
+      return (!start || completedAt >= start) && (!end || completedAt < end);
+    };
+
+    const summarize = transactions => {
+      const sales = transactions.filter(t => ['completed', 'refunded', 'charged_back'].includes(t.status) && inWindow(t));
+      const kept = sales.filter(t => t.status === 'completed');
+      const discountGiven = kept.reduce((sum, t) => sum + this.marketplace.toReporting(t, 'discount'), 0);
+      const revenue = kept.reduce((sum, t) => sum + this.marketplace.toReporting(t), 0);
+      return {
+        redemptions: kept.length,
+        reversed: sales.length - kept.length,
+        discountGiven,
+        revenue,
+        platformRevenue: kept.reduce((sum, t) => sum + this.marketplace.toReporting(t, 'platformFee'), 0),
+        roi: discountGiven > 0 ? (revenue - discountGiven) / discountGiven : 0
+      };
+    };
+
+    const promoted = this.marketplace.transactions.filter(t => t.promotionId);
+    return {
+      reportingCurrency: this.fx.reportingCurrency,
+      totals: summarize(promoted),
+      byPromotion: Array.from(this.promotions.values()).map(promotion => ({
+        id: promotion.id,
+        name: promotion.name,
+        kind: promotion.kind,
+        code: promotion.code,
+        status: promotion.status,
+        ...summarize(promoted.filter(t => t.promotionId === promotion.id))
+      }))
+    };
+  }
+}
+
+// Raised for payment requests the processor refuses outright, as opposed to declines,
+// which come back as failed transactions
+class PaymentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PaymentError';
+  }
+}
+
+// Payment adapters share one interface:
+//   charge(transaction, paymentData) -> { status, ...fields to store on the transaction }
+//   refund(transaction, refund)      -> { status: 'completed' | 'pending', ...fields for the refund }
+//   capture(transaction)             -> same as charge; only for methods that need buyer approval first
+// Declines resolve with status 'failed'; thrown errors are integration problems.
+class StripeAdapter {
+  constructor(fx) {
+    this.fx = fx;
+  }
+
+  // A new intent without a payment method waits in requires_payment_method for the client to
+  // confirm it, so that is still processing. Declines arrive as payment_intent.payment_failed.
+  mapStatus(paymentIntentStatus) {
+    switch (paymentIntentStatus) {
+      case 'succeeded': return 'completed';
+      case 'canceled': return 'failed';
+      default: return 'processing'; // requires_payment_method, requires_action, requires_confirmation, processing
+    }
+  }
+
+  async createCustomer(userId) {
+    const customer = await stripe.customers.create({ metadata: { userId } });
+    return customer.id;
+  }
+
+  // Off-session charges confirm the payer's saved card server-side; every other intent is
+  // confirmed by the buyer with the client secret, and saves the card when asked to.
+  async charge(transaction, paymentData) {
+    const paymentMethodId = paymentData.offSession ? paymentData.paymentMethodId : undefined;
+    if (paymentData.offSession && !paymentMethodId) {
+      return { status: 'failed', failureReason: 'No saved card to charge' };
+    }
+    try {
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: this.fx.toMinorUnits(transaction.amount, transaction.currency || 'USD'),
+        currency: (transaction.currency || 'USD').toLowerCase(),
+        customer: paymentData.customerId,
+        payment_method: paymentMethodId,
+        confirm: Boolean(paymentMethodId),
+        off_session: paymentMethodId ? true : undefined,
+        setup_future_usage: !paymentMethodId && paymentData.customerId && paymentData.savePaymentSource ?
+          'off_session' : undefined,
+        automatic_payment_methods: paymentMethodId ? undefined : { enabled: true },
+        metadata: { transactionId: transaction.id }
+      });
+
+      return {
+        status: this.mapStatus(paymentIntent.status),
+        stripePaymentIntentId: paymentIntent.id,
+        clientSecret: paymentIntent.client_secret,
+        ...(paymentIntent.setup_future_usage && paymentIntent.payment_method &&
+          { stripePaymentMethodId: paymentIntent.payment_method })
+      };
+    } catch (error) {
+      if (error.type === 'StripeCardError') return { status: 'failed', failureReason: error.message };
+      throw error;
+    }
+  }
+
+  // Fails if the intent has already succeeded, in which case its webhook settles it instead
+  async cancel(transaction) {
+    await stripe.paymentIntents.cancel(transaction.stripePaymentIntentId);
+  }
+
+  async refund(transaction, refund) {
+    if (!transaction.stripePaymentIntentId) throw new PaymentError('Transaction has no Stripe payment to refund');
+
+    const stripeRefund = await stripe.refunds.create({
+      payment_intent: transaction.stripePaymentIntentId,
+      metadata: { transactionId: transaction.id, refundId: refund.id, reason: refund.reason || '' }
+    });
+    // Pending refunds are settled by the charge.refunded webhook
+    return { status: stripeRefund.status === 'succeeded' ? 'completed' : 'pending', stripeRefundId: stripeRefund.id };
+  }
+}
+
+// PayPal Orders v2. Without a vaulted payer the order needs buyer approval at approvalUrl,
+// after which POST /api/payments/:transactionId/capture collects it. PAYPAL_API_URL can
+// point at a local mock server.
+class PayPalAdapter {
+  constructor(fx, { baseURL, clientId, clientSecret }) {
+    this.fx = fx;
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.http = axios.create({ baseURL, timeout: 10000 });
+    this.accessToken = null;
+  }
+
+  async authorize() {
+    if (this.accessToken && this.accessToken.expiresAt > Date.now()) return this.accessToken.value;
+
+    const { data } = await this.http.post('/v1/oauth2/token', 'grant_type=client_credentials', {
+      auth: { username: this.clientId, password: this.clientSecret },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+    });
+    // Renew a minute early so a token never expires mid-request
+    this.accessToken = { value: data.access_token, expiresAt: Date.now() + (data.expires_in - 60) * 1000 };
+    return this.accessToken.value;
+  }
+
+  // PayPal-Request-Id makes retried writes idempotent on PayPal's side
+  async request(method, url, data, requestId) {
+    const token = await this.authorize();
+    const response = await this.http.request({
+      method,
+      url,
+      data,
+      headers: { Authorization: `Bearer ${token}`, ...(requestId && { 'PayPal-Request-Id': requestId }) }
+    });
+    return response.data;
+  }
+
+  // PayPal reports declined and otherwise unprocessable payments as 422
+  async attempt(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (error.response?.status === 422) {
+        const details = error.response.data?.details?.[0];
+        return { status: 'failed', failureReason: details?.description || error.response.data?.message || error.message };
+      }
+      throw error;
+    }
+  }
+
+  describeOrder(order) {
+    const capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+    let status = 'processing';
+    if (capture) {
+      if (capture.status === 'COMPLETED') status = 'completed';
+      else if (capture.status === 'DECLINED' || capture.status === 'FAILED') status = 'failed';
+    } else if (order.status === 'COMPLETED') {
+      status = 'completed';
+    } else if (order.status === 'VOIDED') {
+      status = 'failed';
+    }
+
+    const vaultId = order.payment_source?.paypal?.attributes?.vault?.id;
+    return {
+      status,
+      paypalOrderId: order.id,
+      ...(capture && { paypalCaptureId: capture.id }),
+      ...(vaultId && { paypalVaultId: vaultId }),
+      ...(status === 'processing' && {
+        approvalUrl: order.links?.find(link => link.rel === 'payer-action' || link.rel === 'approve')?.href
+      }),
+      ...(status === 'failed' && { failureReason: `PayPal ${capture ? 'capture' : 'order'} ${capture?.status || order.status}` })
+    };
+  }
+
+  async charge(transaction, paymentData) {
+    if (paymentData.offSession && !paymentData.paypalVaultId) {
+      return { status: 'failed', failureReason: 'No PayPal vault to charge' };
+    }
+    return this.attempt(async () => {
+      // An order the buyer already approved client-side only needs capturing
+      if (paymentData.paypalOrderId) {
+        const order = await this.request('get', `/v2/checkout/orders/${encodeURIComponent(paymentData.paypalOrderId)}`);
+        const amount = order.purchase_units?.[0]?.amount;
+        if (amount?.currency_code !== transaction.currency ||
+          Number(amount.value) !== Number(this.fx.formatAmount(transaction.amount, transaction.currency))) {
+          return { status: 'failed', paypalOrderId: order.id, failureReason: 'PayPal order amount does not match the charge' };
+        }
+        return this.capture({ ...transaction, paypalOrderId: order.id });
+      }
+
+      const order = await this.request('post', '/v2/checkout/orders', {
+        intent: 'CAPTURE',
+        purchase_units: [{
+          reference_id: transaction.id,
+          custom_id: transaction.id,
+          amount: {
+            currency_code: transaction.currency,
+            value: this.fx.formatAmount(transaction.amount, transaction.currency)
+          }
+        }],
+        ...this.paymentSource(paymentData)
+      }, transaction.id);
+      return this.describeOrder(order);
+    });
+  }
+
+  // Off-session orders are paid from the payer's vault at once; on-session ones can ask PayPal
+  // to vault the payer once they approve
+  paymentSource(paymentData) {
+    if (paymentData.offSession) {
+      return paymentData.paypalVaultId ? { payment_source: { paypal: { vault_id: paymentData.paypalVaultId } } } : {};
+    }
+    if (!paymentData.savePaymentSource) return {};
+    return {
+      payment_source: {
+        paypal: { attributes: { vault: { store_in_vault: 'ON_SUCCESS', usage_type: 'MERCHANT' } } }
+      }
+    };
+  }
+
+  async capture(transaction) {
+    return this.attempt(async () => this.describeOrder(await this.request(
+      'post',
+      `/v2/checkout/orders/${encodeURIComponent(transaction.paypalOrderId)}/capture`,
+      {},
+      `${transaction.id}-capture`
+    )));
+  }
+
+  async refund(transaction, refund) {
+    if (!transaction.paypalCaptureId) throw new PaymentError('Transaction has no PayPal capture to refund');
+
+    const paypalRefund = await this.request('post', `/v2/payments/captures/${transaction.paypalCaptureId}/refund`, {
+      amount: {
+        currency_code: transaction.currency,
+        value: this.fx.formatAmount(refund.amount, transaction.currency)
+      },
+      note_to_payer: refund.reason || undefined
+    }, refund.id);
+    return { status: paypalRefund.status === 'COMPLETED' ? 'completed' : 'pending', paypalRefundId: paypalRefund.id };
+  }
+}
+
+// Coinbase Commerce style hosted charges: the buyer pays at hostedUrl and the outcome
+// arrives by signed webhook. CRYPTO_API_URL can point at a local mock server.
+class CryptoAdapter {
+  constructor(fx, { baseURL, apiKey, webhookSecret }) {
+    this.fx = fx;
+    this.webhookSecret = webhookSecret;
+    this.http = axios.create({
+      baseURL,
+      timeout: 10000,
+      headers: { 'X-CC-Api-Key': apiKey, 'X-CC-Version': '2018-03-22' }
+    });
+  }
+
+  async charge(transaction) {
+    const { data } = await this.http.post('/charges', {
+      name: 'Smugglers Commercial Platform',
+      description: `Payment ${transaction.id}`,
+      pricing_type: 'fixed_price',
+      local_price: {
+        amount: this.fx.formatAmount(transaction.amount, transaction.currency),
+        currency: transaction.currency
+      },
+      metadata: { transactionId: transaction.id }
+    });
+
+    const charge = data.data;
+    return {
+      status: 'processing',
+      cryptoChargeId: charge.id,
+      cryptoChargeCode: charge.code,
+      hostedUrl: charge.hosted_url,
+      expiresAt: charge.expires_at ? new Date(charge.expires_at) : null
+    };
+  }
+
+  // Refused once a payment has been detected, in which case its webhook settles it instead
+  async cancel(transaction) {
+    await this.http.post(`/charges/${encodeURIComponent(transaction.cryptoChargeCode)}/cancel`);
+  }
+
+  // On-chain payments cannot be pulled back; finance has to send the funds manually
+  async refund() {
+    throw new PaymentError('Crypto payments must be refunded manually');
+  }
+
+  // The signature is a hex HMAC-SHA256 of the raw request body. Without a configured secret
+  // anyone could sign events, so webhooks are refused outright.
+  verifyWebhook(rawBody, signature) {
+    if (!this.webhookSecret) throw new Error('CRYPTO_WEBHOOK_SECRET is not configured');
+
+    const expected = crypto.createHmac('sha256', this.webhookSecret).update(rawBody || '').digest();
+    const received = Buffer.from(String(signature || ''), 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      throw new PaymentError('Invalid crypto webhook signature');
+    }
+    return JSON.parse(rawBody.toString('utf8')).event;
+  }
+
+  mapEventStatus(eventType) {
+    switch (eventType) {
+      case 'charge:confirmed':
+      case 'charge:resolved': return 'completed';
+      case 'charge:failed': return 'failed';
+      default: return null; // charge:created, charge:pending, charge:delayed
+    }
+  }
+}
+
+// Stored-value gift cards. Each card is spent down across as many purchases as its balance
+// covers; every movement is also written to an append-only ledger. Cards act as their own
+// payment adapter for the gift_card method.
+class GiftCardManager {
+  constructor(fx) {
+    this.fx = fx;
+    this.cards = new Map();
+    this.ledger = [];
+    this.cardRepository = new MongoRepository('gift_cards');
+    this.ledgerRepository = new MongoRepository('gift_card_ledger');
+  }
+
+  attachDatabase(database) {
+    this.cardRepository.attach(database);
+    this.ledgerRepository.attach(database);
+  }
+
+  async loadState() {
+    const cards = await this.cardRepository.findAll();
+    cards.forEach(card => this.cards.set(card.id, card));
+    this.ledger = await this.ledgerRepository.findAll({}, { createdAt: 1 });
+  }
+
+  generateCode() {
+    return crypto.randomBytes(8).toString('hex').toUpperCase().match(/.{4}/g).join('-');
+  }
+
+  // Accepts codes typed with or without dashes and in any case
+  normalizeCode(code) {
+    const compact = String(code || '').toUpperCase().replace(/[^0-9A-F]/g, '');
+    return compact.length === 16 ? compact.match(/.{4}/g).join('-') : null;
+  }
+
+  findByCode(code) {
+    const normalized = this.normalizeCode(code);
+    return normalized ? Array.from(this.cards.values()).find(card => card.code === normalized) : undefined;
+  }
+
+  isUsable(card, now = new Date()) {
+    return card.status === 'active' && (!card.expiresAt || new Date(card.expiresAt) > now);
+  }
+
+  async issueCard({ amount, currency = 'USD', issuedTo = null, expiresAt = null }, issuedBy) {
+    const expiry = expiresAt ? new Date(expiresAt) : null;
+    if (expiry && (isNaN(expiry) || expiry <= new Date())) throw new PaymentError('Invalid gift card expiry');
+
+    const code = this.generateCode();
+    const card = {
+      id: uuidv4(),
+      code,
+      last4: code.slice(-4),
+      currency,
+      initialBalance: this.fx.round(amount, currency),
+      balance: this.fx.round(amount, currency),
+      issuedTo,
+      issuedBy,
+      status: 'active',
+      expiresAt: expiry,
+      createdAt: new Date()
+    };
+    this.cards.set(card.id, card);
+    await this.cardRepository.save(card);
+    await this.recordEntry(card, 'issue', card.balance, null);
+    return card;
+  }
+
+  async recordEntry(card, type, amount, transactionId) {
+    const entry = {
+      id: uuidv4(),
+      giftCardId: card.id,
+      type,
+      amount,
+      balanceAfter: card.balance,
+      transactionId,
+      createdAt: new Date()
+    };
+    this.ledger.push(entry);
+    await this.ledgerRepository.insert(entry);
+    return entry;
+  }
+
+  // Balance lookups are keyed by code, so the code itself is never echoed back
+  getStatement(card) {
+    const { code, ...details } = card;
+    return {
+      ...details,
+      usable: this.isUsable(card),
+      history: this.ledger
+        .filter(entry => entry.giftCardId === card.id)
+        .map(({ type, amount, balanceAfter, createdAt }) => ({ type, amount, balanceAfter, createdAt }))
+    };
+  }
+
+  // Customers present the code; subscription renewals charge the card they signed up with by id
+  async charge(transaction, paymentData) {
+    const card = paymentData.giftCardId ?
+      this.cards.get(paymentData.giftCardId) :
+      this.findByCode(paymentData.giftCardCode);
+    if (!card || !this.isUsable(card)) {
+      return { status: 'failed', failureReason: 'Gift card is invalid or expired' };
+    }
+    if (card.currency !== transaction.currency) {
+      return { status: 'failed', giftCardId: card.id, failureReason: `Gift card is denominated in ${card.currency}` };
+    }
+    if (card.balance < transaction.amount) {
+      return { status: 'failed', giftCardId: card.id, failureReason: 'Insufficient gift card balance' };
+    }
+
+    // Deducted before the first await so two concurrent charges cannot both spend the same balance
+    card.balance = this.fx.round(card.balance - transaction.amount, card.currency);
+    card.lastUsedAt = new Date();
+    await this.cardRepository.save(card);
+    await this.recordEntry(card, 'redeem', -transaction.amount, transaction.id);
+    return { status: 'completed', giftCardId: card.id, giftCardLast4: card.last4 };
+  }
+
+  async refund(transaction, refund) {
+    const card = this.cards.get(transaction.giftCardId);
+    if (!card) throw new PaymentError('Gift card not found');
+
+    card.balance = this.fx.round(card.balance + refund.amount, card.currency);
+    await this.cardRepository.save(card);
+    await this.recordEntry(card, 'refund', refund.amount, transaction.id);
+    return { status: 'completed' };
+  }
+
+  // Takes back credit the platform handed out; whatever was already spent stays spent
+  async revoke(card, amount, reference) {
+    const revoked = this.fx.round(Math.min(amount, card.balance), card.currency);
+    card.balance = this.fx.round(card.balance - revoked, card.currency);
+    await this.cardRepository.save(card);
+    await this.recordEntry(card, 'revoke', -revoked, reference);
+    return revoked;
+  }
+}
+
+class PaymentProcessor {
+  constructor(fx, giftCards) {
+    this.fx = fx;
+    this.transactions = [];
+    this.adapters = {
+      stripe: new StripeAdapter(fx),
+      paypal: new PayPalAdapter(fx, {
+        baseURL: process.env.PAYPAL_API_URL || 'https://api-m.sandbox.paypal.com',
+        clientId: process.env.PAYPAL_CLIENT_ID || 'paypal_client_dummy',
+        clientSecret: process.env.PAYPAL_CLIENT_SECRET || 'paypal_secret_dummy'
+      }),
+      crypto: new CryptoAdapter(fx, {
+        baseURL: process.env.CRYPTO_API_URL || 'https://api.commerce.coinbase.com',
+        apiKey: process.env.CRYPTO_API_KEY || 'crypto_key_dummy',
+        webhookSecret: process.env.CRYPTO_WEBHOOK_SECRET
+      }),
+      gift_card: giftCards
+    };
+    this.supportedMethods = Object.keys(this.adapters);
+    this.statusTransitions = {
+      processing: ['completed', 'failed'],
+      completed: ['refunded', 'charged_back'],
+      failed: [],
+      refunded: [],
+      charged_back: []
+    };
+    this.statusListeners = [];
+    // Saved payment sources per payer (Stripe customer and card, PayPal vault), keyed by user id.
+    // Callers never name these: they are recorded from the payer's own completed payments.
+    this.profiles = new Map();
+    this.transactionRepository = new MongoRepository('transactions');
+    this.profileRepository = new MongoRepository('payment_profiles');
+  }
+
+  attachDatabase(database) {
+    this.transactionRepository.attach(database);
+    this.profileRepository.attach(database);
+  }
+
+  async loadState() {
+    this.transactions = await this.transactionRepository.findAll({}, { timestamp: 1 });
+    const profiles = await this.profileRepository.findAll();
+    profiles.forEach(profile => this.profiles.set(profile.id, profile));
+  }
+
+  async updateProfile(userId, fields) {
+    const profile = this.profiles.get(userId) || { id: userId, userId, createdAt: new Date() };
+    Object.assign(profile, fields, { updatedAt: new Date() });
+    this.profiles.set(userId, profile);
+    await this.profileRepository.save(profile);
+    return profile;
+  }
+
+  // Looks up what the adapter may charge for this payer. Anything the caller passed under the
+  // same names is overwritten, so one user can never charge another user's card or vault.
+  async getPaymentSource(paymentMethod, userId) {
+    const source = { customerId: undefined, paymentMethodId: undefined, paypalVaultId: undefined };
+    if (!userId) return source;
+
+    let profile = this.profiles.get(userId);
+    if (paymentMethod === 'stripe') {
+      if (!profile?.stripeCustomerId) {
+        const stripeCustomerId = await this.adapters.stripe.createCustomer(userId);
+        profile = await this.updateProfile(userId, { stripeCustomerId });
+      }
+      source.customerId = profile.stripeCustomerId;
+      source.paymentMethodId = profile.stripePaymentMethodId;
+    }
+    if (paymentMethod === 'paypal') source.paypalVaultId = profile?.paypalVaultId;
+    return source;
+  }
+
+  // Keeps the card or vault a completed payment was set up to save
+  async rememberPaymentSource(transaction) {
+    if (transaction.status !== 'completed' || !transaction.userId) return;
+
+    const profile = this.profiles.get(transaction.userId);
+    const fields = {};
+    if (transaction.stripePaymentMethodId && transaction.stripePaymentMethodId !== profile?.stripePaymentMethodId) {
+      fields.stripePaymentMethodId = transaction.stripePaymentMethodId;
+    }
+    if (transaction.paypalVaultId && transaction.paypalVaultId !== profile?.paypalVaultId) {
+      fields.paypalVaultId = transaction.paypalVaultId;
+    }
+    if (Object.keys(fields).length) await this.updateProfile(transaction.userId, fields);
+  }
+
+  // paymentData.offSession charges the payer's saved source without them present (renewals);
+  // paymentData.savePaymentSource asks the provider to keep what they pay with for that.
+  async processPayment(amount, currency, paymentMethod, paymentData = {}) {
+    const adapter = this.adapters[paymentMethod];
+    if (!adapter) throw new PaymentError(`Unsupported payment method: ${paymentMethod}`);
+
+    // Gift card codes are bearer credentials, so they never reach the stored transaction.
+    // Saved sources are looked up for the payer below rather than taken from the caller.
+    const {
+      giftCardCode, offSession, savePaymentSource, customerId, paymentMethodId, paypalVaultId, ...details
+    } = paymentData;
+    const transaction = {
+      ...details,
+      id: uuidv4(),
+      amount,
+      currency,
+      method: paymentMethod,
+      status: 'processing',
+      timestamp: new Date()
+    };
+    this.transactions.push(transaction);
+
+    try {
+      const source = await this.getPaymentSource(paymentMethod, details.userId);
+      this.applyOutcome(transaction, await adapter.charge(transaction, { ...paymentData, ...source }));
+    } catch (error) {
+      transaction.failureReason = error.message;
+      this.setTransactionStatus(transaction, 'failed');
+      await this.transactionRepository.save(transaction);
+      throw error;
+    }
+
+    await this.transactionRepository.save(transaction);
+    await this.rememberPaymentSource(transaction);
+
+    return transaction;
+  }
+
+  applyOutcome(transaction, { status, ...fields }) {
+    Object.assign(transaction, fields);
+    this.setTransactionStatus(transaction, status);
+  }
+
+  // Completes a payment the buyer has since approved with the provider (PayPal)
+  async capturePayment(transactionId) {
+    const transaction = this.transactions.find(t => t.id === transactionId);
+    if (!transaction) throw new PaymentError('Transaction not found');
+    if (transaction.status !== 'processing') throw new PaymentError('Only processing payments can be captured');
+
+    const adapter = this.adapters[transaction.method];
+    if (!adapter?.capture) throw new PaymentError(`${transaction.method} payments cannot be captured`);
+
+    this.applyOutcome(transaction, await adapter.capture(transaction));
+    await this.transactionRepository.save(transaction);
+    await this.rememberPaymentSource(transaction);
+    if (transaction.status !== 'processing') {
+      await this.notifyStatusChange(transaction);
+    }
+    return transaction;
+  }
+
+  // Gives up on a payment the payer never finished, e.g. an intent waiting for authentication.
+  // The provider is told first where it can be, so the payment cannot still go through later.
+  // PayPal orders need no cancelling: they are only collected when we capture them.
+  async abandonPayment(transactionId, reason) {
+    const transaction = this.transactions.find(t => t.id === transactionId);
+    if (!transaction) throw new PaymentError('Transaction not found');
+    if (transaction.status !== 'processing') return transaction;
+
+    const adapter = this.adapters[transaction.method];
+    if (adapter?.cancel) await adapter.cancel(transaction);
+
+    transaction.failureReason = reason;
+    this.setTransactionStatus(transaction, 'failed');
+    await this.transactionRepository.save(transaction);
+    await this.notifyStatusChange(transaction);
+    return transaction;
+  }
+
+  // Listeners hear about status changes that happen after processPayment returns
+  // (webhooks, refunds); callers handle the synchronous outcome themselves.
+  onStatusChange(listener) {
+    this.statusListeners.push(listener);
+  }
+
+  async notifyStatusChange(transaction) {
+    for (const listener of this.statusListeners) {
+      try {
+        await listener(transaction);
+      } catch (error) {
+        logger.error(`Payment status listener failed for ${transaction.id}:`, error.message);
+      }
+    }
+  }
+
+  setTransactionStatus(transaction, status) {
+    if (transaction.status === status) return true;
+
+    const allowed = this.statusTransitions[transaction.status] || [];
+    if (!allowed.includes(status)) {
+      logger.warn(`Ignoring transaction ${transaction.id} transition ${transaction.status} -> ${status}`);
+      return false;
+    }
+
+    transaction.status = status;
+    transaction.updatedAt = new Date();
+    return true;
+  }
+
+  // Without a configured secret anyone could sign events, so webhooks are refused outright
+  async handleStripeWebhook(rawBody, signature) {
+    if (!process.env.STRIPE_WEBHOOK_SECRET) throw new Error('STRIPE_WEBHOOK_SECRET is not configured');
+
+    const event = stripe.webhooks.constructEvent(rawBody, signature, process.env.STRIPE_WEBHOOK_SECRET);
+    const object = event.data.object;
+
+    // Only Stripe payments can be settled by Stripe events, whatever metadata the event carries
+    const stripePayments = this.transactions.filter(t => t.method === 'stripe');
+    const transaction = event.type.startsWith('charge.')
+      ? stripePayments.find(t => t.stripePaymentIntentId === object.payment_intent)
+      : stripePayments.find(t => t.id === object.metadata?.transactionId ||
+        t.stripePaymentIntentId === object.id);
+
+    if (!transaction) {
+      logger.warn(`Stripe webhook ${event.id} (${event.type}) matched no transaction`);
+      return { event, transaction: null };
+    }
+
+    const previousStatus = transaction.status;
+    switch (event.type) {
+      case 'payment_intent.processing':
+        this.setTransactionStatus(transaction, 'processing');
+        break;
+      case 'payment_intent.succeeded':
+        // Set-up intents leave the card saved on the customer for off-session renewals
+        if (object.setup_future_usage && object.payment_method) {
+          transaction.stripePaymentMethodId = object.payment_method;
+        }
+        this.setTransactionStatus(transaction, 'completed');
+        break;
+      case 'payment_intent.payment_failed':
+      case 'payment_intent.canceled':
+        transaction.failureReason = object.last_payment_error?.message || event.type;
+        this.setTransactionStatus(transaction, 'failed');
+        break;
+      case 'charge.refunded':
+        if (transaction.refund) transaction.refund.status = 'completed';
+        this.setTransactionStatus(transaction, 'refunded');
+        break;
+      case 'charge.dispute.created':
+        transaction.dispute = {
+          id: object.id,
+          reason: object.reason,
+          amount: this.fx.fromMinorUnits(object.amount, transaction.currency || 'USD'),
+          openedAt: new Date()
+        };
+        this.setTransactionStatus(transaction, 'charged_back');
+        break;
+      default:
+        logger.debug(`Unhandled Stripe webhook event type ${event.type}`);
+    }
+
+    await this.transactionRepository.save(transaction);
+    await this.rememberPaymentSource(transaction);
+    if (transaction.status !== previousStatus) {
+      await this.notifyStatusChange(transaction);
+    }
+    return { event, transaction };
+  }
+
+  async handleCryptoWebhook(rawBody, signature) {
+    const adapter = this.adapters.crypto;
+    const event = adapter.verifyWebhook(rawBody, signature);
+    const charge = event.data || {};
+    // As with Stripe, a crypto event can only settle a crypto payment
+    const transaction = this.transactions.find(t => t.method === 'crypto' &&
+      (t.id === charge.metadata?.transactionId || (t.cryptoChargeId && t.cryptoChargeId === charge.id)));
+
+    if (!transaction) {
+      logger.warn(`Crypto webhook ${event.id} (${event.type}) matched no transaction`);
+      return { event, transaction: null };
+    }
+
+    const previousStatus = transaction.status;
+    const status = adapter.mapEventStatus(event.type);
+    if (status === 'failed') transaction.failureReason = event.type;
+    if (status) this.setTransactionStatus(transaction, status);
+
+    await this.transactionRepository.save(transaction);
+    if (transaction.status !== previousStatus) {
+      await this.notifyStatusChange(transaction);
+    }
+    return { event, transaction };
+  }
+
+  async refundTransaction(transactionId, reason) {
+    const transaction = this.transactions.find(t => t.id === transactionId);
+    if (!transaction) throw new PaymentError('Transaction not found');
+    if (transaction.status !== 'completed') throw new PaymentError('Only completed transactions can be refunded');
+    // A pending refund leaves the transaction completed until the provider confirms it
+    if (transaction.refund && transaction.refund.status !== 'failed') {
+      throw new PaymentError('Transaction already has a refund in progress');
+    }
+
+    const refund = {
+      id: uuidv4(),
+      originalTransactionId: transactionId,
+      amount: transaction.amount,
+      reason,
+      status: 'pending',
+      timestamp: new Date()
+    };
+
+    // Claimed before the first await so a concurrent request sees the refund in progress; a
+    // provider error hands the transaction back as it was, so the refund can be retried
+    const previousRefund = transaction.refund;
+    transaction.refund = refund;
+    try {
+      await this.transactionRepository.save(transaction);
+      Object.assign(refund, await this.adapters[transaction.method].refund(transaction, refund));
+    } catch (error) {
+      transaction.refund = previousRefund;
+      await this.transactionRepository.save(transaction);
+      throw error;
+    }
+
+    if (refund.status === 'completed') {
+      this.setTransactionStatus(transaction, 'refunded');
+    }
+    await this.transactionRepository.save(transaction);
+    if (transaction.status === 'refunded') {
+      await this.notifyStatusChange(transaction);
+    }
+    return refund;
+  }
+}
+
+class SellerPayoutManager {
+  constructor(fx) {
+    this.fx = fx;
+    this.entries = [];
+    this.payouts = new Map();
+    this.entryRepository = new MongoRepository('seller_ledger');
+    this.payoutRepository = new MongoRepository('payouts');
+    this.settings = {
+      holdDays: 14, // Proceeds stay on hold through the refund window
+      minimumPayout: 25 // In the reporting currency, which sellers are paid in
+    };
+  }
+
+  attachDatabase(database) {
+    this.entryRepository.attach(database);
+    this.payoutRepository.attach(database);
+  }
+
+  async loadState() {
+    this.entries = await this.entryRepository.findAll({}, { createdAt: 1 });
+    const payouts = await this.payoutRepository.findAll();
+    payouts.forEach(payout => this.payouts.set(payout.id, payout));
+  }
+
+  // Platform-owned listings (system sellers) have nobody to pay out
+  isPayableSeller(sellerId) {
+    return Boolean(sellerId) && !String(sellerId).startsWith('system_');
+  }
+
+  async recordEntry(entry, now = new Date()) {
+    const record = { id: uuidv4(), createdAt: now, availableAt: now, currency: this.fx.reportingCurrency, ...entry };
+    this.entries.push(record);
+    await this.entryRepository.insert(record);
+    return record;
+  }
+
+  async accrueSale(transaction, now = new Date()) {
+    if (!this.isPayableSeller(transaction.sellerId)) return null;
+
+    // Converted at the rate locked in when the purchase was reserved
+    const rate = transaction.fxRate ?? 1;
+    return this.recordEntry({
+      sellerId: transaction.sellerId,
+      type: 'sale',
+      amount: this.fx.round(transaction.royalty * rate, this.fx.reportingCurrency),
+      grossAmount: this.fx.round(transaction.amount * rate, this.fx.reportingCurrency),
+      saleCurrency: transaction.currency,
+      marketplaceTransactionId: transaction.id,
+      availableAt: moment(now).add(this.settings.holdDays, 'days').toDate()
+    }, now);
+  }
+
+  // Reverses a sale's proceeds; may push the balance negative, which later sales pay down
+  async clawback(transaction, reason, now = new Date()) {
+    const sale = this.entries.find(e => e.type === 'sale' && e.marketplaceTransactionId === transaction.id);
+    const alreadyReversed = this.entries.some(e =>
+      e.type === 'clawback' && e.marketplaceTransactionId === transaction.id);
+    if (!sale || alreadyReversed) return null;
+
+    return this.recordEntry({
+      sellerId: sale.sellerId,
+      type: 'clawback',
+      reason,
+      amount: -sale.amount,
+      currency: sale.currency,
+      marketplaceTransactionId: transaction.id
+    }, now);
+  }
+
+  getBalance(sellerId, now = new Date()) {
+    const round = value => Math.round(value * 100) / 100;
+    let available = 0;
+    let held = 0;
+
+    this.entries.filter(e => e.sellerId === sellerId).forEach(entry => {
+      if (new Date(entry.availableAt) <= now) {
+        available += entry.amount;
+      } else {
+        held += entry.amount;
+      }
+    });
+
+    return { available: round(available), held: round(held), total: round(available + held) };
+  }
+
+  async runPayouts(now = new Date()) {
+    const sellerIds = new Set(this.entries.map(entry => entry.sellerId));
+    const issued = [];
+
+    for (const sellerId of sellerIds) {
+      const { available } = this.getBalance(sellerId, now);
+      if (available < this.settings.minimumPayout) continue;
+
+      const payout = {
+        id: uuidv4(),
+        sellerId,
+        amount: available,
+        currency: this.fx.reportingCurrency,
+        // Disbursement happens outside the platform; the ledger records the settlement
+        status: 'issued',
+        createdAt: now
+      };
+      this.payouts.set(payout.id, payout);
+      await this.payoutRepository.save(payout);
+      await this.recordEntry({ sellerId, type: 'payout', amount: -available, payoutId: payout.id }, now);
+      issued.push(payout);
+    }
+
+    return issued;
+  }
+
+  getStatement(sellerId, now = new Date()) {
+    const byNewest = (a, b) => new Date(b.createdAt) - new Date(a.createdAt);
+
+    return {
+      sellerId,
+      balance: this.getBalance(sellerId, now),
+      minimumPayout: this.settings.minimumPayout,
+      holdDays: this.settings.holdDays,
+      payouts: Array.from(this.payouts.values()).filter(p => p.sellerId === sellerId).sort(byNewest),
+      entries: this.entries.filter(e => e.sellerId === sellerId).sort(byNewest)
+    };
+  }
+}
+
+// Customer-facing tax invoices for completed purchases and paid subscription invoices.
+// Numbers are assigned in issue order with no gaps; each source is invoiced once.
+class InvoiceManager {
+  constructor() {
+    this.invoices = new Map();
+    this.invoiceRepository = new MongoRepository('tax_invoices');
+    this.sequence = 0;
+    this.numberPrefix = 'INV';
+    this.issuer = 'Smugglers Commercial Platform';
+  }
+
+  attachDatabase(database) {
+    this.invoiceRepository.attach(database);
+  }
+
+  async loadState() {
+    const invoices = await this.invoiceRepository.findAll({}, { sequenceNumber: 1 });
+    invoices.forEach(invoice => this.invoices.set(invoice.id, invoice));
+    this.sequence = invoices.reduce((max, invoice) => Math.max(max, invoice.sequenceNumber), 0);
+  }
+
+  findBySource(type, id) {
+    return Array.from(this.invoices.values()).find(i => i.source.type === type && i.source.id === id);
+  }
+
+  getInvoice(idOrNumber) {
+    return this.invoices.get(idOrNumber) ||
+      Array.from(this.invoices.values()).find(invoice => invoice.number === idOrNumber);
+  }
+
+  getInvoicesFor(customerId) {
+    return Array.from(this.invoices.values())
+      .filter(invoice => invoice.customerId === customerId)
+      .sort((a, b) => a.sequenceNumber - b.sequenceNumber);
+  }
+
+  async issue({ customerId, source, currency, lines, subtotal, tax, total, billingAddress }, now = new Date()) {
+    const existing = this.findBySource(source.type, source.id);
+    if (existing) return existing;
+
+    // Claimed before the first await so concurrent issues cannot share a number
+    const sequenceNumber = ++this.sequence;
+    const invoice = {
+      id: uuidv4(),
+      number: `${this.numberPrefix}-${String(sequenceNumber).padStart(6, '0')}`,
+      sequenceNumber,
+      issuer: this.issuer,
+      customerId,
+      billingAddress: billingAddress || null,
+      source,
+      currency,
+      lines,
+      subtotal,
+      tax,
+      total,
+      issuedAt: now
+    };
+    this.invoices.set(invoice.id, invoice);
+    await this.invoiceRepository.insert(invoice);
+    return invoice;
+  }
+
+  async issueForPurchase(transaction, listing) {
+    // Purchases from before tax support were charged exactly their amount
+    const tax = transaction.tax || { inclusive: false, amount: 0, lines: [] };
+    return this.issue({
+      customerId: transaction.buyerId,
+      source: { type: 'marketplace_purchase', id: transaction.id },
+      currency: transaction.currency,
+      lines: [{
+        type: 'marketplace_item',
+        description: listing ? listing.name : `Listing ${transaction.listingId}`,
+        amount: transaction.listPrice ?? transaction.amount
+      }].concat(transaction.discount > 0 ? [{
+        type: 'discount',
+        description: transaction.couponCode ? `Coupon ${transaction.couponCode}` : 'Promotion',
+        amount: -transaction.discount
+      }] : []),
+      subtotal: transaction.amount,
+      tax,
+      total: transaction.totalAmount ?? transaction.amount,
+      billingAddress: transaction.billingAddress
+    }, transaction.completedAt || new Date());
+  }
+
+  async issueForSubscription(billingInvoice, subscription) {
+    return this.issue({
+      customerId: billingInvoice.userId,
+      source: { type: 'subscription_invoice', id: billingInvoice.id },
+      currency: billingInvoice.currency,
+      lines: billingInvoice.lines,
+      subtotal: billingInvoice.subtotal ?? billingInvoice.amount,
+      tax: billingInvoice.tax || { inclusive: false, amount: 0, lines: [] },
+      total: billingInvoice.amount,
+      billingAddress: subscription?.billingAddress
+    }, billingInvoice.paidAt || new Date());
+  }
+
+  // Single-page PDF with the standard Helvetica font, so no PDF library is needed.
+  // Text is limited to printable ASCII, which that font encodes as-is.
+  renderPdf(invoice) {
+    const money = amount => `${Number(amount).toFixed(2)} ${invoice.currency}`;
+    const taxLabel = line => `${line.type === 'sales_tax' ? 'Sales tax' : line.type} ` +
+      `${(line.rate * 100).toFixed(2).replace(/\.?0+$/, '')}% (${line.jurisdiction})`;
+    const { region, country } = invoice.billingAddress || {};
+    const location = [region, country].filter(Boolean).join(', ');
+    const text = [
+      `Invoice ${invoice.number}`,
+      `Issued: ${moment.utc(invoice.issuedAt).format('YYYY-MM-DD')}`,
+      invoice.issuer,
+      `Billed to: ${invoice.customerId}${location ? ` (${location})` : ''}`,
+      '',
+      ...invoice.lines.map(line => `${line.description}: ${money(line.amount)}`),
+      '',
+      `Subtotal excluding tax: ${money(invoice.subtotal)}`,
+      ...invoice.tax.lines.map(line => `${taxLabel(line)}: ${money(line.amount)}`),
+      `Total: ${money(invoice.total)}`,
+      ...(invoice.tax.inclusive ? ['Prices include tax.'] : [])
+    ];
+
+    const escape = value => String(value).replace(/[^\x20-\x7e]/g, '?').replace(/[\\()]/g, '\\$&');
+    const content = ['BT', '/F1 11 Tf', '14 TL', '50 800 Td', ...text.map(line => `(${escape(line)}) '`), 'ET'].join('\n');
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 595 842] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream`,
+      '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+    ];
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+      const offset = pdf.length;
+      pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+  }
+}
+
+class SubscriptionManager {
+  constructor(payments, fx, tax) {
+    this.payments = payments;
+    this.fx = fx;
+    this.tax = tax;
+    this.subscriptions = new Map();
+    this.invoices = new Map();
+    this.subscriptionRepository = new MongoRepository('subscriptions');
+    this.invoiceRepository = new MongoRepository('invoices');
+    // Failed renewals are retried after these delays, then the subscription is suspended.
+    // A payment still unfinished after pendingTimeoutHours counts as failed.
+    this.dunning = { retryDelaysDays: [1, 3, 7], pendingTimeoutHours: 24 };
+    this.plans = {
+      basic: {
+        prices: { USD: 4.99, EUR: 4.99, GBP: 4.49, JPY: 750 },
+        features: ['basic_access', 'community'],
+        period: 'monthly'
+      },
+      premium: {
+        prices: { USD: 9.99, EUR: 9.99, GBP: 8.99, JPY: 1500 },
+        features: ['premium_access', 'early_access', 'customization'],
+        period: 'monthly'
+      },
+      vip: {
+        prices: { USD: 19.99, EUR: 19.99, GBP: 17.99, JPY: 3000 },
+        features: ['vip_access', 'exclusive_content', 'priority_support'],
+        period: 'monthly'
+      },
+      lifetime: {
+        prices: { USD: 99.99, EUR: 99.99, GBP: 89.99, JPY: 15000 },
+        features: ['lifetime_access', 'all_features', 'beta_access'],
+        period: 'lifetime'
+      }
+    };
+  }
+
+  // Currencies missing from a plan's price table are converted from its USD price
+  getPlanPrice(planId, currency = 'USD') {
+    const plan = this.plans[planId];
+    if (!this.fx.supportedCurrencies.includes(currency)) throw new Error(`Unsupported currency: ${currency}`);
+    return plan.prices[currency] ?? this.fx.convert(plan.prices.USD, 'USD', currency);
+  }
+
+  attachDatabase(database) {
+    this.subscriptionRepository.attach(database);
+    this.invoiceRepository.attach(database);
+  }
+
+  async loadState() {
+    const subscriptions = await this.subscriptionRepository.findAll();
+    subscriptions.forEach(subscription => this.subscriptions.set(subscription.id, subscription));
+    const invoices = await this.invoiceRepository.findAll();
+    invoices.forEach(invoice => this.invoices.set(invoice.id, invoice));
+  }
+
+  calculateNextBilling(from, plan) {
+    if (plan.period === 'lifetime') return null;
+    if (plan.period === 'monthly') return moment(from).add(1, 'month').toDate();
+    throw new Error(`Unsupported billing period: ${plan.period}`);
+  }
+
+  async createSubscription(userId, planId, paymentMethod, paymentDetails = {},
+    { currency = 'USD', billingAddress = null } = {}) {
+    const plan = this.plans[planId];
+    if (!plan) throw new Error('Invalid plan');
+    const price = this.getPlanPrice(planId, currency);
+
+    // Subscriptions stay incomplete until the first period (or the lifetime price) is paid
+    const startDate = new Date();
+    const subscription = {
+      id: uuidv4(),
+      userId,
+      planId,
+      status: 'incomplete',
+      startDate,
+      currentPeriodStart: null,
+      nextBilling: null,
+      paymentMethod,
+      // Renewals charge the card or vault the payment processor saved from the first payment.
+      // Gift cards are kept here by id once the first charge has resolved the code, since the
+      // code itself is a bearer credential.
+      paymentDetails: {},
+      retryCount: 0,
+      features: plan.features,
+      currency,
+      billingAddress,
+      revenue: 0
+    };
+    this.subscriptions.set(subscription.id, subscription);
+
+    const { net, gross, tax } = this.tax.calculate(price, currency, billingAddress);
+    const invoice = {
+      id: uuidv4(),
+      kind: 'initial',
+      subscriptionId: subscription.id,
+      userId,
+      planId,
+      lines: [{ type: 'subscription', description: `${planId} plan`, amount: price }],
+      subtotal: net,
+      tax,
+      amount: gross,
+      currency,
+      periodStart: startDate,
+      periodEnd: this.calculateNextBilling(startDate, plan),
+      status: 'open',
+      attempts: 0,
+      paymentIds: [],
+      createdAt: startDate
+    };
+    this.invoices.set(invoice.id, invoice);
+
+    const results = { paid: [], failed: [], pending: [], suspended: [] };
+    const payment = await this.attemptInvoicePayment(subscription, invoice, startDate,
+      { ...paymentDetails, savePaymentSource: true });
+    if (payment.giftCardId) subscription.paymentDetails.giftCardId = payment.giftCardId;
+    await this.applyPaymentOutcome(subscription, invoice, payment, results, startDate);
+    return { subscription, invoice };
+  }
+
+  isIncomplete(subscription) {
+    return ['incomplete', 'incomplete_expired'].includes(subscription.status);
+  }
+
+  // Pushes the next renewal back, e.g. as a referral reward
+  async grantFreeDays(subscription, days) {
+    subscription.nextBilling = moment(subscription.nextBilling).add(days, 'days').toDate();
+    subscription.freeDaysGranted = (subscription.freeDaysGranted || 0) + days;
+    await this.subscriptionRepository.save(subscription);
+    return subscription;
+  }
+
+  async cancelSubscription(subscriptionId) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) throw new Error('Subscription not found');
+
+    subscription.status = 'cancelled';
+    subscription.cancelledAt = new Date();
+    subscription.nextBilling = null;
+    await this.subscriptionRepository.save(subscription);
     return subscription;
   }
 
-  cancelSubscription(subscriptionId) {
-    const subscription = this.subscriptions.get(subscriptionId);
-    if (!subscription) throw new Error('Subscription not found');
+  getInvoices(subscriptionId) {
+    return Array.from(this.invoices.values())
+      .filter(invoice => invoice.subscriptionId === subscriptionId)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+  }
+
+  isDue(subscription, now) {
+    if (subscription.status === 'active') {
+      return Boolean(subscription.nextBilling) && new Date(subscription.nextBilling) <= now;
+    }
+    if (subscription.status === 'past_due') {
+      return Boolean(subscription.nextRetryAt) && new Date(subscription.nextRetryAt) <= now;
+    }
+    return false;
+  }
+
+  async runBillingCycle(now = new Date()) {
+    const results = { paid: [], failed: [], pending: [], suspended: [] };
+
+    await this.reconcilePendingInvoices(results, now);
+
+    for (const subscription of this.subscriptions.values()) {
+      if (!this.isDue(subscription, now)) continue;
+      if (subscription.openInvoiceId && this.invoices.get(subscription.openInvoiceId)?.pendingPaymentId) continue;
+
+      try {
+        await this.chargeSubscription(subscription, results, now);
+      } catch (error) {
+        logger.error(`Billing error for subscription ${subscription.id}:`, error.message);
+      }
+    }
+
+    return results;
+  }
+
+  async chargeSubscription(subscription, results, now) {
+    let invoice = subscription.openInvoiceId && this.invoices.get(subscription.openInvoiceId);
+    if (!invoice) {
+      const periodStart = new Date(subscription.nextBilling);
+      this.applyScheduledChange(subscription, periodStart);
+
+      const plan = this.plans[subscription.planId];
+      const currency = subscription.currency || 'USD';
+      const price = this.getPlanPrice(subscription.planId, currency);
+      const { net, gross, tax } = this.tax.calculate(price, currency, subscription.billingAddress);
+      invoice = {
+        id: uuidv4(),
+        kind: 'renewal',
+        subscriptionId: subscription.id,
+        userId: subscription.userId,
+        planId: subscription.planId,
+        lines: [{ type: 'subscription', description: `${subscription.planId} plan`, amount: price }],
+        // Lines are at listed prices; subtotal is net of tax and amount is the total charged
+        subtotal: net,
+        tax,
+        amount: gross,
+        currency,
+        periodStart,
+        periodEnd: this.calculateNextBilling(periodStart, plan),
+        status: 'open',
+        attempts: 0,
+        paymentIds: [],
+        createdAt: now
+      };
+      this.invoices.set(invoice.id, invoice);
+      subscription.openInvoiceId = invoice.id;
+    }
+
+    const payment = await this.attemptInvoicePayment(subscription, invoice, now);
+    await this.applyPaymentOutcome(subscription, invoice, payment, results, now);
+  }
+
+  // Without paymentDetails the subscriber is not present, so the saved source is charged off-session
+  async attemptInvoicePayment(subscription, invoice, now,
+    paymentDetails = { ...subscription.paymentDetails, offSession: true }) {
+    invoice.attempts++;
+    invoice.lastAttemptAt = now;
+
+    let payment;
+    try {
+      payment = await this.payments.processPayment(invoice.amount, invoice.currency, subscription.paymentMethod, {
+        ...paymentDetails,
+        userId: subscription.userId,
+        subscriptionId: subscription.id,
+        invoiceId: invoice.id
+      });
+    } catch (error) {
+      payment = { id: null, status: 'failed', failureReason: error.message };
+    }
+
+    if (payment.id) invoice.paymentIds.push(payment.id);
+    return payment;
+  }
+
+  // Fraction of the current billing period that has not been used yet
+  getRemainingPeriodFraction(subscription, now) {
+    if (!subscription.nextBilling) return 0;
+
+    const start = new Date(subscription.currentPeriodStart || subscription.startDate).getTime();
+    const end = new Date(subscription.nextBilling).getTime();
+    if (end <= start) return 0;
+
+    return Math.min(1, Math.max(0, (end - now.getTime()) / (end - start)));
+  }
+
+  switchPlan(subscription, planId, now) {
+    const plan = this.plans[planId];
+    subscription.previousPlanId = subscription.planId;
+    subscription.planId = planId;
+    subscription.features = plan.features;
+    subscription.planChangedAt = now;
+    subscription.scheduledChange = null;
+    if (plan.period === 'lifetime') subscription.nextBilling = null;
+  }
+
+  applyScheduledChange(subscription, periodStart) {
+    const change = subscription.scheduledChange;
+    if (!change || new Date(change.effectiveAt) > periodStart) return;
+
+    this.switchPlan(subscription, change.planId, periodStart);
+  }
+
+  async changePlan(subscriptionId, planId, now = new Date()) {
+    const subscription = this.subscriptions.get(subscriptionId);
+    if (!subscription) throw new Error('Subscription not found');
+    if (subscription.status !== 'active') throw new Error('Only active subscriptions can change plan');
+
+    const currentPlan = this.plans[subscription.planId];
+    const newPlan = this.plans[planId];
+    if (!newPlan) throw new Error('Invalid plan');
+    if (currentPlan.period === 'lifetime') throw new Error('Lifetime subscriptions cannot change plan');
+
+    // Switching back to the current plan withdraws a pending downgrade
+    if (planId === subscription.planId) {
+      subscription.scheduledChange = null;
+      await this.subscriptionRepository.save(subscription);
+      return { subscription, invoice: null };
+    }
+
+    const currency = subscription.currency || 'USD';
+    const currentPrice = this.getPlanPrice(subscription.planId, currency);
+    const newPrice = this.getPlanPrice(planId, currency);
+    const isUpgrade = newPlan.period === 'lifetime' || newPrice > currentPrice;
+
+    // Downgrades keep the paid-for plan until the period ends
+    if (!isUpgrade) {
+      subscription.scheduledChange = { planId, effectiveAt: subscription.nextBilling, requestedAt: now };
+      await this.subscriptionRepository.save(subscription);
+      return { subscription, invoice: null };
+    }
+
+    const remaining = this.getRemainingPeriodFraction(subscription, now);
+    const credit = this.fx.round(currentPrice * remaining, currency);
+    const charge = newPlan.period === 'lifetime' ? newPrice : this.fx.round(newPrice * remaining, currency);
+    const { net, gross, tax } = this.tax.calculate(
+      Math.max(0, this.fx.round(charge - credit, currency)), currency, subscription.billingAddress);
+
+    const invoice = {
+      id: uuidv4(),
+      kind: 'plan_change',
+      subscriptionId: subscription.id,
+      userId: subscription.userId,
+      planId,
+      planChange: { from: subscription.planId, to: planId },
+      lines: [
+        { type: 'proration_credit', description: `Unused time on ${subscription.planId} plan`, amount: -credit },
+        { type: 'proration_charge', description: `Remaining time on ${planId} plan`, amount: charge }
+      ],
+      subtotal: net,
+      tax,
+      amount: gross,
+      currency,
+      periodStart: now,
+      periodEnd: subscription.nextBilling,
+      status: 'open',
+      attempts: 0,
+      paymentIds: [],
+      createdAt: now
+    };
+    this.invoices.set(invoice.id, invoice);
+
+    const results = { paid: [], failed: [], pending: [], suspended: [] };
+    const payment = invoice.amount > 0 ?
+      await this.attemptInvoicePayment(subscription, invoice, now) :
+      { id: null, status: 'completed' };
+    await this.applyPaymentOutcome(subscription, invoice, payment, results, now);
+
+    if (invoice.status === 'void') {
+      throw new Error(`Plan change payment failed: ${invoice.lastFailureReason}`);
+    }
+
+    return { subscription, invoice };
+  }
+
+  async reconcilePendingInvoices(results, now) {
+    const pending = Array.from(this.invoices.values()).filter(invoice => invoice.pendingPaymentId);
+
+    for (const invoice of pending) {
+      let payment = this.payments.transactions.find(t => t.id === invoice.pendingPaymentId);
+      const subscription = this.subscriptions.get(invoice.subscriptionId);
+      if (!payment || !subscription) continue;
+
+      if (payment.status === 'processing') {
+        if (!this.isPendingTooLong(invoice, now)) continue;
+        try {
+          payment = await this.payments.abandonPayment(payment.id, 'Payment was not completed in time');
+        } catch (error) {
+          logger.error(`Could not abandon payment ${payment.id} for invoice ${invoice.id}:`, error.message);
+          continue;
+        }
+      }
+
+      await this.applyPaymentOutcome(subscription, invoice, payment, results, now);
+    }
+  }
+
+  isPendingTooLong(invoice, now) {
+    return moment(now).diff(invoice.lastAttemptAt, 'hours', true) >= this.dunning.pendingTimeoutHours;
+  }
+
+  async applyPaymentOutcome(subscription, invoice, payment, results, now) {
+    if (invoice.kind === 'plan_change') {
+      return this.applyPlanChangeOutcome(subscription, invoice, payment, results, now);
+    }
+    if (invoice.kind === 'initial') {
+      return this.applyInitialPaymentOutcome(subscription, invoice, payment, results, now);
+    }
+
+    switch (payment.status) {
+      case 'completed':
+        invoice.status = 'paid';
+        invoice.paidAt = now;
+        invoice.pendingPaymentId = null;
+        subscription.status = 'active';
+        subscription.retryCount = 0;
+        subscription.nextRetryAt = null;
+        subscription.openInvoiceId = null;
+        subscription.currentPeriodStart = invoice.periodStart;
+        subscription.nextBilling = invoice.periodEnd;
+        subscription.revenue += invoice.subtotal ?? invoice.amount;
+        results.paid.push(invoice);
+        break;
+
+      case 'processing':
+        // Settled by a later cycle once the payment webhook lands
+        invoice.pendingPaymentId = payment.id;
+        results.pending.push(invoice);
+        break;
+
+      default:
+        invoice.pendingPaymentId = null;
+        invoice.lastFailureReason = payment.failureReason || 'Payment failed';
+        subscription.retryCount = (subscription.retryCount || 0) + 1;
+
+        if (subscription.retryCount > this.dunning.retryDelaysDays.length) {
+          invoice.status = 'uncollectible';
+          subscription.status = 'suspended';
+          subscription.suspendedAt = now;
+          subscription.nextRetryAt = null;
+          subscription.openInvoiceId = null;
+          results.suspended.push(invoice);
+          logger.warn(`Subscription ${subscription.id} suspended after ${subscription.retryCount} failed payments`);
+        } else {
+          const delayDays = this.dunning.retryDelaysDays[subscription.retryCount - 1];
+          subscription.status = 'past_due';
+          subscription.nextRetryAt = moment(now).add(delayDays, 'days').toDate();
+          results.failed.push(invoice);
+        }
+    }
+
+    await this.invoiceRepository.save(invoice);
+    await this.subscriptionRepository.save(subscription);
+  }
+
+  // The first charge gets no dunning: a declined signup never becomes a subscription
+  async applyInitialPaymentOutcome(subscription, invoice, payment, results, now) {
+    switch (payment.status) {
+      case 'completed':
+        invoice.status = 'paid';
+        invoice.paidAt = now;
+        invoice.pendingPaymentId = null;
+        subscription.status = 'active';
+        subscription.activatedAt = now;
+        subscription.currentPeriodStart = invoice.periodStart;
+        subscription.nextBilling = invoice.periodEnd;
+        subscription.revenue += invoice.subtotal ?? invoice.amount;
+        results.paid.push(invoice);
+        break;
+
+      case 'processing':
+        // Activated by a later billing cycle once the payment webhook lands
+        invoice.pendingPaymentId = payment.id;
+        results.pending.push(invoice);
+        break;
+
+      default:
+        invoice.status = 'void';
+        invoice.pendingPaymentId = null;
+        invoice.lastFailureReason = payment.failureReason || 'Payment failed';
+        subscription.status = 'incomplete_expired';
+        results.failed.push(invoice);
+    }
+
+    await this.invoiceRepository.save(invoice);
+    await this.subscriptionRepository.save(subscription);
+  }
+
+  // Plan change invoices are one-off charges: no dunning, the change only lands once paid
+  async applyPlanChangeOutcome(subscription, invoice, payment, results, now) {
+    switch (payment.status) {
+      case 'completed':
+        invoice.status = 'paid';
+        invoice.paidAt = now;
+        invoice.pendingPaymentId = null;
+        this.switchPlan(subscription, invoice.planChange.to, now);
+        subscription.revenue += invoice.subtotal ?? invoice.amount;
+        results.paid.push(invoice);
+        break;
+
+      case 'processing':
+        invoice.pendingPaymentId = payment.id;
+        results.pending.push(invoice);
+        break;
+
+      default:
+        invoice.status = 'void';
+        invoice.pendingPaymentId = null;
+        invoice.lastFailureReason = payment.failureReason || 'Payment failed';
+        results.failed.push(invoice);
+    }
+
+    await this.invoiceRepository.save(invoice);
+    await this.subscriptionRepository.save(subscription);
+  }
+
+  // Revenue figures are converted to the reporting currency at current rates
+  getSubscriptionAnalytics() {
+    const activeSubscriptions = Array.from(this.subscriptions.values())
+      .filter(s => s.status === 'active');
+    const reportingRevenue = s => this.fx.convert(s.revenue, s.currency || 'USD', this.fx.reportingCurrency);
+    const totalRevenue = activeSubscriptions.reduce((sum, s) => sum + reportingRevenue(s), 0);
+
+    const revenueByPlan = {};
+    Object.keys(this.plans).forEach(planId => {
+      revenueByPlan[planId] = activeSubscriptions
+        .filter(s => s.planId === planId)
+        .reduce((sum, s) => sum + reportingRevenue(s), 0);
+    });
+
+    const activeByCurrency = {};
+    activeSubscriptions.forEach(s => {
+      const currency = s.currency || 'USD';
+      activeByCurrency[currency] = (activeByCurrency[currency] || 0) + 1;
+    });
+
+    return {
+      reportingCurrency: this.fx.reportingCurrency,
+      totalActive: activeSubscriptions.length,
+      totalRevenue,
+      revenueByPlan,
+      activeByCurrency,
+      churnRate: this.calculateChurnRate(),
+      cohortRetention: this.getCohortRetention(),
+      averageRevenuePerUser: activeSubscriptions.length > 0 ? totalRevenue / activeSubscriptions.length : 0
+    };
+  }
+
+  getSubscriptionEnd(subscription) {
+    const end = subscription.cancelledAt || subscription.suspendedAt;
+    return end ? new Date(end) : null;
+  }
+
+  // Subscriptions whose first payment never completed were never active
+  wasActiveAt(subscription, date) {
+    if (this.isIncomplete(subscription)) return false;
+
+    const end = this.getSubscriptionEnd(subscription);
+    return new Date(subscription.activatedAt || subscription.startDate) <= date && (!end || end > date);
+  }
+
+  // Share of subscriptions active at the start of the window that ended within it
+  calculateChurnRate(now = new Date(), windowDays = 30) {
+    const windowStart = moment(now).subtract(windowDays, 'days').toDate();
+    const atStart = Array.from(this.subscriptions.values())
+      .filter(s => this.wasActiveAt(s, windowStart));
+    if (atStart.length === 0) return 0;
+
+    const churned = atStart.filter(s => {
+      const end = this.getSubscriptionEnd(s);
+      return end && end <= now;
+    });
+
+    return churned.length / atStart.length;
+  }
+
+  // Monthly signup cohorts; retention[k] is the share still subscribed at the end of month k
+  getCohortRetention(now = new Date()) {
+    const cohorts = {};
+    this.subscriptions.forEach(subscription => {
+      if (this.isIncomplete(subscription)) return;
+      const key = moment.utc(subscription.startDate).format('YYYY-MM');
+      if (!cohorts[key]) cohorts[key] = [];
+      cohorts[key].push(subscription);
+    });
+
+    const retention = {};
+    Object.keys(cohorts).sort().forEach(key => {
+      const members = cohorts[key];
+      const cohortStart = moment.utc(key, 'YYYY-MM');
+      const rates = [];
+
+      for (let offset = 0; cohortStart.clone().add(offset, 'months').isSameOrBefore(now); offset++) {
+        const checkpoint = moment.min(cohortStart.clone().add(offset + 1, 'months'), moment.utc(now)).toDate();
+        const retained = members.filter(s => this.wasActiveAt(s, checkpoint)).length;
+        rates.push(retained / members.length);
+      }
+
+      retention[key] = { size: members.length, retention: rates };
+    });
+
+    return retention;
+  }
+}
+
+class CommercialAnalytics {
+  constructor(marketplace, subscriptions, fx) {
+    this.marketplace = marketplace;
+    this.subscriptions = subscriptions;
+    this.fx = fx;
+    this.metrics = {
+      revenue: { total: 0, monthly: {}, bySource: {} },
+      users: { total: 0, active: 0, demographics: {} },
+      engagement: { sessionDuration: 0, retention: {}, churn: {} },
+      market: { competitors: [], trends: {}, opportunities: [] },
+      acquisition: { channels: {}, campaigns: {}, costs: {} }
+    };
+  }
+
+  updateMetric(category, subcategory, value) {
+    if (!this.metrics[category]) this.metrics[category] = {};
+    if (!this.metrics[category][subcategory]) this.metrics[category][subcategory] = {};
+
+    this.metrics[category][subcategory] = value;
+  }
+
+  getDashboardData() {
+    return {
+      summary: {
+        totalRevenue: this.metrics.revenue.total,
+        monthlyRevenue: this.metrics.revenue.monthly,
+        totalUsers: this.metrics.users.total,
+        activeUsers: this.metrics.users.active,
+        payingUsers: this.getRevenueByCustomer().size,
+        customerAcquisitionCost: this.calculateCAC(),
+        lifetimeValue: this.calculateLTV(),
+        churnRate: this.metrics.engagement.churn.monthly ?? 0
+      },
+      charts: {
+        revenue: this.metrics.revenue.monthly,
+        userGrowth: this.metrics.users.demographics,
+        engagement: this.metrics.engagement.retention,
+        acquisition: this.metrics.acquisition.channels
+      },
+      kpis: {
+        arpu: this.calculateARPU(),
+        conversionRate: this.calculateConversionRate(),
+        retentionRate: this.calculateRetentionRate(),
+        roi: this.calculateROI()
+      }
+    };
+  }
+
+  calculateCAC() {
+    const totalAcquisitionCost = Object.values(this.metrics.acquisition.costs).reduce((a, b) => a + b, 0);
+    return this.metrics.users.total > 0 ? totalAcquisitionCost / this.metrics.users.total : 0;
+  }
+
+  // Completed marketplace purchases and paid subscription invoices, net of tax, in the reporting currency
+  getRevenueEvents() {
+    const purchases = this.marketplace.transactions
+      .filter(t => t.status === 'completed')
+      .map(t => ({
+        userId: t.buyerId,
+        stream: 'marketplace',
+        amount: this.marketplace.toReporting(t),
+        occurredAt: new Date(t.completedAt || t.timestamp)
+      }));
+    const invoices = Array.from(this.subscriptions.invoices.values())
+      .filter(invoice => invoice.status === 'paid' && invoice.amount > 0)
+      .map(invoice => ({
+        userId: invoice.userId,
+        stream: 'subscriptions',
+        amount: this.fx.toReporting(invoice.subtotal ?? invoice.amount, invoice.currency || 'USD', invoice.paidAt)
+          .reportingAmount,
+        occurredAt: new Date(invoice.paidAt)
+      }));
+    return [...purchases, ...invoices];
+  }
+
+  // Net revenue per paying customer, in the reporting currency
+  getRevenueByCustomer(events = this.getRevenueEvents()) {
+    const byCustomer = new Map();
+    events.forEach(event => byCustomer.set(event.userId, (byCustomer.get(event.userId) || 0) + event.amount));
+    return byCustomer;
+  }
+
+  averageRevenuePerCustomer(events) {
+    const byCustomer = this.getRevenueByCustomer(events);
+    if (byCustomer.size === 0) return 0;
+
+    const total = Array.from(byCustomer.values()).reduce((sum, amount) => sum + amount, 0);
+    return this.fx.round(total / byCustomer.size, this.fx.reportingCurrency);
+  }
+
+  // Realised lifetime value: what the average paying customer has spent so far
+  calculateLTV(events = this.getRevenueEvents()) {
+    return this.averageRevenuePerCustomer(events);
+  }
+
+  calculateARPU() {
+    return this.metrics.users.total > 0 ? this.metrics.revenue.total / this.metrics.users.total : 0;
+  }
+
+  calculateConversionRate() {
+    return this.metrics.users.total > 0 ? this.getRevenueByCustomer().size / this.metrics.users.total : 0;
+  }
+
+  calculateRetentionRate() {
+    return 1 - (this.metrics.engagement.churn.monthly ?? 0);
+  }
+
+  // What the average paying customer brought in over the 30 days before `now`
+  calculateMonthlyValue(events = this.getRevenueEvents(), now = new Date()) {
+    const windowStart = moment(now).subtract(30, 'days').toDate();
+    return this.averageRevenuePerCustomer(events
+      .filter(event => event.occurredAt >= windowStart && event.occurredAt <= now));
+  }
+
+  // Months needed to earn back an acquisition cost at the average customer's monthly value
+  calculatePaybackPeriod(acquisitionCost, monthlyValue = this.calculateMonthlyValue()) {
+    return acquisitionCost != null && monthlyValue > 0 ? acquisitionCost / monthlyValue : null;
+  }
+
+  calculateROI() {
+    const totalInvestment = Object.values(this.metrics.acquisition.costs).reduce((a, b) => a + b, 0);
+    return totalInvestment > 0 ? (this.metrics.revenue.total - totalInvestment) / totalInvestment : 0;
+  }
+}
+
+// Raised for acquisition events and campaign changes that cannot be accepted
+class AcquisitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AcquisitionError';
+  }
+}
+
+class UserAcquisitionManager {
+  constructor(fx, analytics) {
+    this.fx = fx;
+    this.analytics = analytics;
+    this.campaigns = new Map();
+    this.campaignRepository = new MongoRepository('campaigns');
+    // Clicks and conversions are kept per visitor so revenue can be traced back to the
+    // campaigns that brought them in; impressions only feed the campaign counters
+    this.touchpoints = [];
+    this.touchpointRepository = new MongoRepository('acquisition_touchpoints');
+    this.touchpointEvents = ['click', 'conversion'];
+    // anonymousId -> userId, learned from events that carry both
+    this.identities = new Map();
+    this.attributionModels = ['first_touch', 'last_touch', 'linear'];
+    this.attributionWindowDays = 30;
+    this.campaignTransitions = {
+      scheduled: ['active', 'paused', 'ended'],
+      active: ['paused', 'ended'],
+      paused: ['scheduled', 'active', 'ended'],
+      ended: []
+    };
+    // Spend running more than this share of the budget ahead of an even schedule raises a pacing alert
+    this.pacingTolerance = 0.2;
+    this.maxAlertsPerCampaign = 20;
+    this.channels = {
+      social_media: { costPerAcquisition: 2.50, conversionRate: 0.03 },
+      google_ads: { costPerAcquisition: 5.00, conversionRate: 0.02 },
+      influencers: { costPerAcquisition: 8.00, conversionRate: 0.04 },
+      content_marketing: { costPerAcquisition: 1.50, conversionRate: 0.015 },
+      referrals: { costPerAcquisition: 0.50, conversionRate: 0.08 },
+      partnerships: { costPerAcquisition: 3.00, conversionRate: 0.025 }
+    };
+  }
+
+  attachDatabase(database) {
+    this.campaignRepository.attach(database);
+    this.touchpointRepository.attach(database);
+  }
+
+  async loadState() {
+    const campaigns = await this.campaignRepository.findAll();
+    campaigns.forEach(campaign => this.campaigns.set(campaign.id, campaign));
+    this.touchpoints = await this.touchpointRepository.findAll({}, { occurredAt: 1 });
+    this.touchpoints
+      .filter(touchpoint => touchpoint.userId && touchpoint.anonymousId)
+      .forEach(touchpoint => this.identities.set(touchpoint.anonymousId, touchpoint.userId));
+  }
+
+  async createCampaign(campaignData, now = new Date()) {
+    const startsAt = campaignData.startsAt ? new Date(campaignData.startsAt) : now;
+    const endsAt = campaignData.endsAt ? new Date(campaignData.endsAt) : null;
+    if (isNaN(startsAt) || (endsAt && (isNaN(endsAt) || endsAt <= startsAt || endsAt <= now))) {
+      throw new AcquisitionError('Invalid campaign schedule');
+    }
+    if (campaignData.dailyBudget > campaignData.budget) {
+      throw new AcquisitionError('Daily budget cannot exceed the lifetime budget');
+    }
+
+    const campaign = {
+      ...campaignData,
+      id: uuidv4(),
+      status: startsAt > now ? 'scheduled' : 'active',
+      pausedReason: null,
+      startsAt,
+      endsAt,
+      dailyBudget: campaignData.dailyBudget ?? null,
+      alerts: [],
+      createdAt: now,
+      metrics: {
+        impressions: 0,
+        clicks: 0,
+        conversions: 0,
+        cost: 0,
+        // Spend per UTC day, keyed YYYY-MM-DD, for the daily cap
+        dailyCost: {}
+      }
+    };
+    this.campaigns.set(campaign.id, campaign);
+    await this.campaignRepository.save(campaign);
+    return campaign;
+  }
+
+  setCampaignStatus(campaign, status, pausedReason = null, now = new Date()) {
+    if (status === campaign.status && pausedReason === campaign.pausedReason) return;
+    if (status !== campaign.status && !this.campaignTransitions[campaign.status].includes(status)) {
+      throw new AcquisitionError(`Cannot change campaign from ${campaign.status} to ${status}`);
+    }
+
+    campaign.status = status;
+    campaign.pausedReason = status === 'paused' ? pausedReason : null;
+    campaign.statusChangedAt = now;
+    if (status === 'ended') campaign.endedAt = now;
+  }
+
+  getDailySpend(campaign, now = new Date()) {
+    return campaign.metrics.dailyCost?.[moment.utc(now).format('YYYY-MM-DD')] || 0;
+  }
+
+  // Which budget cap, if any, leaves the campaign nothing to spend
+  exhaustedCap(campaign, now = new Date()) {
+    if (campaign.budget != null && campaign.metrics.cost >= campaign.budget) return 'lifetime_budget';
+    if (campaign.dailyBudget != null && this.getDailySpend(campaign, now) >= campaign.dailyBudget) return 'daily_budget';
+    return null;
+  }
+
+  // Applies the schedule and budget caps: starts scheduled campaigns, ends expired ones,
+  // pauses capped ones and resumes those paused by yesterday's daily cap. Returns whether
+  // the campaign changed and needs saving.
+  refreshCampaign(campaign, now = new Date()) {
+    if (campaign.status === 'ended') return false;
+    const previous = `${campaign.status}:${campaign.pausedReason}:${(campaign.alerts || []).length}`;
+
+    if (campaign.endsAt && now >= new Date(campaign.endsAt)) {
+      this.setCampaignStatus(campaign, 'ended', null, now);
+      return true;
+    }
+    if (campaign.status === 'scheduled' && now >= new Date(campaign.startsAt)) {
+      this.setCampaignStatus(campaign, 'active', null, now);
+    }
+    if (campaign.status === 'paused' && campaign.pausedReason === 'daily_budget' &&
+      this.exhaustedCap(campaign, now) !== 'daily_budget') {
+      this.setCampaignStatus(campaign, 'active', null, now);
+    }
+    if (campaign.status === 'active') {
+      const cap = this.exhaustedCap(campaign, now);
+      if (cap) {
+        this.setCampaignStatus(campaign, 'paused', cap, now);
+        logger.info(`Campaign ${campaign.id} paused: ${cap.replace('_', ' ')} reached`);
+      } else {
+        this.checkPacing(campaign, now);
+      }
+    }
+
+    return previous !== `${campaign.status}:${campaign.pausedReason}:${(campaign.alerts || []).length}`;
+  }
+
+  // Compares spend with an even schedule over the campaign's run and over the current UTC day.
+  // Each scope alerts at most once a day.
+  checkPacing(campaign, now = new Date()) {
+    const date = moment.utc(now).format('YYYY-MM-DD');
+    const scopes = [];
+
+    if (campaign.endsAt && campaign.budget > 0) {
+      const start = new Date(campaign.startsAt).getTime();
+      const elapsed = (now.getTime() - start) / (new Date(campaign.endsAt).getTime() - start);
+      scopes.push({ scope: 'lifetime', budget: campaign.budget, spent: campaign.metrics.cost, elapsed });
+    }
+    if (campaign.dailyBudget > 0) {
+      const elapsed = (now.getTime() - moment.utc(now).startOf('day').valueOf()) / (24 * 60 * 60 * 1000);
+      scopes.push({ scope: 'daily', budget: campaign.dailyBudget, spent: this.getDailySpend(campaign, now), elapsed });
+    }
+
+    campaign.alerts ||= [];
+    scopes.forEach(({ scope, budget, spent, elapsed }) => {
+      const expected = budget * Math.min(1, Math.max(0, elapsed));
+      if (spent - expected <= budget * this.pacingTolerance) return;
+      if (campaign.alerts.some(alert => alert.scope === scope && alert.date === date)) return;
+
+      const alert = {
+        type: 'pacing',
+        scope,
+        date,
+        spent: Math.round(spent * 100) / 100,
+        expected: Math.round(expected * 100) / 100,
+        budget,
+        raisedAt: now
+      };
+      campaign.alerts = [...campaign.alerts, alert].slice(-this.maxAlertsPerCampaign);
+      logger.warn(`Campaign ${campaign.id} is overpacing its ${scope} budget: spent ${alert.spent} of ` +
+        `${budget}, expected ${alert.expected} by now`);
+    });
+  }
+
+  async refreshCampaigns(now = new Date()) {
+    const changed = [];
+    for (const campaign of this.campaigns.values()) {
+      if (this.refreshCampaign(campaign, now)) {
+        await this.campaignRepository.save(campaign);
+        changed.push(campaign);
+      }
+    }
+    return changed;
+  }
+
+  async pauseCampaign(campaignId, now = new Date()) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) throw new AcquisitionError('Campaign not found');
+
+    this.refreshCampaign(campaign, now);
+    this.setCampaignStatus(campaign, 'paused', 'manual', now);
+    await this.campaignRepository.save(campaign);
+    return campaign;
+  }
+
+  async resumeCampaign(campaignId, now = new Date()) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) throw new AcquisitionError('Campaign not found');
 
-    subscription.status = 'cancelled';
-    subscription.cancelledAt = new Date();
-    return subscription;
+    this.refreshCampaign(campaign, now);
+    if (campaign.status === 'ended') throw new AcquisitionError('Campaign has ended');
+    const cap = this.exhaustedCap(campaign, now);
+    if (cap) throw new AcquisitionError(`Campaign has reached its ${cap.replace('_', ' ')}`);
+
+    this.setCampaignStatus(campaign, new Date(campaign.startsAt || campaign.createdAt) > now ? 'scheduled' : 'active',
+      null, now);
+    await this.campaignRepository.save(campaign);
+    return campaign;
   }
 
-  getSubscriptionAnalytics() {
-    const activeSubscriptions = Array.from(this.subscriptions.values())
-      .filter(s => s.status === 'active');
+  async endCampaign(campaignId, now = new Date()) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) throw new AcquisitionError('Campaign not found');
 
-    const revenueByPlan = {};
-    Object.keys(this.plans).forEach(planId => {
-      revenueByPlan[planId] = activeSubscriptions
-        .filter(s => s.planId === planId)
-        .reduce((sum, s) => sum + s.revenue, 0);
+    this.setCampaignStatus(campaign, 'ended', null, now);
+    await this.campaignRepository.save(campaign);
+    return campaign;
+  }
+
+  async trackAcquisitionEvent(campaignId, eventType, data, { userId = null, anonymousId = null } = {},
+    now = new Date()) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) return;
+
+    const isTouchpoint = this.touchpointEvents.includes(eventType);
+    if (isTouchpoint && !userId && !anonymousId) {
+      throw new AcquisitionError(`${eventType} events need a userId or anonymousId`);
+    }
+
+    // Campaigns that are not running should not be serving, so their impressions and clicks
+    // are refused; conversions from earlier clicks still count
+    this.refreshCampaign(campaign, now);
+    if (eventType !== 'conversion' && campaign.status !== 'active') {
+      throw new AcquisitionError('Campaign is not active');
+    }
+
+    switch (eventType) {
+      case 'impression':
+        campaign.metrics.impressions++;
+        break;
+      case 'click':
+        campaign.metrics.clicks++;
+        break;
+      case 'conversion':
+        campaign.metrics.conversions++;
+        this.recordSpend(campaign, data.cost || 0, now);
+        break;
+    }
+
+    this.refreshCampaign(campaign, now);
+    await this.campaignRepository.save(campaign);
+    if (isTouchpoint) {
+      await this.recordTouchpoint(campaign, eventType, userId, anonymousId, now);
+    }
+  }
+
+  // Tracking events the guard refused, by reason, so inflated traffic stays visible
+  async recordFilteredEvent(campaignId, reason) {
+    const campaign = this.campaigns.get(campaignId);
+    if (!campaign) return;
+
+    campaign.metrics.filtered ||= {};
+    campaign.metrics.filtered[reason] = (campaign.metrics.filtered[reason] || 0) + 1;
+    await this.campaignRepository.save(campaign);
+  }
+
+  recordSpend(campaign, cost, now = new Date()) {
+    const date = moment.utc(now).format('YYYY-MM-DD');
+    campaign.metrics.cost += cost;
+    campaign.metrics.dailyCost ||= {};
+    campaign.metrics.dailyCost[date] = (campaign.metrics.dailyCost[date] || 0) + cost;
+  }
+
+  async recordTouchpoint(campaign, eventType, userId, anonymousId, occurredAt = new Date()) {
+    if (userId && anonymousId) this.identities.set(anonymousId, userId);
+
+    const touchpoint = {
+      id: uuidv4(),
+      campaignId: campaign.id,
+      channel: campaign.channel,
+      eventType,
+      userId,
+      anonymousId,
+      occurredAt
+    };
+    this.touchpoints.push(touchpoint);
+    await this.touchpointRepository.insert(touchpoint);
+    return touchpoint;
+  }
+
+  // Anonymous touchpoints count once the visitor has been seen with a user ID
+  resolveUser(touchpoint) {
+    return touchpoint.userId || this.identities.get(touchpoint.anonymousId) || null;
+  }
+
+  // Share of one revenue event each touchpoint on the visitor's path receives
+  assignCredit(model, path) {
+    switch (model) {
+      case 'first_touch': return [{ touchpoint: path[0], weight: 1 }];
+      case 'last_touch': return [{ touchpoint: path[path.length - 1], weight: 1 }];
+      case 'linear': return path.map(touchpoint => ({ touchpoint, weight: 1 / path.length }));
+      default: throw new Error(`Unsupported attribution model: ${model}`);
+    }
+  }
+
+  // Credits each revenue event to the touchpoints in the window before it, under every model
+  getAttribution(events = this.analytics.getRevenueEvents()) {
+    const journeys = new Map();
+    this.touchpoints.forEach(touchpoint => {
+      const userId = this.resolveUser(touchpoint);
+      if (!userId) return;
+      if (!journeys.has(userId)) journeys.set(userId, []);
+      journeys.get(userId).push(touchpoint);
+    });
+
+    const windowMs = this.attributionWindowDays * 24 * 60 * 60 * 1000;
+    const emptyTotals = () => ({ revenue: 0, marketplaceRevenue: 0, subscriptionRevenue: 0, conversions: 0 });
+    const models = Object.fromEntries(this.attributionModels.map(model => [model, {
+      attributedRevenue: 0,
+      byCampaign: {},
+      byChannel: {}
+    }]));
+    const credit = (totals, event, weight) => {
+      totals.revenue += event.amount * weight;
+      totals[event.stream === 'marketplace' ? 'marketplaceRevenue' : 'subscriptionRevenue'] += event.amount * weight;
+      totals.conversions += weight;
+    };
+
+    events.forEach(event => {
+      const at = event.occurredAt.getTime();
+      const path = (journeys.get(event.userId) || []).filter(touchpoint => {
+        const touchedAt = new Date(touchpoint.occurredAt).getTime();
+        return touchedAt <= at && at - touchedAt <= windowMs;
+      });
+      if (path.length === 0) return;
+
+      this.attributionModels.forEach(model => {
+        const result = models[model];
+        result.attributedRevenue += event.amount;
+        this.assignCredit(model, path).forEach(({ touchpoint, weight }) => {
+          const campaign = this.campaigns.get(touchpoint.campaignId);
+          result.byCampaign[touchpoint.campaignId] ||= {
+            name: campaign?.name,
+            channel: touchpoint.channel,
+            ...emptyTotals()
+          };
+          result.byChannel[touchpoint.channel] ||= emptyTotals();
+          credit(result.byCampaign[touchpoint.campaignId], event, weight);
+          credit(result.byChannel[touchpoint.channel], event, weight);
+        });
+      });
+    });
+
+    const currency = this.fx.reportingCurrency;
+    const roundTotals = totals => {
+      ['revenue', 'marketplaceRevenue', 'subscriptionRevenue'].forEach(field => {
+        totals[field] = this.fx.round(totals[field], currency);
+      });
+      totals.conversions = Math.round(totals.conversions * 10000) / 10000;
+    };
+    const totalRevenue = events.reduce((sum, event) => sum + event.amount, 0);
+    Object.values(models).forEach(result => {
+      Object.values(result.byCampaign).forEach(roundTotals);
+      Object.values(result.byChannel).forEach(roundTotals);
+      result.attributedRevenue = this.fx.round(result.attributedRevenue, currency);
+      result.unattributedRevenue = this.fx.round(totalRevenue - result.attributedRevenue, currency);
     });
 
     return {
-      totalActive: activeSubscriptions.length,
-      totalRevenue: activeSubscriptions.reduce((sum, s) => sum + s.revenue, 0),
-      revenueByPlan,
-      churnRate: 0.05, // Mock data
-      averageRevenuePerUser: activeSubscriptions.length > 0 ?
-        activeSubscriptions.reduce((sum, s) => sum + s.revenue, 0) / activeSubscriptions.length : 0
+      currency,
+      windowDays: this.attributionWindowDays,
+      totalRevenue: this.fx.round(totalRevenue, currency),
+      models
+    };
+  }
+
+  // Funnel ratios and cost efficiency for a set of campaign metrics. Campaign costs are taken to be
+  // in the reporting currency; revenue is what the chosen attribution model credits. Ratios are
+  // null when their denominator is zero. customerValue holds the lifetime and monthly value of
+  // the average paying customer, worked out once per report.
+  getUnitEconomics(metrics, revenue, benchmark, customerValue) {
+    const currency = this.fx.reportingCurrency;
+    const ratio = (numerator, denominator) =>
+      (denominator > 0 ? Math.round((numerator / denominator) * 10000) / 10000 : null);
+    const cpa = metrics.conversions > 0 ? this.fx.round(metrics.cost / metrics.conversions, currency) : null;
+    const cvr = ratio(metrics.conversions, metrics.clicks);
+    const paybackMonths = this.analytics.calculatePaybackPeriod(cpa, customerValue.monthly);
+
+    return {
+      impressions: metrics.impressions,
+      clicks: metrics.clicks,
+      conversions: metrics.conversions,
+      cost: this.fx.round(metrics.cost, currency),
+      revenue,
+      cpa,
+      ctr: ratio(metrics.clicks, metrics.impressions),
+      cvr,
+      roas: ratio(revenue, metrics.cost),
+      // Relative to the channel benchmark: +0.25 means 25% above it
+      benchmark: benchmark && {
+        costPerAcquisition: benchmark.costPerAcquisition,
+        conversionRate: benchmark.conversionRate,
+        cpaVariance: cpa !== null ? ratio(cpa - benchmark.costPerAcquisition, benchmark.costPerAcquisition) : null,
+        cvrVariance: cvr !== null ? ratio(cvr - benchmark.conversionRate, benchmark.conversionRate) : null
+      },
+      ltvToCac: cpa ? ratio(customerValue.lifetime, cpa) : null,
+      paybackMonths: paybackMonths !== null ? Math.round(paybackMonths * 100) / 100 : null
+    };
+  }
+
+  getAcquisitionAnalytics({ model = 'last_touch' } = {}) {
+    if (!this.attributionModels.includes(model)) throw new AcquisitionError(`Unsupported attribution model: ${model}`);
+
+    const campaigns = Array.from(this.campaigns.values());
+    // Revenue events are built once and shared by attribution and every row's unit economics
+    const events = this.analytics.getRevenueEvents();
+    const customerValue = {
+      lifetime: this.analytics.calculateLTV(events),
+      monthly: this.analytics.calculateMonthlyValue(events)
+    };
+    const attribution = this.getAttribution(events);
+    const credited = attribution.models[model];
+    const channelPerformance = {};
+
+    Object.entries(this.channels).forEach(([channel, benchmark]) => {
+      const channelCampaigns = campaigns.filter(c => c.channel === channel);
+      const totals = ['impressions', 'clicks', 'conversions', 'cost'].reduce((sums, field) => ({
+        ...sums,
+        [field]: channelCampaigns.reduce((sum, c) => sum + (c.metrics[field] || 0), 0)
+      }), {});
+      channelPerformance[channel] = {
+        campaigns: channelCampaigns.length,
+        totalCost: totals.cost,
+        totalConversions: totals.conversions,
+        ...this.getUnitEconomics(totals, credited.byChannel[channel]?.revenue || 0, benchmark, customerValue)
+      };
+    });
+
+    const campaignPerformance = campaigns.map(c => ({
+      id: c.id,
+      name: c.name,
+      channel: c.channel,
+      status: c.status,
+      ...this.getUnitEconomics(c.metrics, credited.byCampaign[c.id]?.revenue || 0, this.channels[c.channel],
+        customerValue)
+    }));
+
+    const alertCutoff = Date.now() - 24 * 60 * 60 * 1000;
+
+    return {
+      totalCampaigns: campaigns.length,
+      filteredEvents: campaigns.reduce((totals, c) => {
+        Object.entries(c.metrics.filtered || {}).forEach(([reason, count]) => {
+          totals[reason] = (totals[reason] || 0) + count;
+        });
+        return totals;
+      }, {}),
+      activeCampaigns: campaigns.filter(c => c.status === 'active').length,
+      scheduledCampaigns: campaigns.filter(c => c.status === 'scheduled').length,
+      pausedCampaigns: campaigns.filter(c => c.status === 'paused').length,
+      totalBudget: campaigns.reduce((sum, c) => sum + (c.budget || 0), 0),
+      totalSpent: campaigns.reduce((sum, c) => sum + c.metrics.cost, 0),
+      totalConversions: campaigns.reduce((sum, c) => sum + c.metrics.conversions, 0),
+      attributionModel: model,
+      lifetimeValue: customerValue.lifetime,
+      channelPerformance,
+      campaignPerformance,
+      bestPerformingChannel: Object.entries(channelPerformance)
+        .sort(([,a], [,b]) => b.totalConversions - a.totalConversions)[0]?.[0],
+      pacingAlerts: campaigns.flatMap(c => (c.alerts || [])
+        .filter(alert => new Date(alert.raisedAt).getTime() >= alertCutoff)
+        .map(alert => ({ campaignId: c.id, name: c.name, ...alert }))),
+      attribution
     };
   }
 }
 
-class CommercialAnalytics {
-  constructor() {
-    this.metrics = {
-      revenue: { total: 0, monthly: {}, bySource: {} },
-      users: { total: 0, active: 0, paying: 0, demographics: {} },
-      engagement: { sessionDuration: 0, retention: {}, churn: {} },
-      market: { competitors: [], trends: {}, opportunities: [] },
-      acquisition: { channels: {}, campaigns: {}, costs: {} }
+// Screens events sent to the public tracking endpoints. Browser events need the campaign's
+// signed tracking token; conversions carry cost, so they are only taken from server-to-server
+// calls signed with TRACKING_SERVER_SECRET. Dedupe and rate counters live in Redis so they
+// hold across instances.
+class TrackingGuard {
+  constructor(store, baseUrl) {
+    this.store = store;
+    this.baseUrl = baseUrl;
+    // No defaults: a secret anyone can read would let anyone forge events. Without them
+    // every event is refused and campaigns are created without tracking details.
+    this.tokenSecret = process.env.TRACKING_TOKEN_SECRET;
+    this.serverSecret = process.env.TRACKING_SERVER_SECRET;
+    if (!this.tokenSecret || !this.serverSecret) {
+      logger.warn('TRACKING_TOKEN_SECRET or TRACKING_SERVER_SECRET is not set - tracking events will be refused');
+    }
+    // Signed server calls older than this are refused, which bounds replays of a captured request
+    this.signatureToleranceSeconds = 5 * 60;
+    // Repeats of the same event from the same visitor inside these windows are counted once
+    this.dedupeWindowSeconds = { impression: 30 * 60, click: 30 * 60, conversion: 30 * 24 * 60 * 60 };
+    // Per IP and campaign, well above what one person produces by hand
+    this.rateLimit = { events: 20, windowSeconds: 60 };
+    this.botPattern = /bot|crawl|spider|slurp|headless|phantom|selenium|puppeteer|playwright|curl|wget|python-requests|go-http-client|java\//i;
+  }
+
+  sign(secret, payload) {
+    return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+  }
+
+  matches(expected, received) {
+    const a = Buffer.from(expected, 'hex');
+    const b = Buffer.from(String(received || ''), 'hex');
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(String(value)).digest('hex').slice(0, 32);
+  }
+
+  getToken(campaignId) {
+    return this.tokenSecret ? this.sign(this.tokenSecret, `campaign:${campaignId}`) : null;
+  }
+
+  verifyToken(campaignId, token) {
+    const expected = this.getToken(campaignId);
+    return Boolean(expected) && this.matches(expected, token);
+  }
+
+  getTrackingDetails(campaignId) {
+    const token = this.getToken(campaignId);
+    if (!token) return null;
+    return {
+      token,
+      endpoint: `${this.baseUrl}/api/acquisition/track/${campaignId}`,
+      pixelUrl: `${this.baseUrl}/api/acquisition/pixel/${campaignId}?t=${token}&e=impression`
     };
   }
 
-  updateMetric(category, subcategory, value) {
-    if (!this.metrics[category]) this.metrics[category] = {};
-    if (!this.metrics[category][subcategory]) this.metrics[category][subcategory] = {};
+  // The signature is a hex HMAC-SHA256 of `${timestamp}.${rawBody}`, timestamp in Unix seconds
+  verifyServerSignature(rawBody, timestamp, signature, now = new Date()) {
+    if (!this.serverSecret) return false;
 
-    this.metrics[category][subcategory] = value;
+    const sentAt = Number(timestamp);
+    if (!Number.isFinite(sentAt) || Math.abs(now.getTime() / 1000 - sentAt) > this.signatureToleranceSeconds) {
+      return false;
+    }
+    return this.matches(this.sign(this.serverSecret, `${timestamp}.${rawBody || ''}`), signature);
   }
 
-  getDashboardData() {
+  isBot(userAgent) {
+    return !userAgent || this.botPattern.test(userAgent);
+  }
+
+  // Returns why the event should not be counted (bot, rate_limited or duplicate), or null.
+  // Signed server calls skip the browser heuristics but are still deduped by eventId. Browser
+  // events are deduped by IP and user agent, since the visitor id they send is client-chosen.
+  async screen({ campaignId, eventType, eventId, ip, userAgent, trusted }) {
+    if (!trusted && this.isBot(userAgent)) return 'bot';
+
+    try {
+      if (!trusted) {
+        const rateKey = `tracking:rate:${campaignId}:${this.hash(ip)}`;
+        const count = await this.store.incr(rateKey);
+        if (count === 1) await this.store.expire(rateKey, this.rateLimit.windowSeconds);
+        if (count > this.rateLimit.events) return 'rate_limited';
+      }
+
+      const identity = trusted ? `id:${eventId}` : `${ip}:${userAgent}`;
+      const first = await this.store.set(`tracking:seen:${campaignId}:${eventType}:${this.hash(identity)}`, '1',
+        'EX', this.dedupeWindowSeconds[eventType], 'NX');
+      if (!first) return 'duplicate';
+    } catch (error) {
+      // Tracking stays up without Redis; events go unscreened until it is back
+      logger.warn('Tracking screen unavailable:', error.message);
+    }
+    return null;
+  }
+}
+
+// Raised for referral codes, signups and reviews that cannot be accepted
+class ReferralError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReferralError';
+  }
+}
+
+// Per-user referral codes and the invite -> signup -> first purchase funnel. Both sides are
+// rewarded once the referred user first pays, as marketplace credit (a gift card) or free
+// subscription days. Signups that look like self-referral or account farming are flagged and
+// their rewards held until an admin reviews them.
+class ReferralManager {
+  constructor(marketplace, subscriptions, giftCards) {
+    this.marketplace = marketplace;
+    this.subscriptions = subscriptions;
+    this.giftCards = giftCards;
+    this.codes = new Map();
+    this.referrals = new Map();
+    this.codeRepository = new MongoRepository('referral_codes');
+    this.referralRepository = new MongoRepository('referrals');
+    this.settingsRepository = new MongoRepository('referral_program');
+    this.rewardTypes = ['marketplace_credit', 'subscription_days'];
+    this.rewards = {
+      referrer: { type: 'marketplace_credit', amount: 5, currency: 'USD' },
+      referee: { type: 'subscription_days', days: 7 }
+    };
+    this.fraud = {
+      // Signups under one code from the same IP within the window before it counts as a cluster
+      ipClusterSize: 3,
+      ipClusterWindowHours: 24,
+      // Fingerprints remembered per referrer for self-referral checks
+      maxFingerprints: 10
+    };
+    this.ipSalt = process.env.REFERRAL_IP_SALT || 'referral_salt';
+  }
+
+  attachDatabase(database) {
+    this.codeRepository.attach(database);
+    this.referralRepository.attach(database);
+    this.settingsRepository.attach(database);
+  }
+
+  async loadState() {
+    const codes = await this.codeRepository.findAll();
+    codes.forEach(code => this.codes.set(code.code, code));
+    const referrals = await this.referralRepository.findAll({}, { signedUpAt: 1 });
+    referrals.forEach(referral => this.referrals.set(referral.id, referral));
+    const settings = await this.settingsRepository.findById('rewards');
+    if (settings) this.rewards = { referrer: settings.referrer, referee: settings.referee };
+  }
+
+  // IPs are only compared, never shown, so they are stored as salted hashes
+  hashIp(ip) {
+    return ip ? crypto.createHash('sha256').update(`${this.ipSalt}:${ip}`).digest('hex') : null;
+  }
+
+  rememberFingerprint(code, ipHash, deviceId) {
+    const remember = (list, value) => (value && !list.includes(value) ?
+      [...list, value].slice(-this.fraud.maxFingerprints) : list);
+    code.ipHashes = remember(code.ipHashes || [], ipHash);
+    code.deviceIds = remember(code.deviceIds || [], deviceId);
+  }
+
+  getCodeFor(userId) {
+    return Array.from(this.codes.values()).find(code => code.userId === userId);
+  }
+
+  findCode(code) {
+    return this.codes.get(String(code || '').toUpperCase());
+  }
+
+  async getOrCreateCode(userId, { ip = null, deviceId = null } = {}) {
+    let code = this.getCodeFor(userId);
+    if (!code) {
+      let value;
+      do {
+        value = `REF-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+      } while (this.codes.has(value));
+
+      code = { id: uuidv4(), code: value, userId, invites: 0, ipHashes: [], deviceIds: [], createdAt: new Date() };
+      this.codes.set(code.code, code);
+    }
+
+    this.rememberFingerprint(code, this.hashIp(ip), deviceId);
+    await this.codeRepository.save(code);
+    return code;
+  }
+
+  async recordInvite(codeValue) {
+    const code = this.findCode(codeValue);
+    if (!code) throw new ReferralError('Referral code not found');
+
+    code.invites++;
+    code.lastInviteAt = new Date();
+    await this.codeRepository.save(code);
+    return code;
+  }
+
+  isExistingCustomer(userId) {
+    return this.marketplace.transactions.some(t => t.buyerId === userId && t.status !== 'failed') ||
+      Array.from(this.subscriptions.subscriptions.values()).some(s => s.userId === userId);
+  }
+
+  // Signals that the referrer and the new account may be the same person or a farm of accounts
+  detectFraud(code, ipHash, deviceId, now) {
+    const signals = [];
+    if (ipHash && (code.ipHashes || []).includes(ipHash)) signals.push('referrer_ip_match');
+    if (deviceId && (code.deviceIds || []).includes(deviceId)) signals.push('referrer_device_match');
+
+    const referrals = Array.from(this.referrals.values());
+    if (deviceId && referrals.some(r => r.deviceId === deviceId)) signals.push('device_reuse');
+
+    const windowStart = now.getTime() - this.fraud.ipClusterWindowHours * 60 * 60 * 1000;
+    const sameIp = referrals.filter(r => r.code === code.code && ipHash && r.ipHash === ipHash &&
+      new Date(r.signedUpAt).getTime() >= windowStart);
+    if (sameIp.length + 1 >= this.fraud.ipClusterSize) signals.push('ip_cluster');
+
+    return signals;
+  }
+
+  async recordSignup(codeValue, userId, { ip = null, deviceId = null } = {}, now = new Date()) {
+    const code = this.findCode(codeValue);
+    if (!code) throw new ReferralError('Referral code not found');
+    if (code.userId === userId) throw new ReferralError('You cannot use your own referral code');
+    if (this.getReferralFor(userId)) throw new ReferralError('Account has already been referred');
+    if (this.isExistingCustomer(userId)) throw new ReferralError('Only new customers can be referred');
+
+    const ipHash = this.hashIp(ip);
+    const fraudSignals = this.detectFraud(code, ipHash, deviceId, now);
+    const referral = {
+      id: uuidv4(),
+      code: code.code,
+      referrerId: code.userId,
+      referredUserId: userId,
+      status: fraudSignals.length > 0 ? 'flagged' : 'signed_up',
+      fraudSignals,
+      ipHash,
+      deviceId,
+      signedUpAt: now,
+      convertedAt: null,
+      firstPurchase: null,
+      rewards: []
+    };
+    this.referrals.set(referral.id, referral);
+    await this.referralRepository.save(referral);
+
+    if (fraudSignals.length > 0) {
+      logger.warn(`Referral ${referral.id} flagged for review: ${fraudSignals.join(', ')}`);
+    }
+    return referral;
+  }
+
+  getReferralFor(userId) {
+    return Array.from(this.referrals.values()).find(referral => referral.referredUserId === userId);
+  }
+
+  // Called for every completed purchase or paid invoice; only a referred user's first one counts
+  async recordPurchase(userId, { source, id, amount, currency }, now = new Date()) {
+    const referral = this.getReferralFor(userId);
+    if (!referral || referral.convertedAt || referral.status === 'rejected') return null;
+
+    referral.convertedAt = now;
+    referral.firstPurchase = { source, id, amount, currency };
+    if (referral.status === 'signed_up') {
+      referral.status = 'converted';
+      await this.issueRewards(referral, now);
+    }
+    await this.referralRepository.save(referral);
+    return referral;
+  }
+
+  async reviewReferral(referralId, decision, reviewedBy, now = new Date()) {
+    const referral = this.referrals.get(referralId);
+    if (!referral) throw new ReferralError('Referral not found');
+    if (referral.status !== 'flagged') throw new ReferralError('Only flagged referrals can be reviewed');
+
+    referral.review = { decision, reviewedBy, reviewedAt: now };
+    if (decision === 'reject') {
+      referral.status = 'rejected';
+    } else if (referral.convertedAt) {
+      referral.status = 'converted';
+      await this.issueRewards(referral, now);
+    } else {
+      referral.status = 'signed_up';
+    }
+    await this.referralRepository.save(referral);
+    return referral;
+  }
+
+  async issueRewards(referral, now = new Date()) {
+    for (const [side, userId] of [['referrer', referral.referrerId], ['referee', referral.referredUserId]]) {
+      const reward = { side, userId, ...this.rewards[side], status: 'pending', createdAt: now };
+      try {
+        await this.grantReward(reward, referral, now);
+      } catch (error) {
+        logger.error(`Referral ${referral.id} ${side} reward failed:`, error.message);
+      }
+      referral.rewards.push(reward);
+    }
+  }
+
+  // Subscription days wait in 'pending' until the user has a renewing subscription to extend
+  async grantReward(reward, referral, now = new Date()) {
+    if (reward.type === 'marketplace_credit') {
+      const card = await this.giftCards.issueCard({
+        amount: reward.amount,
+        currency: reward.currency,
+        issuedTo: reward.userId
+      }, `referral:${referral.id}`);
+      reward.giftCardId = card.id;
+    } else {
+      const subscription = Array.from(this.subscriptions.subscriptions.values())
+        .find(s => s.userId === reward.userId && s.status === 'active' && s.nextBilling);
+      if (!subscription) return;
+      await this.subscriptions.grantFreeDays(subscription, reward.days);
+      reward.subscriptionId = subscription.id;
+    }
+    reward.status = 'issued';
+    reward.issuedAt = now;
+  }
+
+  // Takes both rewards back when the purchase that earned them is refunded or charged back. The
+  // referral returns to signed up, so a later purchase that is kept can still earn them.
+  async reversePurchase(userId, { source, id }, reason, now = new Date()) {
+    const referral = this.getReferralFor(userId);
+    const purchase = referral?.firstPurchase;
+    if (!purchase || purchase.source !== source || purchase.id !== id) return null;
+
+    for (const reward of referral.rewards.filter(r => ['issued', 'pending'].includes(r.status))) {
+      try {
+        await this.revokeReward(reward, referral);
+      } catch (error) {
+        logger.error(`Referral ${referral.id} ${reward.side} reward could not be reversed:`, error.message);
+      }
+      reward.status = 'reversed';
+      reward.reversedAt = now;
+      reward.reversalReason = reason;
+    }
+
+    referral.convertedAt = null;
+    referral.firstPurchase = null;
+    if (referral.status === 'converted') referral.status = 'signed_up';
+    await this.referralRepository.save(referral);
+    return referral;
+  }
+
+  async revokeReward(reward, referral) {
+    if (reward.status !== 'issued') return;
+
+    if (reward.type === 'marketplace_credit') {
+      const card = this.giftCards.cards.get(reward.giftCardId);
+      if (card) reward.revokedAmount = await this.giftCards.revoke(card, reward.amount, `referral:${referral.id}`);
+    } else {
+      const subscription = this.subscriptions.subscriptions.get(reward.subscriptionId);
+      if (subscription?.nextBilling) await this.subscriptions.grantFreeDays(subscription, -reward.days);
+    }
+  }
+
+  async applyPendingRewards(userId, now = new Date()) {
+    const referrals = Array.from(this.referrals.values()).filter(referral =>
+      referral.rewards.some(reward => reward.userId === userId && reward.status === 'pending'));
+
+    for (const referral of referrals) {
+      for (const reward of referral.rewards.filter(r => r.userId === userId && r.status === 'pending')) {
+        await this.grantReward(reward, referral, now);
+      }
+      await this.referralRepository.save(referral);
+    }
+  }
+
+  async configureRewards(rewards) {
+    ['referrer', 'referee'].forEach(side => {
+      const reward = rewards[side];
+      if (reward.type === 'marketplace_credit' && !reward.amount) {
+        throw new ReferralError(`${side} marketplace credit needs an amount`);
+      }
+      if (reward.type === 'subscription_days' && !reward.days) {
+        throw new ReferralError(`${side} subscription reward needs a number of days`);
+      }
+    });
+
+    const pick = reward => (reward.type === 'marketplace_credit' ?
+      { type: reward.type, amount: reward.amount, currency: reward.currency || 'USD' } :
+      { type: reward.type, days: reward.days });
+    this.rewards = { referrer: pick(rewards.referrer), referee: pick(rewards.referee) };
+    await this.settingsRepository.save({ id: 'rewards', ...this.rewards, updatedAt: new Date() });
+    return this.rewards;
+  }
+
+  // A referrer's own view; referred users are identified only by their progress
+  getReferrerSummary(code) {
+    const referrals = Array.from(this.referrals.values()).filter(referral => referral.code === code.code);
     return {
-      summary: {
-        totalRevenue: this.metrics.revenue.total,
-        monthlyRevenue: this.metrics.revenue.monthly,
-        totalUsers: this.metrics.users.total,
-        activeUsers: this.metrics.users.active,
-        payingUsers: this.metrics.users.paying,
-        customerAcquisitionCost: this.calculateCAC(),
-        lifetimeValue: this.calculateLTV(),
-        churnRate: this.metrics.engagement.churn.monthly || 0.05
+      code: code.code,
+      invites: code.invites,
+      signups: referrals.length,
+      conversions: referrals.filter(referral => referral.convertedAt).length,
+      referrals: referrals.map(referral => ({
+        status: referral.status === 'flagged' ? 'under_review' : referral.status,
+        signedUpAt: referral.signedUpAt,
+        convertedAt: referral.convertedAt
+      })),
+      rewards: this.getRewardsFor(code.userId)
+    };
+  }
+
+  getRewardsFor(userId) {
+    return Array.from(this.referrals.values())
+      .flatMap(referral => referral.rewards)
+      .filter(reward => reward.userId === userId)
+      .map(reward => {
+        const card = reward.giftCardId && this.giftCards.cards.get(reward.giftCardId);
+        return { ...reward, ...(card && { giftCardCode: card.code, giftCardBalance: card.balance }) };
+      });
+  }
+
+  getReferralAnalytics() {
+    const referrals = Array.from(this.referrals.values());
+    const invites = Array.from(this.codes.values()).reduce((sum, code) => sum + code.invites, 0);
+    const converted = referrals.filter(referral => referral.convertedAt);
+    const rewards = referrals.flatMap(referral => referral.rewards);
+    const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+    return {
+      codes: this.codes.size,
+      funnel: {
+        invites,
+        signups: referrals.length,
+        firstPurchases: converted.length,
+        inviteToSignupRate: ratio(referrals.length, invites),
+        signupToPurchaseRate: ratio(converted.length, referrals.length)
       },
-      charts: {
-        revenue: this.metrics.revenue.monthly,
-        userGrowth: this.metrics.users.demographics,
-        engagement: this.metrics.engagement.retention,
-        acquisition: this.metrics.acquisition.channels
+      fraud: {
+        flagged: referrals.filter(referral => referral.status === 'flagged').length,
+        rejected: referrals.filter(referral => referral.status === 'rejected').length,
+        signals: referrals.flatMap(referral => referral.fraudSignals)
+          .reduce((counts, signal) => ({ ...counts, [signal]: (counts[signal] || 0) + 1 }), {})
       },
-      kpis: {
-        arpu: this.calculateARPU(),
-        conversionRate: this.calculateConversionRate(),
-        retentionRate: this.calculateRetentionRate(),
-        roi: this.calculateROI()
-      }
+      rewards: {
+        issued: rewards.filter(reward => reward.status === 'issued').length,
+        pending: rewards.filter(reward => reward.status === 'pending').length,
+        reversed: rewards.filter(reward => reward.status === 'reversed').length,
+        creditIssued: rewards
+          .filter(reward => reward.status === 'issued' && reward.type === 'marketplace_credit')
+          .reduce((totals, reward) => ({ ...totals, [reward.currency]: (totals[reward.currency] || 0) + reward.amount }), {}),
+        subscriptionDaysIssued: rewards
+          .filter(reward => reward.status === 'issued' && reward.type === 'subscription_days')
+          .reduce((sum, reward) => sum + reward.days, 0)
+      },
+      settings: this.rewards
     };
   }
+}
 
-  calculateCAC() {
-    const totalAcquisitionCost = Object.values(this.metrics.acquisition.costs).reduce((a, b) => a + b, 0);
-    return this.metrics.users.total > 0 ? totalAcquisitionCost / this.metrics.users.total : 0;
+// Revenue forecasting models. Each fit() returns one-step-ahead fitted values for the
+// training series (null where the model has no estimate yet) and a predict(horizon) function.
+class RevenueForecaster {
+  constructor() {
+    this.models = {
+      linear: { minPoints: 3, fit: series => this.fitLinear(series) },
+      moving_average: { minPoints: 2, fit: (series, options) => this.fitMovingAverage(series, options) },
+      holt_winters: {
+        minPoints: options => options.seasonLength * 2,
+        fit: (series, options) => this.fitHoltWinters(series, options)
+      }
+    };
+    this.zScores = { 0.8: 1.2816, 0.9: 1.6449, 0.95: 1.96, 0.99: 2.5758 };
   }
 
-  calculateLTV() {
-    return this.metrics.revenue.total / Math.max(this.metrics.users.paying, 1);
+  getMinPoints(model, options) {
+    const { minPoints } = this.models[model];
+    return typeof minPoints === 'function' ? minPoints(options) : minPoints;
   }
 
-  calculateARPU() {
-    return this.metrics.users.total > 0 ? this.metrics.revenue.total / this.metrics.users.total : 0;
-  }
+  forecast(series, { model = 'linear', horizon = 3, confidence = 0.95, ...options } = {}) {
+    if (!this.models[model]) throw new Error(`Unknown forecast model: ${model}`);
+    if (!Number.isInteger(horizon) || horizon < 1) throw new Error('Horizon must be a positive integer');
+    if (!this.zScores[confidence]) {
+      throw new Error(`Confidence must be one of ${Object.keys(this.zScores).join(', ')}`);
+    }
 
-  calculateConversionRate() {
-    return this.metrics.users.total > 0 ? this.metrics.users.paying / this.metrics.users.total : 0;
-  }
+    const minPoints = this.getMinPoints(model, options);
+    if (series.length < minPoints) {
+      throw new Error(`Model ${model} needs at least ${minPoints} periods of history, have ${series.length}`);
+    }
 
-  calculateRetentionRate() {
-    return 1 - (this.metrics.engagement.churn.monthly || 0.05);
-  }
+    const { fitted, predict } = this.models[model].fit(series, options);
+    const residuals = series
+      .map((actual, i) => (fitted[i] === null ? null : actual - fitted[i]))
+      .filter(residual => residual !== null);
+    const sigma = residuals.length > 0 ?
+      Math.sqrt(residuals.reduce((sum, r) => sum + r * r, 0) / residuals.length) : 0;
+    const z = this.zScores[confidence];
+
+    // Intervals widen with the square root of the steps ahead
+    const forecast = predict(horizon).map((value, index) => {
+      const margin = z * sigma * Math.sqrt(index + 1);
+      return {
+        value: Math.max(0, value),
+        lower: Math.max(0, value - margin),
+        upper: Math.max(0, value + margin)
+      };
+    });
 
-  calculateROI() {
-    const totalInvestment = Object.values(this.metrics.acquisition.costs).reduce((a, b) => a + b, 0);
-    return totalInvestment > 0 ? (this.metrics.revenue.total - totalInvestment) / totalInvestment : 0;
+    return {
+      model,
+      horizon,
+      confidence,
+      forecast,
+      backtest: this.backtest(series, { model, horizon, ...options })
+    };
   }
-}
 
-class UserAcquisitionManager {
-  constructor() {
-    this.campaigns = new Map();
-    this.channels = {
-      social_media: { costPerAcquisition: 2.50, conversionRate: 0.03 },
-      google_ads: { costPerAcquisition: 5.00, conversionRate: 0.02 },
-      influencers: { costPerAcquisition: 8.00, conversionRate: 0.04 },
-      content_marketing: { costPerAcquisition: 1.50, conversionRate: 0.015 },
-      referrals: { costPerAcquisition: 0.50, conversionRate: 0.08 },
-      partnerships: { costPerAcquisition: 3.00, conversionRate: 0.025 }
+  // Holds out the most recent periods, forecasts them from the rest and scores the error
+  backtest(series, { model, horizon, ...options }) {
+    const holdout = Math.min(horizon, Math.floor(series.length / 3));
+    const training = series.slice(0, series.length - holdout);
+    if (holdout < 1 || training.length < this.getMinPoints(model, options)) return null;
+
+    const actuals = series.slice(series.length - holdout);
+    const predicted = this.models[model].fit(training, options).predict(holdout);
+    const errors = actuals.map((actual, i) => actual - predicted[i]);
+    const percentageErrors = actuals
+      .map((actual, i) => (actual !== 0 ? Math.abs(errors[i] / actual) : null))
+      .filter(error => error !== null);
+
+    return {
+      holdout,
+      mae: errors.reduce((sum, e) => sum + Math.abs(e), 0) / holdout,
+      rmse: Math.sqrt(errors.reduce((sum, e) => sum + e * e, 0) / holdout),
+      mape: percentageErrors.length > 0 ?
+        (percentageErrors.reduce((sum, e) => sum + e, 0) / percentageErrors.length) * 100 : null
     };
   }
 
-  createCampaign(campaignData) {
-    const campaign = {
-      id: uuidv4(),
-      ...campaignData,
-      status: 'active',
-      createdAt: new Date(),
-      metrics: {
-        impressions: 0,
-        clicks: 0,
-        conversions: 0,
-        cost: 0
-      }
+  fitLinear(series) {
+    const n = series.length;
+    const sumX = series.reduce((sum, d, i) => sum + i, 0);
+    const sumY = series.reduce((sum, d) => sum + d, 0);
+    const sumXY = series.reduce((sum, d, i) => sum + d * i, 0);
+    const sumXX = series.reduce((sum, d, i) => sum + i * i, 0);
+
+    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
+    const intercept = (sumY - slope * sumX) / n;
+
+    return {
+      fitted: series.map((d, i) => intercept + slope * i),
+      predict: horizon => Array.from({ length: horizon }, (_, k) => intercept + slope * (n + k))
     };
-    this.campaigns.set(campaign.id, campaign);
-    return campaign;
   }
 
-  trackAcquisitionEvent(campaignId, eventType, data) {
-    const campaign = this.campaigns.get(campaignId);
-    if (!campaign) return;
+  fitMovingAverage(series, { window = 3 } = {}) {
+    const size = Math.min(window, series.length);
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
 
-    switch (eventType) {
-      case 'impression':
-        campaign.metrics.impressions++;
-        break;
-      case 'click':
-        campaign.metrics.clicks++;
-        break;
-      case 'conversion':
-        campaign.metrics.conversions++;
-        campaign.metrics.cost += data.cost || 0;
-        break;
-    }
+    return {
+      fitted: series.map((d, i) => (i >= size ? mean(series.slice(i - size, i)) : null)),
+      predict: horizon => new Array(horizon).fill(mean(series.slice(-size)))
+    };
   }
 
-  getAcquisitionAnalytics() {
-    const campaigns = Array.from(this.campaigns.values());
-    const channelPerformance = {};
+  // Additive Holt-Winters (triple exponential smoothing)
+  fitHoltWinters(series, { seasonLength, alpha = 0.3, beta = 0.1, gamma = 0.2 }) {
+    const m = seasonLength;
+    const mean = values => values.reduce((sum, v) => sum + v, 0) / values.length;
 
-    Object.keys(this.channels).forEach(channel => {
-      const channelCampaigns = campaigns.filter(c => c.channel === channel);
-      channelPerformance[channel] = {
-        campaigns: channelCampaigns.length,
-        totalCost: channelCampaigns.reduce((sum, c) => sum + c.metrics.cost, 0),
-        totalConversions: channelCampaigns.reduce((sum, c) => sum + c.metrics.conversions, 0),
-        averageCPA: channelCampaigns.length > 0 ?
-          channelCampaigns.reduce((sum, c) => sum + c.metrics.cost, 0) / channelCampaigns.length : 0
-      };
-    });
+    let level = mean(series.slice(0, m));
+    let trend = (mean(series.slice(m, 2 * m)) - level) / m;
+    const seasonals = series.slice(0, m).map(value => value - level);
+    const fitted = new Array(m).fill(null);
 
+    for (let t = m; t < series.length; t++) {
+      const seasonal = seasonals[t % m];
+      fitted.push(level + trend + seasonal);
+
+      const previousLevel = level;
+      level = alpha * (series[t] - seasonal) + (1 - alpha) * (level + trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * trend;
+      seasonals[t % m] = gamma * (series[t] - level) + (1 - gamma) * seasonal;
+    }
+
+    const n = series.length;
     return {
-      totalCampaigns: campaigns.length,
-      activeCampaigns: campaigns.filter(c => c.status === 'active').length,
-      totalBudget: campaigns.reduce((sum, c) => sum + (c.budget || 0), 0),
-      totalSpent: campaigns.reduce((sum, c) => sum + c.metrics.cost, 0),
-      totalConversions: campaigns.reduce((sum, c) => sum + c.metrics.conversions, 0),
-      channelPerformance,
-      bestPerformingChannel: Object.entries(channelPerformance)
-        .sort(([,a], [,b]) => b.totalConversions - a.totalConversions)[0]?.[0]
+      fitted,
+      predict: horizon => Array.from({ length: horizon }, (_, k) =>
+        level + (k + 1) * trend + seasonals[(n + k) % m])
     };
   }
 }
 
 class RevenueManager {
-  constructor() {
+  constructor(fx) {
+    this.fx = fx;
+    // Stream totals are in fx.reportingCurrency
     this.streams = {
       subscriptions: 0,
       marketplace: 0,
@@ -445,6 +4114,14 @@ class RevenueManager {
       partnerships: 0,
       merchandise: 0
     };
+    // Append-only; stream totals above are derived from it
+    this.ledger = [];
+    this.revenueRepository = new MongoRepository('revenue');
+    this.intervals = ['day', 'week', 'month', 'quarter'];
+    // Longest series one request may ask for, e.g. about 2.7 years of daily buckets
+    this.maxSeriesBuckets = 1000;
+    this.seasonLengths = { day: 7, week: 52, month: 12, quarter: 4 };
+    this.forecaster = new RevenueForecaster();
     this.predictions = {};
     this.goals = {
       monthly: 50000,
@@ -453,26 +4130,142 @@ class RevenueManager {
     };
   }
 
-  updateRevenue(stream, amount) {
-    this.streams[stream] += amount;
+  attachDatabase(database) {
+    this.revenueRepository.attach(database);
+  }
+
+  async loadState() {
+    this.ledger = await this.revenueRepository.findAll({}, { timestamp: 1 });
+    this.ledger.forEach(entry => {
+      this.streams[entry.stream] = (this.streams[entry.stream] || 0) + this.reportingAmount(entry);
+    });
   }
 
-  predictRevenue(period) {
-    // Simple linear regression based on historical data
-    const historicalData = this.getHistoricalRevenue();
-    if (historicalData.length < 3) return null;
+  // Entries keep their original amount and currency alongside the reporting-currency amount.
+  // Callers that locked in a rate earlier (marketplace purchases) pass it as fxRate; otherwise
+  // the rate in force at `timestamp` is used.
+  async updateRevenue(stream, amount, { currency = 'USD', fxRate, sourceTransactionId = null, timestamp = new Date() } = {}) {
+    if (!(stream in this.streams)) throw new Error(`Unknown revenue stream: ${stream}`);
+
+    const { reportingCurrency } = this.fx;
+    const conversion = fxRate === undefined ?
+      this.fx.toReporting(amount, currency, timestamp) :
+      { reportingAmount: this.fx.round(amount * fxRate, reportingCurrency), reportingCurrency, fxRate };
+    const entry = { id: uuidv4(), stream, amount, currency, ...conversion, sourceTransactionId, timestamp };
+    this.ledger.push(entry);
+    this.streams[stream] += entry.reportingAmount;
+    await this.revenueRepository.insert(entry);
+    return entry;
+  }
 
-    const n = historicalData.length;
-    const sumX = historicalData.reduce((sum, d, i) => sum + i, 0);
-    const sumY = historicalData.reduce((sum, d) => sum + d, 0);
-    const sumXY = historicalData.reduce((sum, d, i) => sum + d * i, 0);
-    const sumXX = historicalData.reduce((sum, d, i) => sum + i * i, 0);
+  // Books the opposite of everything booked against a payment, at the rate it was booked at.
+  // Payments that never reached the ledger have nothing to reverse.
+  async reverseRevenue(sourceTransactionId, reversalId = sourceTransactionId) {
+    const booked = this.ledger.filter(entry => entry.sourceTransactionId === sourceTransactionId && entry.amount > 0);
+    const reversals = [];
+    for (const entry of booked) {
+      reversals.push(await this.updateRevenue(entry.stream, -entry.amount, {
+        currency: entry.currency,
+        fxRate: entry.fxRate,
+        sourceTransactionId: reversalId
+      }));
+    }
+    return reversals;
+  }
 
-    const slope = (n * sumXY - sumX * sumY) / (n * sumXX - sumX * sumX);
-    const intercept = (sumY - slope * sumX) / n;
+  // Entries booked before multi-currency support were all USD
+  reportingAmount(entry) {
+    return entry.reportingAmount ?? entry.amount;
+  }
 
-    const nextPeriod = n;
-    return Math.max(0, slope * nextPeriod + intercept);
+  getLedgerEntries({ from, to, stream, currency } = {}) {
+    return this.ledger.filter(entry => {
+      const timestamp = new Date(entry.timestamp);
+      return (!from || timestamp >= from) &&
+        (!to || timestamp < to) &&
+        (!stream || entry.stream === stream) &&
+        (!currency || entry.currency === currency);
+    });
+  }
+
+  getRevenueBetween(from, to) {
+    return this.getLedgerEntries({ from, to }).reduce((sum, entry) => sum + this.reportingAmount(entry), 0);
+  }
+
+  getRevenueByCurrency({ from, to } = {}) {
+    const byCurrency = {};
+    this.getLedgerEntries({ from, to }).forEach(entry => {
+      const totals = byCurrency[entry.currency] || { amount: 0, reportingAmount: 0, entries: 0 };
+      totals.amount = this.fx.round(totals.amount + entry.amount, entry.currency);
+      totals.reportingAmount += this.reportingAmount(entry);
+      totals.entries++;
+      byCurrency[entry.currency] = totals;
+    });
+    return byCurrency;
+  }
+
+  // Buckets ledger entries by calendar interval (UTC); empty buckets are kept so charts stay continuous
+  getRevenueSeries({ from, to, interval = 'month', stream, currency } = {}) {
+    if (!this.intervals.includes(interval)) throw new Error(`Unsupported interval: ${interval}`);
+
+    const unit = interval === 'week' ? 'isoWeek' : interval;
+    const end = to ? moment.utc(to) : moment.utc();
+    const start = from ? moment.utc(from) : end.clone().subtract(11, interval).startOf(unit);
+    if (!start.isValid() || !end.isValid() || start.isAfter(end)) throw new Error('Invalid date range');
+    if (Math.ceil(end.diff(start.clone().startOf(unit), interval, true)) > this.maxSeriesBuckets) {
+      throw new Error(`Date range spans more than ${this.maxSeriesBuckets} ${interval} buckets`);
+    }
+
+    const buckets = new Map();
+    for (const cursor = start.clone().startOf(unit); cursor.isBefore(end); cursor.add(1, interval)) {
+      buckets.set(cursor.toISOString(), {
+        period: cursor.toISOString(), total: 0, entries: 0, byStream: {}, byCurrency: {}
+      });
+    }
+
+    // total and byStream are in the reporting currency; byCurrency holds the original amounts
+    this.getLedgerEntries({ from: start.toDate(), to: end.toDate(), stream, currency }).forEach(entry => {
+      const bucket = buckets.get(moment.utc(entry.timestamp).startOf(unit).toISOString());
+      const amount = this.reportingAmount(entry);
+      bucket.total += amount;
+      bucket.entries++;
+      bucket.byStream[entry.stream] = (bucket.byStream[entry.stream] || 0) + amount;
+      bucket.byCurrency[entry.currency] = (bucket.byCurrency[entry.currency] || 0) + entry.amount;
+    });
+
+    return {
+      reportingCurrency: this.fx.reportingCurrency,
+      interval,
+      from: start.toISOString(),
+      to: end.toISOString(),
+      stream: stream || null,
+      currency: currency || null,
+      buckets: Array.from(buckets.values())
+    };
+  }
+
+  // Forecasts revenue per completed calendar period using one of RevenueForecaster's models
+  predictRevenue(period = 'month', { model = 'linear', horizon = 3, confidence = 0.95, now = new Date() } = {}) {
+    if (!this.intervals.includes(period)) throw new Error(`Unsupported interval: ${period}`);
+
+    const history = this.getCompletedPeriodTotals(period, now);
+    const result = this.forecaster.forecast(history.map(point => point.total), {
+      model,
+      horizon,
+      confidence,
+      seasonLength: this.seasonLengths[period]
+    });
+
+    const unit = period === 'week' ? 'isoWeek' : period;
+    const nextPeriod = moment.utc(now).startOf(unit);
+    const forecast = result.forecast.map((point, index) => ({
+      period: nextPeriod.clone().add(index, period).toISOString(),
+      ...point
+    }));
+
+    const prediction = { ...result, interval: period, history, forecast, generatedAt: now };
+    this.predictions[`${model}:${period}`] = prediction;
+    return prediction;
   }
 
   getRevenueBreakdown() {
@@ -487,35 +4280,63 @@ class RevenueManager {
     });
 
     return {
+      reportingCurrency: this.fx.reportingCurrency,
       total,
       breakdown,
+      byCurrency: this.getRevenueByCurrency(),
       growth: this.calculateGrowthRate(),
       goals: this.checkGoalsProgress()
     };
   }
 
-  calculateGrowthRate() {
-    // Mock growth calculation
-    return 0.15; // 15% month-over-month growth
+  // Month-over-month growth between the last two complete months
+  calculateGrowthRate(now = new Date()) {
+    const historicalData = this.getHistoricalRevenue(now);
+    if (historicalData.length < 2) return 0;
+
+    const [previous, last] = historicalData.slice(-2);
+    return previous > 0 ? (last - previous) / previous : 0;
   }
 
-  checkGoalsProgress() {
-    const total = Object.values(this.streams).reduce((a, b) => a + b, 0);
-    return {
-      monthly: { current: total, target: this.goals.monthly, progress: (total / this.goals.monthly) * 100 },
-      quarterly: { current: total * 3, target: this.goals.quarterly, progress: ((total * 3) / this.goals.quarterly) * 100 },
-      yearly: { current: total * 12, target: this.goals.yearly, progress: ((total * 12) / this.goals.yearly) * 100 }
-    };
+  // Goals are measured against revenue booked in the current calendar period
+  checkGoalsProgress(now = new Date()) {
+    const periods = { monthly: 'month', quarterly: 'quarter', yearly: 'year' };
+    const progress = {};
+
+    Object.entries(periods).forEach(([goal, unit]) => {
+      const periodStart = moment.utc(now).startOf(unit).toDate();
+      const current = this.getRevenueBetween(periodStart, now);
+      progress[goal] = {
+        current,
+        target: this.goals[goal],
+        progress: (current / this.goals[goal]) * 100,
+        periodStart
+      };
+    });
+
+    return progress;
   }
 
-  getHistoricalRevenue() {
-    // Mock historical data
-    return [35000, 42000, 48000, 52000, 58000];
+  // Revenue totals per complete calendar month, from the first recorded month onwards
+  getHistoricalRevenue(now = new Date()) {
+    return this.getCompletedPeriodTotals('month', now).map(point => point.total);
   }
-}
 
-// Initialize commercial platform
-const commercialPlatform = new CommercialPlatform();
+  // Totals per completed interval from the first ledger entry, or the most recent
+  // maxSeriesBuckets intervals if the ledger goes back further; the in-progress period is excluded
+  getCompletedPeriodTotals(interval, now = new Date()) {
+    if (this.ledger.length === 0) return [];
+
+    const unit = interval === 'week' ? 'isoWeek' : interval;
+    const currentPeriod = moment.utc(now).startOf(unit);
+    const firstPeriod = moment.max(moment.utc(this.ledger[0].timestamp).startOf(unit),
+      currentPeriod.clone().subtract(this.maxSeriesBuckets, interval));
+    if (!firstPeriod.isBefore(currentPeriod)) return [];
+
+    return this.getRevenueSeries({ from: firstPeriod, to: currentPeriod, interval }).buckets
+      .map(bucket => ({ period: bucket.period, total: bucket.total }));
+  }
+}
 
 // Rate limiting
 const limiter = rateLimit({
@@ -538,11 +4359,520 @@ const authenticateToken = (req, res, next) => {
     if (err) {
       return res.status(403).json({ error: 'Invalid token' });
     }
-    req.user = user;
+    // Tokens carry either a single `role` or a `roles` array; everyone is at least a player
+    const claimed = Array.isArray(user.roles) ? user.roles : [user.role].filter(Boolean);
+    const roles = claimed.filter(role => rolePermissions[role]);
+    req.user = { ...user, roles: roles.length > 0 ? roles : ['player'] };
     next();
   });
 };
 
+// Role-based access control
+const rolePermissions = {
+  player: {
+    permissions: ['marketplace:purchase', 'payments:process', 'subscriptions:manage']
+  },
+  seller: {
+    inherits: ['player'],
+    permissions: ['marketplace:sell']
+  },
+  analyst: {
+    inherits: ['player'],
+    permissions: ['analytics:read']
+  },
+  finance: {
+    inherits: ['player'],
+    permissions: [
+      'analytics:read', 'payments:refund', 'subscriptions:manage_any', 'payouts:read_any', 'invoices:read_any',
+      'giftcards:issue'
+    ]
+  },
+  admin: {
+    permissions: ['*']
+  }
+};
+
+const getPermissions = (roles) => {
+  const granted = new Set();
+  const visit = (role) => {
+    const definition = rolePermissions[role];
+    if (!definition) return;
+    definition.permissions.forEach(permission => granted.add(permission));
+    (definition.inherits || []).forEach(visit);
+  };
+  roles.forEach(visit);
+  return granted;
+};
+
+const hasPermission = (user, permission) => {
+  const granted = getPermissions(user.roles || []);
+  return granted.has('*') || granted.has(permission);
+};
+
+// Must run after authenticateToken
+const requirePermission = (...permissions) => (req, res, next) => {
+  if (permissions.every(permission => hasPermission(req.user, permission))) {
+    return next();
+  }
+
+  logger.warn(`Access denied for user ${req.user.id} (${req.user.roles.join(', ')}) on ${req.method} ${req.originalUrl}`);
+  res.status(403).json({ error: 'Insufficient permissions', required: permissions });
+};
+
+// Owners may act on their own resources; otherwise the elevated permission is required
+const canAccessUserResource = (user, ownerId, elevatedPermission) =>
+  ownerId === user.id || hasPermission(user, elevatedPermission);
+
+// Request validation - declarative schemas per route. Fields not declared in a schema
+// are dropped, so clients cannot set server-owned properties such as status or revenue.
+// Rules: type, required, default, enum (array or function), min/max, minLength/maxLength,
+// pattern, properties (nested object whitelist) and items (array elements).
+const validateValue = (value, rule, field, coerce, errors) => {
+  const fail = (message) => {
+    errors.push({ field, message });
+    return undefined;
+  };
+
+  if (value === undefined || value === null || value === '') {
+    if (rule.required) fail('is required');
+    return rule.default;
+  }
+
+  let result = value;
+  switch (rule.type) {
+    case 'string':
+      if (typeof value !== 'string') return fail('must be a string');
+      if (rule.minLength !== undefined && value.length < rule.minLength) {
+        fail(`must be at least ${rule.minLength} characters`);
+      }
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+        fail(`must be at most ${rule.maxLength} characters`);
+      }
+      if (rule.pattern && !rule.pattern.test(value)) fail('has an invalid format');
+      break;
+
+    case 'number':
+    case 'integer':
+      result = coerce && typeof value === 'string' ? Number(value) : value;
+      if (typeof result !== 'number' || !Number.isFinite(result)) return fail('must be a number');
+      if (rule.type === 'integer' && !Number.isInteger(result)) fail('must be an integer');
+      if (rule.min !== undefined && result < rule.min) fail(`must be at least ${rule.min}`);
+      if (rule.max !== undefined && result > rule.max) fail(`must be at most ${rule.max}`);
+      break;
+
+    case 'boolean':
+      if (coerce && (value === 'true' || value === 'false')) result = value === 'true';
+      if (typeof result !== 'boolean') return fail('must be a boolean');
+      break;
+
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('must be an object');
+      if (rule.properties) result = validateShape(value, rule.properties, field, coerce, errors);
+      break;
+
+    case 'array':
+      if (!Array.isArray(value)) return fail('must be an array');
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+        fail(`must have at most ${rule.maxItems} items`);
+      }
+      if (rule.items) {
+        result = value.map((item, i) => validateValue(item, rule.items, `${field}[${i}]`, coerce, errors));
+      }
+      break;
+
+    default: // 'any'
+      break;
+  }
+
+  const allowed = typeof rule.enum === 'function' ? rule.enum() : rule.enum;
+  if (allowed && !allowed.includes(result)) fail(`must be one of: ${allowed.join(', ')}`);
+
+  return result;
+};
+
+const validateShape = (input, shape, path, coerce, errors) => {
+  const output = {};
+  Object.entries(shape).forEach(([key, rule]) => {
+    const value = validateValue(input[key], rule, path ? `${path}.${key}` : key, coerce, errors);
+    if (value !== undefined) output[key] = value;
+  });
+  return output;
+};
+
+const validate = (schema) => (req, res, next) => {
+  const errors = [];
+
+  ['params', 'query', 'body'].forEach(source => {
+    if (!schema[source]) return;
+    // Path and query values always arrive as strings
+    req[source] = validateShape(req[source] || {}, schema[source], source, source !== 'body', errors);
+  });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', fields: errors });
+  }
+  next();
+};
+
+// Idempotency-Key support for routes that move money. The first response for a key is kept
+// in Redis and replayed on retries, so a client that lost the response can safely resend.
+// Keys are scoped per user and bound to the request they were first used with. Must run
+// after authenticateToken and validate, so rejected requests do not claim a key.
+const idempotencyTtlSeconds = 24 * 60 * 60;
+// The in-progress claim expires on its own, so a request that dies with the process does not
+// lock its key for a day
+const idempotencyClaimTtlSeconds = 60;
+
+const idempotent = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined) return next();
+  if (!/^[\x21-\x7e]{1,255}$/.test(key)) {
+    return res.status(400).json({ success: false, error: 'Idempotency-Key must be 1-255 printable characters' });
+  }
+
+  const storageKey = `idempotency:${req.user.id}:${key}`;
+  const fingerprint = crypto.createHash('sha256')
+    .update(JSON.stringify([req.method, req.baseUrl + req.path, req.body]))
+    .digest('hex');
+
+  let stored;
+  try {
+    // NX claims the key atomically, so concurrent retries cannot both run the handler
+    const claimed = await redis.set(storageKey, JSON.stringify({ state: 'processing', fingerprint }),
+      'EX', idempotencyClaimTtlSeconds, 'NX');
+    if (!claimed) stored = JSON.parse(await redis.get(storageKey));
+  } catch (error) {
+    logger.error('Idempotency store unavailable:', error.message);
+    return res.status(503).json({ error: 'Idempotency store unavailable, retry later' });
+  }
+
+  if (stored) {
+    if (stored.fingerprint !== fingerprint) {
+      return res.status(409).json({ success: false, error: 'Idempotency-Key was already used for a different request' });
+    }
+    if (stored.state === 'processing') {
+      return res.status(409).json({ success: false, error: 'A request with this Idempotency-Key is still in progress' });
+    }
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(stored.status).json(stored.body);
+  }
+
+  // Server errors release the key so the retry runs again; every other outcome is final
+  const send = res.json.bind(res);
+  res.json = (body) => {
+    const settle = res.statusCode >= 500
+      ? redis.del(storageKey)
+      : redis.set(storageKey, JSON.stringify({ state: 'completed', fingerprint, status: res.statusCode, body }),
+        'EX', idempotencyTtlSeconds);
+    settle
+      .catch(error => logger.error(`Storing idempotent response for ${storageKey} failed:`, error.message))
+      .then(() => send(body));
+    return res;
+  };
+  next();
+};
+
+const idParam = { type: 'string', required: true, maxLength: 100 };
+const currencyCode = { type: 'string', pattern: /^[A-Z]{3}$/ };
+const supportedCurrency = { type: 'string', enum: () => commercialPlatform.fx.supportedCurrencies, default: 'USD' };
+// Per-currency price overrides; the USD price is the listing's own `price`
+const priceTable = {
+  type: 'object',
+  properties: Object.fromEntries(Object.keys(fixtureExchangeRates.rates)
+    .filter(currency => currency !== 'USD')
+    .map(currency => [currency, { type: 'number', min: 0.01, max: 10000000 }]))
+};
+const paymentMethods = () => commercialPlatform.payments.supportedMethods;
+// Tax is worked out from the billing country; without an address nothing is taxed
+const billingAddress = {
+  type: 'object',
+  properties: {
+    country: { type: 'string', required: true, pattern: /^[A-Z]{2}$/ },
+    region: { type: 'string', pattern: /^[A-Z0-9]{1,3}$/ },
+    postalCode: { type: 'string', maxLength: 20 }
+  }
+};
+// Saved cards and PayPal vaults are never named by the client; they come from the caller's
+// own payment profile
+const paymentDetails = {
+  type: 'object',
+  properties: {
+    paypalOrderId: { type: 'string', pattern: /^[A-Z0-9]{1,36}$/ },
+    giftCardCode: { type: 'string', pattern: /^[0-9A-Fa-f]{4}(-?[0-9A-Fa-f]{4}){3}$/ }
+  }
+};
+
+const referralReward = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', required: true, enum: () => commercialPlatform.referrals.rewardTypes },
+    amount: { type: 'number', min: 0.5, max: 1000 },
+    currency: supportedCurrency,
+    days: { type: 'integer', min: 1, max: 365 }
+  }
+};
+
+const requestSchemas = {
+  createListing: {
+    body: {
+      name: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+      description: { type: 'string', maxLength: 2000 },
+      price: { type: 'number', required: true, min: 0.01, max: 10000 },
+      category: { type: 'string', required: true, enum: () => Object.keys(commercialPlatform.marketplace.categories) },
+      prices: priceTable,
+      status: { type: 'string', enum: ['draft', 'active'], default: 'active' },
+      stock: { type: 'integer', min: 0, max: 1000000 },
+      editionSize: { type: 'integer', min: 1, max: 1000000 }
+    }
+  },
+  updateListing: {
+    params: { listingId: idParam },
+    body: {
+      name: { type: 'string', minLength: 1, maxLength: 120 },
+      description: { type: 'string', maxLength: 2000 },
+      price: { type: 'number', min: 0.01, max: 10000 },
+      prices: priceTable,
+      status: { type: 'string', enum: ['active', 'paused'] },
+      stock: { type: 'integer', min: 0, max: 1000000 }
+    }
+  },
+  listingParams: {
+    params: { listingId: idParam }
+  },
+  searchListings: {
+    query: {
+      q: { type: 'string', maxLength: 100 },
+      category: { type: 'string', enum: () => Object.keys(commercialPlatform.marketplace.categories) },
+      minPrice: { type: 'number', min: 0 },
+      maxPrice: { type: 'number', min: 0 },
+      sellerId: { type: 'string', maxLength: 100 },
+      sort: { type: 'string', enum: () => Object.keys(commercialPlatform.marketplace.sortOptions), default: 'newest' },
+      limit: { type: 'integer', min: 1, max: 100, default: 20 },
+      cursor: { type: 'string', maxLength: 500 }
+    }
+  },
+  purchaseListing: {
+    params: { listingId: idParam },
+    body: {
+      paymentMethod: { type: 'string', required: true, enum: paymentMethods },
+      paymentData: paymentDetails,
+      couponCode: { type: 'string', pattern: /^[A-Za-z0-9_-]{3,32}$/ },
+      currency: supportedCurrency,
+      billingAddress
+    }
+  },
+  createPromotion: {
+    body: {
+      name: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+      kind: { type: 'string', required: true, enum: () => commercialPlatform.promotions.kinds },
+      code: { type: 'string', pattern: /^[A-Za-z0-9_-]{3,32}$/ },
+      discountType: { type: 'string', required: true, enum: () => commercialPlatform.promotions.discountTypes },
+      value: { type: 'number', required: true, min: 0.01, max: 10000 },
+      currency: supportedCurrency,
+      category: { type: 'string', enum: () => Object.keys(commercialPlatform.marketplace.categories) },
+      listingIds: { type: 'array', maxItems: 20, items: idParam },
+      startsAt: { type: 'string', maxLength: 40 },
+      endsAt: { type: 'string', maxLength: 40 },
+      maxRedemptions: { type: 'integer', min: 1, max: 1000000 },
+      perUserLimit: { type: 'integer', min: 1, max: 1000 }
+    }
+  },
+  promotionParams: {
+    params: { promotionId: idParam }
+  },
+  processPayment: {
+    body: {
+      amount: { type: 'number', required: true, min: 0.5, max: 100000 },
+      currency: { ...currencyCode, default: 'USD' },
+      method: { type: 'string', required: true, enum: paymentMethods },
+      data: paymentDetails,
+      billingAddress
+    }
+  },
+  transactionParams: {
+    params: { transactionId: idParam }
+  },
+  issueGiftCard: {
+    body: {
+      amount: { type: 'number', required: true, min: 1, max: 10000 },
+      currency: supportedCurrency,
+      issuedTo: { type: 'string', maxLength: 100 },
+      expiresAt: { type: 'string', maxLength: 40 }
+    }
+  },
+  giftCardParams: {
+    params: { code: { type: 'string', required: true, pattern: /^[0-9A-Fa-f]{4}(-?[0-9A-Fa-f]{4}){3}$/ } }
+  },
+  refundTransaction: {
+    params: { transactionId: idParam },
+    body: {
+      reason: { type: 'string', maxLength: 500 }
+    }
+  },
+  createSubscription: {
+    body: {
+      planId: { type: 'string', required: true, enum: () => Object.keys(commercialPlatform.subscriptions.plans) },
+      paymentMethod: { type: 'string', required: true, enum: paymentMethods },
+      paymentData: paymentDetails,
+      currency: supportedCurrency,
+      billingAddress
+    }
+  },
+  changeSubscriptionPlan: {
+    params: { subscriptionId: idParam },
+    body: {
+      planId: { type: 'string', required: true, enum: () => Object.keys(commercialPlatform.subscriptions.plans) }
+    }
+  },
+  sellerPayouts: {
+    params: { sellerId: idParam }
+  },
+  invoiceParams: {
+    params: { invoiceId: idParam },
+    query: {
+      format: { type: 'string', enum: ['json', 'pdf'] }
+    }
+  },
+  subscriptionParams: {
+    params: { subscriptionId: idParam }
+  },
+  createCampaign: {
+    body: {
+      name: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+      description: { type: 'string', maxLength: 2000 },
+      channel: { type: 'string', required: true, enum: () => Object.keys(commercialPlatform.userAcquisition.channels) },
+      budget: { type: 'number', required: true, min: 0, max: 10000000 },
+      dailyBudget: { type: 'number', min: 0.01, max: 10000000 },
+      startsAt: { type: 'string', maxLength: 40 },
+      endsAt: { type: 'string', maxLength: 40 }
+    }
+  },
+  campaignAction: {
+    params: {
+      campaignId: idParam,
+      action: { type: 'string', required: true, enum: ['pause', 'resume', 'end'] }
+    }
+  },
+  referralSignup: {
+    body: {
+      code: { type: 'string', required: true, pattern: /^REF-[0-9A-Fa-f]{8}$/ },
+      deviceId: { type: 'string', maxLength: 100 }
+    }
+  },
+  referralCodeParams: {
+    params: { code: { type: 'string', required: true, pattern: /^REF-[0-9A-Fa-f]{8}$/ } }
+  },
+  referralRewards: {
+    body: {
+      referrer: { ...referralReward, required: true },
+      referee: { ...referralReward, required: true }
+    }
+  },
+  reviewReferral: {
+    params: { referralId: idParam },
+    body: {
+      decision: { type: 'string', required: true, enum: ['approve', 'reject'] }
+    }
+  },
+  trackAcquisitionEvent: {
+    params: { campaignId: idParam },
+    body: {
+      eventType: { type: 'string', required: true, enum: ['impression', 'click', 'conversion'] },
+      eventId: { type: 'string', maxLength: 100 },
+      userId: { type: 'string', maxLength: 100 },
+      anonymousId: { type: 'string', maxLength: 100 },
+      data: {
+        type: 'object',
+        default: {},
+        properties: {
+          cost: { type: 'number', min: 0, max: 100000 }
+        }
+      }
+    }
+  },
+  trackingPixel: {
+    params: { campaignId: idParam },
+    query: {
+      t: { type: 'string', required: true, maxLength: 100 },
+      e: { type: 'string', enum: ['impression', 'click'], default: 'impression' },
+      aid: { type: 'string', maxLength: 100 }
+    }
+  },
+  campaignParams: {
+    params: { campaignId: idParam }
+  },
+  revenueForecast: {
+    query: {
+      model: { type: 'string', enum: () => Object.keys(commercialPlatform.revenue.forecaster.models) },
+      interval: { type: 'string', enum: () => commercialPlatform.revenue.intervals },
+      horizon: { type: 'integer', min: 1, max: 36 },
+      confidence: { type: 'number', enum: () => Object.keys(commercialPlatform.revenue.forecaster.zScores).map(Number) }
+    }
+  },
+  revenueTimeseries: {
+    query: {
+      from: { type: 'string', maxLength: 40 },
+      to: { type: 'string', maxLength: 40 },
+      interval: { type: 'string', enum: () => commercialPlatform.revenue.intervals },
+      stream: { type: 'string', enum: () => Object.keys(commercialPlatform.revenue.streams) },
+      currency: currencyCode
+    }
+  },
+  acquisitionAnalytics: {
+    query: {
+      model: { type: 'string', enum: () => commercialPlatform.userAcquisition.attributionModels, default: 'last_touch' }
+    }
+  },
+  marketplaceAnalytics: {
+    query: {
+      from: { type: 'string', maxLength: 40 },
+      to: { type: 'string', maxLength: 40 },
+      interval: { type: 'string', enum: () => commercialPlatform.marketplace.funnelIntervals },
+      category: { type: 'string', enum: () => Object.keys(commercialPlatform.marketplace.categories) }
+    }
+  },
+  updateAnalytics: {
+    body: {
+      category: { type: 'string', required: true, enum: () => Object.keys(commercialPlatform.analytics.metrics) },
+      subcategory: { type: 'string', required: true, maxLength: 100 },
+      value: { type: 'any', required: true }
+    }
+  },
+  cargoManifest: {
+    body: {
+      shipCapacity: { type: 'integer', required: true, min: 1, max: 10000 },
+      riskTolerance: { type: 'string', enum: ['low', 'medium', 'high'], default: 'medium' }
+    }
+  },
+  acceptJob: {
+    params: { jobId: idParam }
+  },
+  completeJob: {
+    params: { jobId: idParam },
+    body: {
+      success: { type: 'boolean', default: true }
+    }
+  },
+  createBlackMarketListing: {
+    body: {
+      itemData: {
+        type: 'object',
+        required: true,
+        properties: {
+          name: { type: 'string', required: true, minLength: 1, maxLength: 120 },
+          description: { type: 'string', maxLength: 2000 },
+          baseValue: { type: 'number', min: 0, max: 1000000 },
+          rarity: { type: 'string', enum: ['common', 'uncommon', 'rare', 'legendary'] },
+          legality: { type: 'string', enum: ['legal', 'restricted', 'illegal'] }
+        }
+      }
+    }
+  },
+  purchaseBlackMarketItem: {
+    params: { listingId: idParam }
+  }
+};
+
 // Routes
 
 // Health check
@@ -563,91 +4893,334 @@ app.get('/health', (req, res) => {
 });
 
 // Marketplace API
-app.post('/api/marketplace/listings', authenticateToken, async (req, res) => {
+app.post('/api/marketplace/listings', authenticateToken, requirePermission('marketplace:sell'),
+  validate(requestSchemas.createListing), async (req, res) => {
   try {
-    const listing = commercialPlatform.marketplace.createListing({
+    const listing = await commercialPlatform.marketplace.createListing({
       ...req.body,
       sellerId: req.user.id
     });
     res.json({ success: true, data: listing });
   } catch (error) {
-    logger.error('Create listing error:', error.message);
-    res.status(500).json({ error: 'Failed to create listing' });
+    logger.error('Create listing error:', error.message);
+    res.status(500).json({ error: 'Failed to create listing' });
+  }
+});
+
+app.get('/api/marketplace/listings', validate(requestSchemas.searchListings), async (req, res) => {
+  try {
+    const { listings, pagination } = await commercialPlatform.marketplace.searchListings(req.query);
+    res.json({ success: true, data: listings, pagination });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Public detail view; drafts and archived listings are hidden and only views of live listings are counted
+app.get('/api/marketplace/listings/:listingId', validate(requestSchemas.listingParams), async (req, res) => {
+  try {
+    const existing = commercialPlatform.marketplace.listings.get(req.params.listingId);
+    if (!existing || ['draft', 'archived'].includes(existing.status)) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const listing = await commercialPlatform.marketplace.recordView(existing.id);
+    res.json({
+      success: true,
+      data: { ...listing, conversionRate: commercialPlatform.marketplace.conversionRate(listing.purchases, listing.views) }
+    });
+  } catch (error) {
+    logger.error('Get listing error:', error.message);
+    res.status(500).json({ error: 'Failed to load listing' });
+  }
+});
+
+app.patch('/api/marketplace/listings/:listingId', authenticateToken, requirePermission('marketplace:sell'),
+  validate(requestSchemas.updateListing), async (req, res) => {
+  try {
+    const existing = commercialPlatform.marketplace.listings.get(req.params.listingId);
+    if (!existing || !canAccessUserResource(req.user, existing.sellerId, 'marketplace:manage_any')) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const listing = await commercialPlatform.marketplace.updateListing(existing.id, req.body, req.user.id);
+    res.json({ success: true, data: listing });
+  } catch (error) {
+    logger.error('Update listing error:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/marketplace/listings/:listingId', authenticateToken, requirePermission('marketplace:sell'),
+  validate(requestSchemas.listingParams), async (req, res) => {
+  try {
+    const existing = commercialPlatform.marketplace.listings.get(req.params.listingId);
+    if (!existing || !canAccessUserResource(req.user, existing.sellerId, 'marketplace:manage_any')) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    const listing = await commercialPlatform.marketplace.archiveListing(existing.id);
+    res.json({ success: true, data: listing });
+  } catch (error) {
+    logger.error('Archive listing error:', error.message);
+    res.status(400).json({ success: false, error: error.message });
   }
 });
 
-app.get('/api/marketplace/listings', (req, res) => {
-  const listings = Array.from(commercialPlatform.marketplace.listings.values())
-    .filter(l => l.status === 'active');
-  res.json({ success: true, data: listings });
+app.get('/api/marketplace/listings/:listingId/price-history', authenticateToken,
+  validate(requestSchemas.listingParams), (req, res) => {
+  const listing = commercialPlatform.marketplace.listings.get(req.params.listingId);
+  if (!listing || !canAccessUserResource(req.user, listing.sellerId, 'marketplace:manage_any')) {
+    return res.status(404).json({ error: 'Listing not found' });
+  }
+
+  res.json({ success: true, data: commercialPlatform.marketplace.getPriceHistory(listing.id) });
 });
 
-app.post('/api/marketplace/purchase/:listingId', authenticateToken, async (req, res) => {
+app.post('/api/marketplace/purchase/:listingId', authenticateToken, requirePermission('marketplace:purchase'),
+  validate(requestSchemas.purchaseListing), idempotent, async (req, res) => {
   try {
     const { paymentMethod, paymentData } = req.body;
-    const transaction = await commercialPlatform.marketplace.purchaseListing(
+    const { transaction, payment } = await commercialPlatform.purchaseListing(
       req.params.listingId,
       req.user.id,
-      paymentMethod
-    );
-
-    // Process payment
-    const payment = await commercialPlatform.payments.processPayment(
-      transaction.amount,
-      'USD',
       paymentMethod,
-      { ...paymentData, transactionId: transaction.id }
+      paymentData,
+      { couponCode: req.body.couponCode, currency: req.body.currency, billingAddress: req.body.billingAddress }
     );
 
-    res.json({ success: true, data: { transaction, payment } });
+    if (transaction.status === 'failed') {
+      return res.status(402).json({ success: false, error: 'Payment failed', data: { transaction, payment } });
+    }
+
+    // Processing payments settle asynchronously via webhook
+    res.status(transaction.status === 'completed' ? 200 : 202).json({ success: true, data: { transaction, payment } });
   } catch (error) {
+    if (error.message === 'Listing not available') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error instanceof PromotionError || error instanceof PaymentError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     logger.error('Purchase error:', error.message);
     res.status(500).json({ error: 'Purchase failed' });
   }
 });
 
+// Promotions API
+app.post('/api/marketplace/promotions', authenticateToken, requirePermission('promotions:manage'),
+  validate(requestSchemas.createPromotion), async (req, res) => {
+  try {
+    const promotion = await commercialPlatform.promotions.createPromotion(req.body, req.user.id);
+    res.json({ success: true, data: promotion });
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Create promotion error:', error.message);
+    res.status(500).json({ error: 'Failed to create promotion' });
+  }
+});
+
+app.get('/api/marketplace/promotions', authenticateToken, requirePermission('promotions:manage'), (req, res) => {
+  res.json({ success: true, data: Array.from(commercialPlatform.promotions.promotions.values()) });
+});
+
+app.delete('/api/marketplace/promotions/:promotionId', authenticateToken, requirePermission('promotions:manage'),
+  validate(requestSchemas.promotionParams), async (req, res) => {
+  try {
+    const promotion = await commercialPlatform.promotions.endPromotion(req.params.promotionId);
+    res.json({ success: true, data: promotion });
+  } catch (error) {
+    if (error instanceof PromotionError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error('End promotion error:', error.message);
+    res.status(500).json({ error: 'Failed to end promotion' });
+  }
+});
+
+app.get('/api/marketplace/sellers/:sellerId/payouts', authenticateToken,
+  validate(requestSchemas.sellerPayouts), (req, res) => {
+  const { sellerId } = req.params;
+  if (!canAccessUserResource(req.user, sellerId, 'payouts:read_any')) {
+    return res.status(403).json({ error: 'Insufficient permissions' });
+  }
+
+  res.json({ success: true, data: commercialPlatform.payouts.getStatement(sellerId) });
+});
+
 // Payment API
-app.post('/api/payments/process', authenticateToken, async (req, res) => {
+app.post('/api/payments/process', authenticateToken, requirePermission('payments:process'),
+  validate(requestSchemas.processPayment), idempotent, async (req, res) => {
   try {
-    const { amount, currency, method, data } = req.body;
-    const payment = await commercialPlatform.payments.processPayment(amount, currency, method, data);
+    const { amount, currency, method, data, billingAddress } = req.body;
+    const { gross, tax } = commercialPlatform.tax.calculate(amount, currency, billingAddress);
+    const payment = await commercialPlatform.payments.processPayment(gross, currency, method, {
+      ...data,
+      userId: req.user.id,
+      tax
+    });
     res.json({ success: true, data: payment });
   } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     logger.error('Payment processing error:', error.message);
     res.status(500).json({ error: 'Payment failed' });
   }
 });
 
-app.post('/api/payments/refund/:transactionId', authenticateToken, async (req, res) => {
+// Stripe calls this directly, so it is authenticated by signature rather than JWT
+app.post('/api/payments/webhooks/stripe', async (req, res) => {
+  try {
+    const { event } = await commercialPlatform.payments.handleStripeWebhook(
+      req.rawBody,
+      req.headers['stripe-signature']
+    );
+    res.json({ received: true, id: event.id });
+  } catch (error) {
+    logger.error('Stripe webhook error:', error.message);
+    if (error.type === 'StripeSignatureVerificationError') {
+      return res.status(400).json({ error: 'Webhook verification failed' });
+    }
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+// Coinbase Commerce calls this directly, so it is authenticated by signature rather than JWT
+app.post('/api/payments/webhooks/crypto', async (req, res) => {
+  try {
+    const { event } = await commercialPlatform.payments.handleCryptoWebhook(
+      req.rawBody,
+      req.headers['x-cc-webhook-signature']
+    );
+    res.json({ received: true, id: event.id });
+  } catch (error) {
+    logger.error('Crypto webhook error:', error.message);
+    if (error instanceof PaymentError) {
+      return res.status(400).json({ error: 'Webhook verification failed' });
+    }
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+app.post('/api/payments/:transactionId/capture', authenticateToken, requirePermission('payments:process'),
+  validate(requestSchemas.transactionParams), idempotent, async (req, res) => {
+  try {
+    const existing = commercialPlatform.payments.transactions.find(t => t.id === req.params.transactionId);
+    if (!existing || !canAccessUserResource(req.user, existing.userId, 'payments:refund')) {
+      return res.status(404).json({ error: 'Transaction not found' });
+    }
+
+    const payment = await commercialPlatform.payments.capturePayment(existing.id);
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    logger.error('Payment capture error:', error.message);
+    res.status(500).json({ error: 'Capture failed' });
+  }
+});
+
+app.post('/api/payments/refund/:transactionId', authenticateToken, requirePermission('payments:refund'),
+  validate(requestSchemas.refundTransaction), idempotent, async (req, res) => {
   try {
     const { reason } = req.body;
-    const refund = commercialPlatform.payments.refundTransaction(req.params.transactionId, reason);
+    const refund = await commercialPlatform.payments.refundTransaction(req.params.transactionId, reason);
     res.json({ success: true, data: refund });
   } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     logger.error('Refund error:', error.message);
     res.status(500).json({ error: 'Refund failed' });
   }
 });
 
+// Gift card API
+app.post('/api/gift-cards', authenticateToken, requirePermission('giftcards:issue'),
+  validate(requestSchemas.issueGiftCard), idempotent, async (req, res) => {
+  try {
+    const card = await commercialPlatform.giftCards.issueCard(req.body, req.user.id);
+    res.status(201).json({ success: true, data: card });
+  } catch (error) {
+    if (error instanceof PaymentError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Gift card issue error:', error.message);
+    res.status(500).json({ error: 'Failed to issue gift card' });
+  }
+});
+
+// Anyone holding a code may check its balance, as on the back of a physical card
+app.get('/api/gift-cards/:code', authenticateToken, validate(requestSchemas.giftCardParams), (req, res) => {
+  const card = commercialPlatform.giftCards.findByCode(req.params.code);
+  if (!card) {
+    return res.status(404).json({ error: 'Gift card not found' });
+  }
+
+  res.json({ success: true, data: commercialPlatform.giftCards.getStatement(card) });
+});
+
 // Subscription API
-app.post('/api/subscriptions', authenticateToken, async (req, res) => {
+app.post('/api/subscriptions', authenticateToken, requirePermission('subscriptions:manage'),
+  validate(requestSchemas.createSubscription), idempotent, async (req, res) => {
   try {
-    const { planId, paymentMethod } = req.body;
-    const subscription = commercialPlatform.subscriptions.createSubscription(
+    const { planId, paymentMethod, paymentData, currency, billingAddress } = req.body;
+    const { subscription, invoice } = await commercialPlatform.subscriptions.createSubscription(
       req.user.id,
       planId,
-      paymentMethod
+      paymentMethod,
+      paymentData,
+      { currency, billingAddress }
     );
-    res.json({ success: true, data: subscription });
+
+    if (invoice.status === 'void') {
+      return res.status(402).json({ success: false, error: 'Payment failed', data: { subscription, invoice } });
+    }
+    if (invoice.status === 'paid') {
+      await commercialPlatform.settleSubscriptionInvoice(invoice);
+    }
+
+    // Processing payments activate the subscription once they settle via webhook
+    res.status(invoice.status === 'paid' ? 200 : 202).json({ success: true, data: { subscription, invoice } });
   } catch (error) {
     logger.error('Subscription creation error:', error.message);
     res.status(500).json({ error: 'Failed to create subscription' });
   }
 });
 
-app.delete('/api/subscriptions/:subscriptionId', authenticateToken, async (req, res) => {
+app.patch('/api/subscriptions/:subscriptionId', authenticateToken, requirePermission('subscriptions:manage'),
+  validate(requestSchemas.changeSubscriptionPlan), idempotent, async (req, res) => {
+  try {
+    const subscription = commercialPlatform.subscriptions.subscriptions.get(req.params.subscriptionId);
+    if (!subscription || !canAccessUserResource(req.user, subscription.userId, 'subscriptions:manage_any')) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const { invoice } = await commercialPlatform.subscriptions.changePlan(subscription.id, req.body.planId);
+    if (invoice?.status === 'paid') {
+      await commercialPlatform.settleSubscriptionInvoice(invoice);
+    }
+
+    res.json({ success: true, data: { subscription, invoice } });
+  } catch (error) {
+    logger.error('Subscription plan change error:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/subscriptions/:subscriptionId', authenticateToken, requirePermission('subscriptions:manage'),
+  validate(requestSchemas.subscriptionParams), async (req, res) => {
   try {
-    const subscription = commercialPlatform.subscriptions.cancelSubscription(req.params.subscriptionId);
+    const existing = commercialPlatform.subscriptions.subscriptions.get(req.params.subscriptionId);
+    if (!existing || !canAccessUserResource(req.user, existing.userId, 'subscriptions:manage_any')) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    const subscription = await commercialPlatform.subscriptions.cancelSubscription(existing.id);
     res.json({ success: true, data: subscription });
   } catch (error) {
     logger.error('Subscription cancellation error:', error.message);
@@ -655,55 +5228,320 @@ app.delete('/api/subscriptions/:subscriptionId', authenticateToken, async (req,
   }
 });
 
-app.get('/api/subscriptions/analytics', authenticateToken, (req, res) => {
+app.get('/api/subscriptions/analytics', authenticateToken, requirePermission('analytics:read'), (req, res) => {
   const analytics = commercialPlatform.subscriptions.getSubscriptionAnalytics();
   res.json({ success: true, data: analytics });
 });
 
+app.get('/api/subscriptions/:subscriptionId/invoices', authenticateToken, requirePermission('subscriptions:manage'),
+  validate(requestSchemas.subscriptionParams), (req, res) => {
+  const subscription = commercialPlatform.subscriptions.subscriptions.get(req.params.subscriptionId);
+  if (!subscription || !canAccessUserResource(req.user, subscription.userId, 'subscriptions:manage_any')) {
+    return res.status(404).json({ error: 'Subscription not found' });
+  }
+
+  const invoices = commercialPlatform.subscriptions.getInvoices(subscription.id);
+  res.json({ success: true, data: invoices });
+});
+
+// Invoice API
+app.get('/api/invoices', authenticateToken, (req, res) => {
+  res.json({ success: true, data: commercialPlatform.invoices.getInvoicesFor(req.user.id) });
+});
+
+// Accepts the invoice id or its number; ?format=pdf (or Accept: application/pdf) returns the PDF
+app.get('/api/invoices/:invoiceId', authenticateToken, validate(requestSchemas.invoiceParams), (req, res) => {
+  const invoice = commercialPlatform.invoices.getInvoice(req.params.invoiceId);
+  if (!invoice || !canAccessUserResource(req.user, invoice.customerId, 'invoices:read_any')) {
+    return res.status(404).json({ error: 'Invoice not found' });
+  }
+
+  const format = req.query.format || req.accepts(['json', 'pdf']);
+  if (format === 'pdf') {
+    return res.type('application/pdf')
+      .set('Content-Disposition', `inline; filename="${invoice.number}.pdf"`)
+      .send(commercialPlatform.invoices.renderPdf(invoice));
+  }
+
+  res.json({ success: true, data: invoice });
+});
+
+// Referral API
+app.get('/api/referrals/me', authenticateToken, async (req, res) => {
+  try {
+    const code = await commercialPlatform.referrals.getOrCreateCode(req.user.id, {
+      ip: req.ip,
+      deviceId: req.get('X-Device-Id')
+    });
+    res.json({ success: true, data: commercialPlatform.referrals.getReferrerSummary(code) });
+  } catch (error) {
+    logger.error('Referral code error:', error.message);
+    res.status(500).json({ error: 'Failed to load referral code' });
+  }
+});
+
+// Public: counts a visit to a referral link
+app.post('/api/referrals/invites/:code', validate(requestSchemas.referralCodeParams), async (req, res) => {
+  try {
+    await commercialPlatform.referrals.recordInvite(req.params.code);
+    res.json({ success: true });
+  } catch (error) {
+    if (error instanceof ReferralError) {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    logger.error('Referral invite error:', error.message);
+    res.status(500).json({ error: 'Failed to record invite' });
+  }
+});
+
+app.post('/api/referrals/signup', authenticateToken, validate(requestSchemas.referralSignup), async (req, res) => {
+  try {
+    const referral = await commercialPlatform.referrals.recordSignup(req.body.code, req.user.id, {
+      ip: req.ip,
+      deviceId: req.body.deviceId || req.get('X-Device-Id')
+    });
+    // Fraud signals stay internal; a flagged signup just looks like it is awaiting review
+    res.status(201).json({
+      success: true,
+      data: { id: referral.id, status: referral.status === 'flagged' ? 'under_review' : referral.status }
+    });
+  } catch (error) {
+    if (error instanceof ReferralError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Referral signup error:', error.message);
+    res.status(500).json({ error: 'Failed to record referral' });
+  }
+});
+
+app.get('/api/referrals/analytics', authenticateToken, requirePermission('analytics:read'), (req, res) => {
+  res.json({ success: true, data: commercialPlatform.referrals.getReferralAnalytics() });
+});
+
+app.get('/api/referrals/flagged', authenticateToken, requirePermission('referrals:manage'), (req, res) => {
+  const flagged = Array.from(commercialPlatform.referrals.referrals.values())
+    .filter(referral => referral.status === 'flagged');
+  res.json({ success: true, data: flagged });
+});
+
+app.put('/api/referrals/rewards', authenticateToken, requirePermission('referrals:manage'),
+  validate(requestSchemas.referralRewards), async (req, res) => {
+  try {
+    const rewards = await commercialPlatform.referrals.configureRewards(req.body);
+    res.json({ success: true, data: rewards });
+  } catch (error) {
+    if (error instanceof ReferralError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    logger.error('Referral rewards error:', error.message);
+    res.status(500).json({ error: 'Failed to update referral rewards' });
+  }
+});
+
+app.post('/api/referrals/:referralId/review', authenticateToken, requirePermission('referrals:manage'),
+  validate(requestSchemas.reviewReferral), async (req, res) => {
+  try {
+    const referral = await commercialPlatform.referrals.reviewReferral(
+      req.params.referralId,
+      req.body.decision,
+      req.user.id
+    );
+    res.json({ success: true, data: referral });
+  } catch (error) {
+    if (error.message === 'Referral not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (error instanceof ReferralError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    logger.error('Referral review error:', error.message);
+    res.status(500).json({ error: 'Failed to review referral' });
+  }
+});
+
 // User Acquisition API
-app.post('/api/acquisition/campaigns', authenticateToken, async (req, res) => {
+app.post('/api/acquisition/campaigns', authenticateToken, requirePermission('campaigns:manage'),
+  validate(requestSchemas.createCampaign), async (req, res) => {
   try {
-    const campaign = commercialPlatform.userAcquisition.createCampaign(req.body);
-    res.json({ success: true, data: campaign });
+    const campaign = await commercialPlatform.userAcquisition.createCampaign(req.body);
+    const tracking = commercialPlatform.trackingGuard.getTrackingDetails(campaign.id);
+    res.json({ success: true, data: { ...campaign, tracking } });
   } catch (error) {
+    if (error instanceof AcquisitionError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     logger.error('Campaign creation error:', error.message);
     res.status(500).json({ error: 'Failed to create campaign' });
   }
 });
 
-app.post('/api/acquisition/track/:campaignId', async (req, res) => {
+// PATCH /api/acquisition/campaigns/:campaignId/pause, /resume or /end
+app.patch('/api/acquisition/campaigns/:campaignId/:action', authenticateToken, requirePermission('campaigns:manage'),
+  validate(requestSchemas.campaignAction), async (req, res) => {
   try {
-    const { eventType, data } = req.body;
-    commercialPlatform.userAcquisition.trackAcquisitionEvent(req.params.campaignId, eventType, data);
-    res.json({ success: true });
+    const { campaignId, action } = req.params;
+    const acquisition = commercialPlatform.userAcquisition;
+    if (!acquisition.campaigns.has(campaignId)) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const handlers = {
+      pause: () => acquisition.pauseCampaign(campaignId),
+      resume: () => acquisition.resumeCampaign(campaignId),
+      end: () => acquisition.endCampaign(campaignId)
+    };
+    const campaign = await handlers[action]();
+    res.json({ success: true, data: campaign });
+  } catch (error) {
+    if (error instanceof AcquisitionError) {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    logger.error('Campaign update error:', error.message);
+    res.status(500).json({ error: 'Failed to update campaign' });
+  }
+});
+
+// Shared by the JSON endpoint and the image pixel; resolves to [status, body]
+const handleTrackingEvent = async (req, campaignId, { eventType, eventId, data = {}, userId, anonymousId }, token) => {
+  const guard = commercialPlatform.trackingGuard;
+  const trusted = eventType === 'conversion';
+  if (trusted) {
+    const signed = guard.verifyServerSignature(req.rawBody, req.get('X-Tracking-Timestamp'),
+      req.get('X-Tracking-Signature'));
+    if (!signed) {
+      return [401, { error: 'Conversions must be reported server-to-server with a valid signature' }];
+    }
+    if (!eventId) return [400, { success: false, error: 'Conversions need an eventId' }];
+  } else if (!guard.verifyToken(campaignId, token)) {
+    return [401, { error: 'Invalid tracking token' }];
+  }
+
+  const filtered = await guard.screen({
+    campaignId,
+    eventType,
+    eventId,
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    trusted
+  });
+  if (filtered) {
+    await commercialPlatform.userAcquisition.recordFilteredEvent(campaignId, filtered);
+    if (filtered === 'rate_limited') return [429, { error: 'Too many tracking events' }];
+    // Bots and repeats get an ordinary answer so there is nothing to probe
+    return [200, { success: true }];
+  }
+
+  await commercialPlatform.userAcquisition.trackAcquisitionEvent(campaignId, eventType, data, { userId, anonymousId });
+  return [200, { success: true }];
+};
+
+// Browser events send the campaign token in X-Tracking-Token; conversions are signed instead
+app.post('/api/acquisition/track/:campaignId', validate(requestSchemas.trackAcquisitionEvent), async (req, res) => {
+  try {
+    const [status, body] = await handleTrackingEvent(req, req.params.campaignId, req.body,
+      req.get('X-Tracking-Token'));
+    res.status(status).json(body);
   } catch (error) {
+    if (error.message === 'Campaign is not active') {
+      return res.status(409).json({ success: false, error: error.message });
+    }
+    if (error instanceof AcquisitionError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
     logger.error('Tracking error:', error.message);
     res.status(500).json({ error: 'Tracking failed' });
   }
 });
 
+// 1x1 transparent GIF
+const trackingPixel = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// Image pixel for impressions and clicks; it answers with the GIF whatever the outcome
+app.get('/api/acquisition/pixel/:campaignId', validate(requestSchemas.trackingPixel), async (req, res) => {
+  let status;
+  try {
+    const { t, e, aid } = req.query;
+    [status] = await handleTrackingEvent(req, req.params.campaignId, { eventType: e, anonymousId: aid }, t);
+  } catch (error) {
+    if (!(error instanceof AcquisitionError)) logger.error('Tracking pixel error:', error.message);
+    status = error instanceof AcquisitionError ? 409 : 500;
+  }
+  res.status(status)
+    .set({ 'Content-Type': 'image/gif', 'Cache-Control': 'no-store, max-age=0' })
+    .send(trackingPixel);
+});
+
+app.get('/api/acquisition/campaigns/:campaignId/tracking', authenticateToken, requirePermission('campaigns:manage'),
+  validate(requestSchemas.campaignParams), (req, res) => {
+  if (!commercialPlatform.userAcquisition.campaigns.has(req.params.campaignId)) {
+    return res.status(404).json({ error: 'Campaign not found' });
+  }
+
+  const tracking = commercialPlatform.trackingGuard.getTrackingDetails(req.params.campaignId);
+  if (!tracking) {
+    return res.status(503).json({ error: 'Tracking is not configured' });
+  }
+  res.json({ success: true, data: tracking });
+});
+
 // Analytics API
-app.get('/api/analytics/dashboard', authenticateToken, (req, res) => {
+app.get('/api/analytics/dashboard', authenticateToken, requirePermission('analytics:read'), (req, res) => {
   const dashboard = commercialPlatform.analytics.getDashboardData();
   res.json({ success: true, data: dashboard });
 });
 
-app.get('/api/analytics/marketplace', authenticateToken, (req, res) => {
-  const analytics = commercialPlatform.marketplace.getMarketAnalytics();
-  res.json({ success: true, data: analytics });
+app.get('/api/analytics/marketplace', authenticateToken, requirePermission('analytics:read'),
+  validate(requestSchemas.marketplaceAnalytics), (req, res) => {
+  try {
+    const { from, to, interval, category } = req.query;
+    const analytics = commercialPlatform.marketplace.getMarketAnalytics();
+    const funnel = commercialPlatform.marketplace.getConversionFunnel({ from, to, interval, category });
+    const promotions = commercialPlatform.promotions.getPromotionAnalytics({ from: funnel.from, to: funnel.to });
+    res.json({ success: true, data: { ...analytics, funnel, promotions } });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
 });
 
-app.get('/api/analytics/acquisition', authenticateToken, (req, res) => {
-  const analytics = commercialPlatform.userAcquisition.getAcquisitionAnalytics();
+app.get('/api/analytics/acquisition', authenticateToken, requirePermission('analytics:read'),
+  validate(requestSchemas.acquisitionAnalytics), (req, res) => {
+  const analytics = commercialPlatform.userAcquisition.getAcquisitionAnalytics({ model: req.query.model });
   res.json({ success: true, data: analytics });
 });
 
-app.get('/api/analytics/revenue', authenticateToken, (req, res) => {
+app.get('/api/analytics/revenue', authenticateToken, requirePermission('analytics:read'), (req, res) => {
   const analytics = commercialPlatform.revenue.getRevenueBreakdown();
   res.json({ success: true, data: analytics });
 });
 
-app.post('/api/analytics/update', authenticateToken, (req, res) => {
+app.get('/api/analytics/revenue/forecast', authenticateToken, requirePermission('analytics:read'),
+  validate(requestSchemas.revenueForecast), (req, res) => {
+  try {
+    const { model, interval, horizon, confidence } = req.query;
+    const prediction = commercialPlatform.revenue.predictRevenue(interval || 'month', {
+      model: model || undefined,
+      horizon: horizon !== undefined ? Number(horizon) : undefined,
+      confidence: confidence !== undefined ? Number(confidence) : undefined
+    });
+    res.json({ success: true, data: prediction });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/analytics/revenue/timeseries', authenticateToken, requirePermission('analytics:read'),
+  validate(requestSchemas.revenueTimeseries), (req, res) => {
+  try {
+    const { from, to, interval, stream, currency } = req.query;
+    const series = commercialPlatform.revenue.getRevenueSeries({ from, to, interval, stream, currency });
+    res.json({ success: true, data: series });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/analytics/update', authenticateToken, requirePermission('analytics:write'),
+  validate(requestSchemas.updateAnalytics), (req, res) => {
   try {
     const { category, subcategory, value } = req.body;
     commercialPlatform.analytics.updateMetric(category, subcategory, value);
@@ -714,16 +5552,16 @@ app.post('/api/analytics/update', authenticateToken, (req, res) => {
   }
 });
 
-// Legacy routes for backward compatibility
-app.get('/revenue', (req, res) => {
+// Legacy routes for backward compatibility; same access rules as /api/analytics
+app.get('/revenue', authenticateToken, requirePermission('analytics:read'), (req, res) => {
   res.json(commercialPlatform.analytics.metrics.revenue);
 });
 
-app.get('/users', (req, res) => {
+app.get('/users', authenticateToken, requirePermission('analytics:read'), (req, res) => {
   res.json(commercialPlatform.analytics.metrics.users);
 });
 
-app.get('/dashboard', (req, res) => {
+app.get('/dashboard', authenticateToken, requirePermission('analytics:read'), (req, res) => {
   res.json(commercialPlatform.analytics.getDashboardData());
 });
 
@@ -737,62 +5575,108 @@ async function initializeDatabase() {
     // Initialize collections
     await db.collection('marketplace').createIndex({ category: 1, status: 1 });
     await db.collection('transactions').createIndex({ timestamp: -1 });
+    await db.collection('marketplace_transactions').createIndex({ listingId: 1, timestamp: -1 });
     await db.collection('subscriptions').createIndex({ userId: 1, status: 1 });
+    await db.collection('invoices').createIndex({ subscriptionId: 1, createdAt: -1 });
     await db.collection('campaigns').createIndex({ status: 1, channel: 1 });
+    await db.collection('revenue').createIndex({ stream: 1, timestamp: -1 });
+    await db.collection('revenue').createIndex({ sourceTransactionId: 1 });
+    await db.collection('seller_ledger').createIndex({ sellerId: 1, createdAt: -1 });
+    await db.collection('payouts').createIndex({ sellerId: 1, createdAt: -1 });
+    await db.collection('listing_price_changes').createIndex({ listingId: 1, changedAt: -1 });
+    await db.collection('listing_views').createIndex({ date: -1, category: 1 });
+    await db.collection('fx_rates').createIndex({ asOf: 1 });
+    await db.collection('tax_invoices').createIndex({ number: 1 }, { unique: true });
+    await db.collection('tax_invoices').createIndex({ 'source.type': 1, 'source.id': 1 }, { unique: true });
+    await db.collection('tax_invoices').createIndex({ customerId: 1, issuedAt: -1 });
+    await db.collection('promotions').createIndex({ kind: 1, status: 1 });
+    await db.collection('promotions').createIndex({ code: 1 });
+    await db.collection('marketplace_transactions').createIndex({ promotionId: 1 });
+    await db.collection('gift_cards').createIndex({ code: 1 }, { unique: true });
+    await db.collection('gift_card_ledger').createIndex({ giftCardId: 1, createdAt: -1 });
+    await db.collection('transactions').createIndex({ cryptoChargeId: 1 });
+    await db.collection('acquisition_touchpoints').createIndex({ userId: 1, occurredAt: 1 });
+    await db.collection('acquisition_touchpoints').createIndex({ anonymousId: 1 });
+    await db.collection('referral_codes').createIndex({ code: 1 }, { unique: true });
+    await db.collection('referral_codes').createIndex({ userId: 1 }, { unique: true });
+    await db.collection('referrals').createIndex({ referredUserId: 1 }, { unique: true });
+    await db.collection('referrals').createIndex({ code: 1, signedUpAt: -1 });
+
+    const collections = [
+      'marketplace', 'transactions', 'marketplace_transactions',
+      'subscriptions', 'invoices', 'campaigns', 'revenue', 'seller_ledger', 'payouts',
+      'listing_price_changes', 'listing_views', 'promotions', 'fx_rates', 'tax_invoices',
+      'gift_cards', 'gift_card_ledger', 'acquisition_touchpoints', 'referral_codes', 'referrals',
+      'referral_program', 'payment_profiles'
+    ];
+    for (const collection of collections) {
+      await db.collection(collection).createIndex({ id: 1 }, { unique: true });
+    }
 
   } catch (error) {
     logger.error('Database connection error:', error.message);
   }
 }
 
-// Automated commercial updates
+// Headline analytics refresh. Figures come only from the revenue ledger and real subscriptions.
 cron.schedule('0 */4 * * *', () => { // Every 4 hours
-  logger.info('Running automated commercial platform update...');
-
   try {
-    // Simulate marketplace activity
-    const categories = Object.keys(commercialPlatform.marketplace.categories);
-    const randomCategory = categories[Math.floor(Math.random() * categories.length)];
-
-    const listing = commercialPlatform.marketplace.createListing({
-      name: `Random ${randomCategory} Item`,
-      description: `Auto-generated ${randomCategory} item`,
-      price: commercialPlatform.marketplace.categories[randomCategory].basePrice * (0.8 + Math.random() * 0.4),
-      category: randomCategory,
-      sellerId: `system_${Date.now()}`
-    });
+    commercialPlatform.analytics.updateMetric('revenue', 'total',
+      Object.values(commercialPlatform.revenue.streams).reduce((a, b) => a + b, 0));
+    commercialPlatform.refreshEngagementMetrics();
 
-    // Simulate purchases
-    if (Math.random() > 0.6) {
-      const buyerId = `user_${Math.floor(Math.random() * 10000)}`;
-      commercialPlatform.marketplace.purchaseListing(listing.id, buyerId, 'stripe');
-      commercialPlatform.revenue.updateRevenue('marketplace', listing.price);
-    }
-
-    // Simulate subscription signups
-    if (Math.random() > 0.8) {
-      const plans = Object.keys(commercialPlatform.subscriptions.plans);
-      const randomPlan = plans[Math.floor(Math.random() * plans.length)];
-      commercialPlatform.subscriptions.createSubscription(
-        `user_${Math.floor(Math.random() * 10000)}`,
-        randomPlan,
-        'stripe'
-      );
-      commercialPlatform.revenue.updateRevenue('subscriptions',
-        commercialPlatform.subscriptions.plans[randomPlan].price);
+    logger.info(`Analytics refresh completed - Revenue: $${commercialPlatform.analytics.metrics.revenue.total.toFixed(2)}`);
+  } catch (error) {
+    logger.error('Analytics refresh error:', error.message);
+  }
+});
+
+// Exchange rates
+cron.schedule('5 * * * *', () => commercialPlatform.refreshExchangeRates()); // Hourly
+
+// Recurring subscription billing
+cron.schedule('15 * * * *', async () => { // Hourly
+  try {
+    const results = await commercialPlatform.subscriptions.runBillingCycle();
+    for (const invoice of results.paid) {
+      await commercialPlatform.settleSubscriptionInvoice(invoice);
     }
 
-    // Update analytics
-    commercialPlatform.analytics.updateMetric('revenue', 'total',
-      Object.values(commercialPlatform.revenue.streams).reduce((a, b) => a + b, 0));
+    logger.info(`Billing cycle completed - paid: ${results.paid.length}, failed: ${results.failed.length}, ` +
+      `pending: ${results.pending.length}, suspended: ${results.suspended.length}`);
+  } catch (error) {
+    logger.error('Billing cycle error:', error.message);
+  }
+});
 
-    commercialPlatform.analytics.updateMetric('users', 'total',
-      commercialPlatform.analytics.metrics.users.total + Math.floor(Math.random() * 5));
+// Unpaid marketplace reservations
+cron.schedule('*/5 * * * *', async () => {
+  try {
+    const expired = await commercialPlatform.marketplace.expireStaleReservations();
+    if (expired.length > 0) logger.info(`Expired ${expired.length} unpaid marketplace reservations`);
+  } catch (error) {
+    logger.error('Reservation expiry error:', error.message);
+  }
+});
 
-    logger.info(`Commercial update completed - Revenue: $${commercialPlatform.analytics.metrics.revenue.total.toFixed(2)}`);
+// Campaign schedules, budget caps and pacing alerts
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const changed = await commercialPlatform.userAcquisition.refreshCampaigns();
+    if (changed.length > 0) logger.info(`Campaign refresh updated ${changed.length} campaigns`);
+  } catch (error) {
+    logger.error('Campaign refresh error:', error.message);
+  }
+});
 
+// Seller payout run
+cron.schedule('0 6 * * *', async () => { // 6 AM daily
+  try {
+    const payouts = await commercialPlatform.payouts.runPayouts();
+    const total = payouts.reduce((sum, payout) => sum + payout.amount, 0);
+    logger.info(`Seller payout run completed - ${payouts.length} payouts, $${total.toFixed(2)}`);
   } catch (error) {
-    logger.error('Commercial update error:', error.message);
+    logger.error('Seller payout run error:', error.message);
   }
 });
 
@@ -842,23 +5726,6 @@ function generateRecommendations(dashboard, marketplace, revenue) {
   return recommendations;
 }
 
-// Error handling
-app.use((err, req, res, next) => {
-  logger.error('Unhandled error:', err);
-  res.status(500).json({
-    error: 'Internal server error',
-    message: err.message
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    error: 'Not found',
-    message: `Route ${req.originalUrl} not found`
-  });
-});
-
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
@@ -1150,6 +6017,10 @@ class CargoManager {
   }
 
   generateCargoManifest(shipCapacity, riskTolerance = 'medium') {
+    if (!Number.isFinite(shipCapacity) || shipCapacity <= 0) {
+      throw new Error('Ship capacity must be a positive number');
+    }
+
     const manifest = {
       id: uuidv4(),
       cargo: [],
@@ -1438,11 +6309,14 @@ class JobBoardManager {
     return job;
   }
 
-  completeJob(jobId, success = true) {
+  completeJob(jobId, playerId, success = true) {
     const job = this.jobs.get(jobId);
     if (!job || job.status !== 'active') {
       throw new Error('Job not active');
     }
+    if (job.acceptedBy !== playerId) {
+      throw new Error('Job was accepted by another player');
+    }
 
     job.status = success ? 'completed' : 'failed';
     job.completedAt = Date.now();
@@ -1549,6 +6423,9 @@ class BlackMarketManager {
     if (!listing || listing.status !== 'active') {
       throw new Error('Listing not available');
     }
+    if (listing.sellerId === buyerId) {
+      throw new Error('Cannot purchase your own listing');
+    }
 
     // Simulate black market transaction risks
     const interceptionRisk = listing.risk === 'high' ? 0.2 : listing.risk === 'medium' ? 0.1 : 0.05;
@@ -1724,7 +6601,7 @@ class TradeRouteManager {
 const commercialPlatform = new CommercialPlatform();
 
 // API Routes for SMUGGLER'S UNIVERSE Smuggling
-app.get('/api/smuggling/stats', async (req, res) => {
+app.get('/api/smuggling/stats', authenticateToken, async (req, res) => {
   try {
     const stats = commercialPlatform.smuggling.getSmugglingStats();
     res.json({ success: true, data: stats });
@@ -1734,7 +6611,7 @@ app.get('/api/smuggling/stats', async (req, res) => {
   }
 });
 
-app.post('/api/cargo/manifest', async (req, res) => {
+app.post('/api/cargo/manifest', authenticateToken, validate(requestSchemas.cargoManifest), async (req, res) => {
   try {
     const { shipCapacity, riskTolerance } = req.body;
     const manifest = commercialPlatform.cargoSystem.generateCargoManifest(shipCapacity, riskTolerance);
@@ -1745,7 +6622,7 @@ app.post('/api/cargo/manifest', async (req, res) => {
   }
 });
 
-app.get('/api/cargo/stats', async (req, res) => {
+app.get('/api/cargo/stats', authenticateToken, async (req, res) => {
   try {
     const stats = commercialPlatform.cargoSystem.getCargoStats();
     res.json({ success: true, data: stats });
@@ -1755,7 +6632,7 @@ app.get('/api/cargo/stats', async (req, res) => {
   }
 });
 
-app.get('/api/jobs/available', async (req, res) => {
+app.get('/api/jobs/available', authenticateToken, async (req, res) => {
   try {
     const jobs = Array.from(commercialPlatform.jobBoard.jobs.values())
       .filter(job => job.status === 'available');
@@ -1766,11 +6643,10 @@ app.get('/api/jobs/available', async (req, res) => {
   }
 });
 
-app.post('/api/jobs/:jobId/accept', async (req, res) => {
+app.post('/api/jobs/:jobId/accept', authenticateToken, validate(requestSchemas.acceptJob), async (req, res) => {
   try {
     const { jobId } = req.params;
-    const { playerId } = req.body;
-    const job = commercialPlatform.jobBoard.acceptJob(jobId, playerId);
+    const job = commercialPlatform.jobBoard.acceptJob(jobId, req.user.id);
     res.json({ success: true, data: job });
   } catch (error) {
     logger.error('Error accepting job:', error);
@@ -1778,11 +6654,16 @@ app.post('/api/jobs/:jobId/accept', async (req, res) => {
   }
 });
 
-app.post('/api/jobs/:jobId/complete', async (req, res) => {
+app.post('/api/jobs/:jobId/complete', authenticateToken, validate(requestSchemas.completeJob), async (req, res) => {
   try {
     const { jobId } = req.params;
     const { success } = req.body;
-    const job = commercialPlatform.jobBoard.completeJob(jobId, success);
+    const existing = commercialPlatform.jobBoard.jobs.get(jobId);
+    if (existing && existing.acceptedBy !== req.user.id) {
+      return res.status(403).json({ success: false, error: 'Only the accepting player can complete this job' });
+    }
+
+    const job = commercialPlatform.jobBoard.completeJob(jobId, req.user.id, success);
     res.json({ success: true, data: job });
   } catch (error) {
     logger.error('Error completing job:', error);
@@ -1790,7 +6671,7 @@ app.post('/api/jobs/:jobId/complete', async (req, res) => {
   }
 });
 
-app.get('/api/jobs/stats', async (req, res) => {
+app.get('/api/jobs/stats', authenticateToken, async (req, res) => {
   try {
     const stats = commercialPlatform.jobBoard.getJobStats();
     res.json({ success: true, data: stats });
@@ -1800,10 +6681,11 @@ app.get('/api/jobs/stats', async (req, res) => {
   }
 });
 
-app.post('/api/blackmarket/listing', async (req, res) => {
+app.post('/api/blackmarket/listing', authenticateToken,
+  validate(requestSchemas.createBlackMarketListing), async (req, res) => {
   try {
-    const { itemData, sellerId } = req.body;
-    const listing = commercialPlatform.blackMarket.createBlackMarketListing(itemData, sellerId);
+    const { itemData } = req.body;
+    const listing = commercialPlatform.blackMarket.createBlackMarketListing(itemData, req.user.id);
     res.json({ success: true, data: listing });
   } catch (error) {
     logger.error('Error creating black market listing:', error);
@@ -1811,7 +6693,7 @@ app.post('/api/blackmarket/listing', async (req, res) => {
   }
 });
 
-app.get('/api/blackmarket/listings', async (req, res) => {
+app.get('/api/blackmarket/listings', authenticateToken, async (req, res) => {
   try {
     const listings = Array.from(commercialPlatform.blackMarket.listings.values())
       .filter(listing => listing.status === 'active');
@@ -1822,11 +6704,11 @@ app.get('/api/blackmarket/listings', async (req, res) => {
   }
 });
 
-app.post('/api/blackmarket/:listingId/purchase', async (req, res) => {
+app.post('/api/blackmarket/:listingId/purchase', authenticateToken,
+  validate(requestSchemas.purchaseBlackMarketItem), async (req, res) => {
   try {
     const { listingId } = req.params;
-    const { buyerId } = req.body;
-    const transaction = commercialPlatform.blackMarket.purchaseBlackMarketItem(listingId, buyerId);
+    const transaction = commercialPlatform.blackMarket.purchaseBlackMarketItem(listingId, req.user.id);
     res.json({ success: true, data: transaction });
   } catch (error) {
     logger.error('Error purchasing black market item:', error);
@@ -1834,7 +6716,7 @@ app.post('/api/blackmarket/:listingId/purchase', async (req, res) => {
   }
 });
 
-app.get('/api/blackmarket/stats', async (req, res) => {
+app.get('/api/blackmarket/stats', authenticateToken, async (req, res) => {
   try {
     const stats = commercialPlatform.blackMarket.getBlackMarketStats();
     res.json({ success: true, data: stats });
@@ -1864,11 +6746,29 @@ app.get('/api/traderoutes/stats', async (req, res) => {
   }
 });
 
+// Error and 404 handlers go last so every route above is reachable
+// Error handling
+app.use((err, req, res, next) => {
+  logger.error('Unhandled error:', err);
+  res.status(500).json({
+    error: 'Internal server error',
+    message: err.message
+  });
+});
+
+// 404 handler
+app.use('*', (req, res) => {
+  res.status(404).json({
+    error: 'Not found',
+    message: `Route ${req.originalUrl} not found`
+  });
+});
+
 // Initialize and start server
 async function startServer() {
   try {
     await initializeDatabase();
-    await commercialPlatform.initialize();
+    await commercialPlatform.initialize(db);
 
     app.listen(PORT, () => {
       logger.info(`Commercial Platform running on port ${PORT}`);
@@ -1891,6 +6791,24 @@ async function startServer() {
   }
 }
 
-startServer();
+// Only listen when run directly; tests load the module and drive `app` through supertest
+if (require.main === module) {
+  startServer();
+}
 
-module.exports = app;
+module.exports = {
+  app,
+  commercialPlatform,
+  redis,
+  stripe,
+  CommercialPlatform,
+  MongoRepository,
+  FixtureRateProvider,
+  CurrencyConverter,
+  TaxEngine,
+  PaymentProcessor,
+  PaymentError,
+  GiftCardManager,
+  RevenueForecaster,
+  TrackingGuard
+};
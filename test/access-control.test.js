@@ -0,0 +1,130 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('role-based access control', () => {
+  let server;
+  let platform;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+  });
+
+  const get = (path, authorization) => {
+    const pending = request(server.app).get(path);
+    return authorization ? pending.set('Authorization', authorization) : pending;
+  };
+
+  describe('tokens', () => {
+    it('are required and must verify', async () => {
+      expect((await get('/api/analytics/dashboard')).status).toBe(401);
+      expect((await get('/api/analytics/dashboard', 'Bearer not-a-token')).status).toBe(403);
+    });
+
+    it('fall back to the player role when they claim none the platform knows', async () => {
+      const unknown = `Bearer ${jwt.sign({ id: 'user-1', role: 'superuser' }, process.env.JWT_SECRET)}`;
+      const response = await get('/api/analytics/dashboard', unknown);
+
+      expect(response.status).toBe(403);
+      expect(response.body).toEqual({ error: 'Insufficient permissions', required: ['analytics:read'] });
+    });
+
+    it('grant the union of every role they carry', async () => {
+      const token = `Bearer ${jwt.sign({ id: 'seller-1', roles: ['seller', 'analyst'] }, process.env.JWT_SECRET)}`;
+      const listing = await request(server.app)
+        .post('/api/marketplace/listings')
+        .set('Authorization', token)
+        .send({ name: 'Comet Decal', price: 5, category: 'cosmetics' });
+
+      expect(listing.status).toBe(200);
+      expect((await get('/api/analytics/dashboard', token)).status).toBe(200);
+    });
+  });
+
+  describe('analytics', () => {
+    it('are readable by analysts and finance but not by players or sellers', async () => {
+      for (const path of ['/api/analytics/dashboard', '/api/analytics/revenue', '/revenue', '/users', '/dashboard']) {
+        expect((await get(path, bearer('player-1'))).status).toBe(403);
+        expect((await get(path, bearer('seller-1', 'seller'))).status).toBe(403);
+        expect((await get(path, bearer('analyst-1', 'analyst'))).status).toBe(200);
+        expect((await get(path, bearer('finance-1', 'finance'))).status).toBe(200);
+      }
+    });
+
+    it('are only updated by admins', async () => {
+      const update = role => request(server.app)
+        .post('/api/analytics/update')
+        .set('Authorization', bearer(`${role}-1`, role))
+        .send({ category: 'users', subcategory: 'total', value: 42 });
+
+      expect((await update('analyst')).status).toBe(403);
+      expect((await update('finance')).status).toBe(403);
+      expect((await update('admin')).status).toBe(200);
+      expect(platform.analytics.metrics.users.total).toBe(42);
+    });
+  });
+
+  describe('refunds', () => {
+    it('are restricted to finance and admins', async () => {
+      const card = await platform.giftCards.issueCard({ amount: 20 }, 'admin-1');
+      const payment = await platform.payments.processPayment(10, 'USD', 'gift_card',
+        { giftCardCode: card.code, userId: 'player-1' });
+      const refund = (id, role) => request(server.app)
+        .post(`/api/payments/refund/${payment.id}`)
+        .set('Authorization', bearer(id, role))
+        .send({ reason: 'requested_by_customer' });
+
+      const own = await refund('player-1');
+      expect(own.status).toBe(403);
+      expect(own.body.required).toEqual(['payments:refund']);
+
+      const byFinance = await refund('finance-1', 'finance');
+      expect(byFinance.status).toBe(200);
+      expect(byFinance.body.data).toMatchObject({ originalTransactionId: payment.id, amount: 10 });
+    });
+  });
+
+  describe('campaigns', () => {
+    it('are managed by admins only', async () => {
+      const create = role => request(server.app)
+        .post('/api/acquisition/campaigns')
+        .set('Authorization', bearer(`${role}-1`, role))
+        .send({ name: 'Autumn push', channel: 'google_ads', budget: 500 });
+
+      for (const role of ['player', 'seller', 'analyst', 'finance']) {
+        expect((await create(role)).status).toBe(403);
+      }
+      const created = await create('admin');
+      expect(created.status).toBe(200);
+
+      const pause = await request(server.app)
+        .patch(`/api/acquisition/campaigns/${created.body.data.id}/pause`)
+        .set('Authorization', bearer('analyst-1', 'analyst'));
+      expect(pause.status).toBe(403);
+      expect(platform.userAcquisition.campaigns.get(created.body.data.id).status).toBe('active');
+    });
+  });
+
+  describe('owned resources', () => {
+    it('are hidden from other sellers but open to admins', async () => {
+      const listing = await platform.marketplace.createListing({
+        name: 'Aurora Trail',
+        price: 12,
+        category: 'cosmetics',
+        sellerId: 'seller-owner'
+      });
+      const patch = (id, role) => request(server.app)
+        .patch(`/api/marketplace/listings/${listing.id}`)
+        .set('Authorization', bearer(id, role))
+        .send({ price: 15 });
+
+      expect((await patch('seller-other', 'seller')).status).toBe(404);
+      expect((await patch('player-1')).status).toBe(403);
+      expect(listing.price).toBe(12);
+
+      expect((await patch('seller-owner', 'seller')).status).toBe(200);
+      expect((await patch('admin-1', 'admin')).body.data.price).toBe(15);
+    });
+  });
+});
@@ -0,0 +1,141 @@
+const request = require('supertest');
+const moment = require('moment');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('multi-touch attribution', () => {
+  let server;
+  let platform;
+  let acquisition;
+  let search;
+  let social;
+  let stale;
+  let attribution;
+
+  const daysAgo = days => moment().subtract(days, 'days').toDate();
+
+  const buy = async (buyerId, price) => {
+    const listing = await platform.marketplace.createListing({
+      name: `Item for ${buyerId}`,
+      price,
+      category: 'cosmetics',
+      sellerId: 'seller-1'
+    });
+    const card = await platform.giftCards.issueCard({ amount: price }, 'admin-1');
+    return platform.purchaseListing(listing.id, buyerId, 'gift_card', { giftCardCode: card.code }, { billingAddress });
+  };
+
+  const click = (campaign, ids, at) => acquisition.trackAcquisitionEvent(campaign.id, 'click', {}, ids, at);
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    acquisition = platform.userAcquisition;
+
+    const launch = daysAgo(60);
+    search = await acquisition.createCampaign({ name: 'Search', channel: 'google_ads', budget: 1000 }, launch);
+    social = await acquisition.createCampaign({ name: 'Social', channel: 'social_media', budget: 1000 }, launch);
+    stale = await acquisition.createCampaign({ name: 'Stale', channel: 'influencers', budget: 1000 }, launch);
+
+    // Anonymous search click, then a social click once signed in on the same device
+    await click(search, { anonymousId: 'anon-multi' }, daysAgo(5));
+    await click(social, { userId: 'buyer-multi', anonymousId: 'anon-multi' }, daysAgo(2));
+    await buy('buyer-multi', 30);
+
+    // Clicked long before the attribution window
+    await click(stale, { userId: 'buyer-old' }, daysAgo(40));
+    await buy('buyer-old', 10);
+
+    // Clicked only after buying
+    await buy('buyer-late', 20);
+    await click(search, { userId: 'buyer-late' }, moment().add(1, 'hour').toDate());
+
+    // Subscription revenue is credited alongside marketplace revenue
+    await click(search, { userId: 'buyer-sub' }, daysAgo(3));
+    const card = await platform.giftCards.issueCard({ amount: 4.99 }, 'admin-1');
+    await platform.subscriptions.createSubscription('buyer-sub', 'basic', 'gift_card', { giftCardCode: card.code },
+      { billingAddress });
+
+    attribution = acquisition.getAttribution();
+  });
+
+  it('needs a visitor identity for clicks and conversions', async () => {
+    await expect(acquisition.trackAcquisitionEvent(search.id, 'click', {}, {}))
+      .rejects.toThrow('click events need a userId or anonymousId');
+  });
+
+  it('credits the first touch in the window', () => {
+    const { byCampaign } = attribution.models.first_touch;
+
+    expect(byCampaign[search.id]).toEqual({
+      name: 'Search',
+      channel: 'google_ads',
+      revenue: 34.99,
+      marketplaceRevenue: 30,
+      subscriptionRevenue: 4.99,
+      conversions: 2
+    });
+    expect(byCampaign[social.id]).toBeUndefined();
+  });
+
+  it('credits the last touch before the purchase', () => {
+    const { byCampaign, byChannel } = attribution.models.last_touch;
+
+    expect(byCampaign[social.id]).toMatchObject({ revenue: 30, conversions: 1 });
+    expect(byCampaign[search.id]).toMatchObject({ revenue: 4.99, subscriptionRevenue: 4.99, conversions: 1 });
+    expect(byChannel.social_media.revenue).toBe(30);
+  });
+
+  it('splits credit evenly across the path under the linear model', () => {
+    const { byCampaign, byChannel } = attribution.models.linear;
+
+    expect(byCampaign[search.id]).toMatchObject({ revenue: 19.99, marketplaceRevenue: 15, conversions: 1.5 });
+    expect(byCampaign[social.id]).toMatchObject({ revenue: 15, conversions: 0.5 });
+    expect(byChannel.google_ads.revenue).toBe(19.99);
+  });
+
+  it('leaves purchases outside the window or before any touch unattributed', () => {
+    expect(attribution.totalRevenue).toBe(64.99);
+    Object.values(attribution.models).forEach(model => {
+      expect(model.attributedRevenue).toBe(34.99);
+      expect(model.unattributedRevenue).toBe(30);
+    });
+    expect(attribution.models.first_touch.byCampaign[stale.id]).toBeUndefined();
+  });
+
+  it('links an anonymous visitor once it is seen with a user ID', () => {
+    expect(acquisition.identities.get('anon-multi')).toBe('buyer-multi');
+    expect(acquisition.resolveUser(acquisition.touchpoints[0])).toBe('buyer-multi');
+  });
+
+  it('reports campaign revenue under the chosen model', async () => {
+    const response = await request(server.app)
+      .get('/api/analytics/acquisition')
+      .query({ model: 'linear' })
+      .set('Authorization', bearer('analyst-1', 'analyst'));
+
+    expect(response.status).toBe(200);
+    const performance = response.body.data.campaignPerformance.find(c => c.id === social.id);
+    expect(performance.revenue).toBe(15);
+  });
+
+  it('builds the revenue events once per report, however many campaigns there are', () => {
+    const getRevenueEvents = jest.spyOn(acquisition.analytics, 'getRevenueEvents');
+
+    const analytics = acquisition.getAcquisitionAnalytics();
+
+    expect(getRevenueEvents).toHaveBeenCalledTimes(1);
+    expect(analytics.lifetimeValue).toBe(acquisition.analytics.calculateLTV());
+    getRevenueEvents.mockRestore();
+  });
+
+  it('rejects unknown models', async () => {
+    expect(() => acquisition.getAcquisitionAnalytics({ model: 'time_decay' }))
+      .toThrow('Unsupported attribution model: time_decay');
+
+    const response = await request(server.app)
+      .get('/api/analytics/acquisition')
+      .query({ model: 'time_decay' })
+      .set('Authorization', bearer('analyst-1', 'analyst'));
+    expect(response.status).toBe(400);
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const moment = require('moment');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('campaign budgets and pacing', () => {
+  let server;
+  let acquisition;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    acquisition = server.commercialPlatform.userAcquisition;
+  });
+
+  // A fixed UTC day keeps the daily cap and pacing arithmetic independent of when the suite runs
+  const launch = moment.utc('2031-03-10T00:00:00Z');
+  const at = (hours, days = 0) => launch.clone().add(days, 'days').add(hours, 'hours').toDate();
+
+  const createCampaign = (fields = {}) => acquisition.createCampaign({
+    name: 'Spring push',
+    channel: 'google_ads',
+    budget: 1000,
+    ...fields
+  }, at(0));
+
+  const click = (campaign, now) => acquisition.trackAcquisitionEvent(campaign.id, 'click', {},
+    { anonymousId: 'visitor-budget' }, now);
+  const convert = (campaign, cost, now) => acquisition.trackAcquisitionEvent(campaign.id, 'conversion', { cost },
+    { userId: 'buyer-budget' }, now);
+
+  it('refuses a daily budget above the lifetime budget and schedules that end before they start', async () => {
+    await expect(createCampaign({ budget: 100, dailyBudget: 150 }))
+      .rejects.toThrow('Daily budget cannot exceed the lifetime budget');
+    await expect(createCampaign({ startsAt: at(48), endsAt: at(24) })).rejects.toThrow('Invalid campaign schedule');
+  });
+
+  describe('caps', () => {
+    it('pause the campaign once the lifetime budget is spent and keep it from serving', async () => {
+      const campaign = await createCampaign({ budget: 100 });
+
+      await convert(campaign, 60, at(1));
+      expect(campaign.status).toBe('active');
+      await convert(campaign, 45, at(2));
+
+      expect(campaign).toMatchObject({ status: 'paused', pausedReason: 'lifetime_budget' });
+      await expect(click(campaign, at(3))).rejects.toThrow('Campaign is not active');
+      await expect(acquisition.resumeCampaign(campaign.id, at(3)))
+        .rejects.toThrow('Campaign has reached its lifetime budget');
+      expect(campaign.metrics.clicks).toBe(0);
+    });
+
+    it('pause for the rest of the UTC day at the daily budget and resume the next day', async () => {
+      const campaign = await createCampaign({ dailyBudget: 50 });
+
+      await convert(campaign, 50, at(10));
+      expect(campaign).toMatchObject({ status: 'paused', pausedReason: 'daily_budget' });
+      await expect(click(campaign, at(23))).rejects.toThrow('Campaign is not active');
+
+      await click(campaign, at(1, 1));
+      expect(campaign).toMatchObject({ status: 'active', pausedReason: null });
+      expect(campaign.metrics).toMatchObject({ clicks: 1, cost: 50 });
+      expect(acquisition.getDailySpend(campaign, at(1, 1))).toBe(0);
+    });
+
+    it('do not resume a campaign someone paused by hand', async () => {
+      const campaign = await createCampaign({ dailyBudget: 50 });
+      await convert(campaign, 50, at(10));
+      await acquisition.pauseCampaign(campaign.id, at(11));
+
+      await acquisition.refreshCampaigns(at(1, 1));
+
+      expect(campaign).toMatchObject({ status: 'paused', pausedReason: 'manual' });
+    });
+
+    it('start scheduled campaigns and end them on schedule', async () => {
+      const campaign = await createCampaign({ startsAt: at(24), endsAt: at(0, 3) });
+
+      await expect(click(campaign, at(12))).rejects.toThrow('Campaign is not active');
+      await click(campaign, at(25));
+      expect(campaign.status).toBe('active');
+
+      const changed = await acquisition.refreshCampaigns(at(0, 3));
+      expect(changed).toContain(campaign);
+      expect(campaign.status).toBe('ended');
+      await expect(acquisition.resumeCampaign(campaign.id, at(1, 3))).rejects.toThrow('Campaign has ended');
+    });
+  });
+
+  describe('pacing', () => {
+    it('alerts when lifetime spend runs more than the tolerance ahead of an even schedule', async () => {
+      // Two days into a ten-day run, 200 of 1000 should be spent; the tolerance allows 200 more
+      const campaign = await createCampaign({ endsAt: at(0, 10) });
+
+      acquisition.recordSpend(campaign, 400, at(12, 1));
+      acquisition.checkPacing(campaign, at(0, 2));
+      expect(campaign.alerts).toEqual([]);
+
+      acquisition.recordSpend(campaign, 10, at(0, 2));
+      acquisition.checkPacing(campaign, at(0, 2));
+      expect(campaign.alerts).toEqual([{
+        type: 'pacing',
+        scope: 'lifetime',
+        date: '2031-03-12',
+        spent: 410,
+        expected: 200,
+        budget: 1000,
+        raisedAt: at(0, 2)
+      }]);
+    });
+
+    it('alerts on the daily budget against the share of the day gone', async () => {
+      // At 06:00 a quarter of the 100 daily budget should be spent; the tolerance allows 20 more
+      const campaign = await createCampaign({ dailyBudget: 100 });
+
+      acquisition.recordSpend(campaign, 45, at(5));
+      acquisition.checkPacing(campaign, at(6));
+      expect(campaign.alerts).toEqual([]);
+
+      acquisition.recordSpend(campaign, 5, at(6));
+      acquisition.checkPacing(campaign, at(6));
+      expect(campaign.alerts).toEqual([expect.objectContaining({ scope: 'daily', spent: 50, expected: 25 })]);
+    });
+
+    it('raises each alert once a day', async () => {
+      const campaign = await createCampaign({ dailyBudget: 100 });
+      acquisition.recordSpend(campaign, 90, at(1));
+
+      acquisition.checkPacing(campaign, at(2));
+      acquisition.checkPacing(campaign, at(3));
+      acquisition.recordSpend(campaign, 90, at(1, 1));
+      acquisition.checkPacing(campaign, at(2, 1));
+
+      expect(campaign.alerts.map(alert => alert.date)).toEqual(['2031-03-10', '2031-03-11']);
+    });
+
+    it('saves campaigns whose alerts changed when refreshed', async () => {
+      const campaign = await createCampaign({ dailyBudget: 100 });
+      acquisition.recordSpend(campaign, 60, at(1));
+
+      const changed = await acquisition.refreshCampaigns(at(2));
+
+      expect(changed).toContain(campaign);
+      expect(campaign.alerts).toHaveLength(1);
+    });
+  });
+
+  it('lets campaign managers pause and resume through the API', async () => {
+    const campaign = await acquisition.createCampaign({ name: 'Manual', channel: 'influencers', budget: 100 });
+    const patch = action => request(server.app)
+      .patch(`/api/acquisition/campaigns/${campaign.id}/${action}`)
+      .set('Authorization', bearer('admin-1', 'admin'));
+
+    expect((await patch('pause')).body.data).toMatchObject({ status: 'paused', pausedReason: 'manual' });
+    expect((await patch('resume')).body.data).toMatchObject({ status: 'active', pausedReason: null });
+  });
+});
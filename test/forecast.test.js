@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('revenue forecasting', () => {
+  let server;
+  let forecaster;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    forecaster = new server.RevenueForecaster();
+  });
+
+  describe('linear', () => {
+    it('extends an exact trend with no interval', () => {
+      const result = forecaster.forecast([10, 12, 14, 16, 18], { model: 'linear', horizon: 3 });
+
+      expect(result.forecast).toEqual([
+        { value: 20, lower: 20, upper: 20 },
+        { value: 22, lower: 22, upper: 22 },
+        { value: 24, lower: 24, upper: 24 }
+      ]);
+      expect(result.backtest).toEqual({ holdout: 1, mae: 0, rmse: 0, mape: 0 });
+    });
+
+    it('widens the interval with the fit error and the steps ahead', () => {
+      // Least squares gives 10.6 + 1.6x; the residuals are ±0.6 and ±1.8, so sigma is sqrt(1.8)
+      const { forecast } = forecaster.forecast([10, 14, 12, 16], { model: 'linear', horizon: 2 });
+      const margin = 1.96 * Math.sqrt(1.8);
+
+      expect(forecast[0].value).toBeCloseTo(17, 10);
+      expect(forecast[0].lower).toBeCloseTo(17 - margin, 10);
+      expect(forecast[0].upper).toBeCloseTo(17 + margin, 10);
+      expect(forecast[1].value).toBeCloseTo(18.6, 10);
+      expect(forecast[1].upper - forecast[1].value).toBeCloseTo(margin * Math.SQRT2, 10);
+    });
+
+    it('never forecasts negative revenue', () => {
+      const { forecast } = forecaster.forecast([30, 20, 10], { model: 'linear', horizon: 2 });
+
+      expect(forecast.map(point => point.value)).toEqual([0, 0]);
+      expect(forecast.every(point => point.lower === 0)).toBe(true);
+    });
+  });
+
+  describe('moving average', () => {
+    it('repeats the mean of the last window', () => {
+      const result = forecaster.forecast([10, 20, 30, 40, 50], {
+        model: 'moving_average',
+        window: 3,
+        horizon: 2,
+        confidence: 0.8
+      });
+
+      // Both fitted points (20 and 30) trail the actuals by 20
+      const margin = 1.2816 * 20;
+      expect(result.forecast[0]).toEqual({ value: 40, lower: 40 - margin, upper: 40 + margin });
+      expect(result.forecast[1].upper).toBeCloseTo(40 + margin * Math.SQRT2, 10);
+      // Forecasting the last period from [20, 30, 40] gives 30 against an actual 50
+      expect(result.backtest).toEqual({ holdout: 1, mae: 20, rmse: 20, mape: 40 });
+    });
+
+    it('shrinks the window to the history there is', () => {
+      const { forecast } = forecaster.forecast([6, 12], { model: 'moving_average', window: 4, horizon: 1 });
+
+      expect(forecast[0].value).toBe(9);
+    });
+  });
+
+  describe('holt-winters', () => {
+    it('reproduces a stable seasonal pattern', () => {
+      const season = [10, 20, 30, 20];
+      const result = forecaster.forecast([...season, ...season, ...season], {
+        model: 'holt_winters',
+        seasonLength: 4,
+        horizon: 4
+      });
+
+      expect(result.forecast.map(point => point.value)).toEqual(season);
+      expect(result.forecast.every(point => point.lower === point.upper)).toBe(true);
+      expect(result.backtest).toEqual({ holdout: 4, mae: 0, rmse: 0, mape: 0 });
+    });
+
+    it('smooths level, trend and season with the default weights', () => {
+      // Starts from level 15, trend 2 and seasonals [-5, 5], fits 12 then 24.66 and ends on
+      // level 19.462, trend 2.0402 and seasonals [-4.72, 4.9076]
+      const result = forecaster.forecast([10, 20, 14, 24], { model: 'holt_winters', seasonLength: 2, horizon: 2 });
+      const margin = 1.96 * Math.sqrt((2 ** 2 + 0.66 ** 2) / 2);
+
+      expect(result.forecast[0].value).toBeCloseTo(16.7822, 10);
+      expect(result.forecast[0].upper).toBeCloseTo(16.7822 + margin, 10);
+      expect(result.forecast[1].value).toBeCloseTo(28.45, 10);
+      // Too little history to hold any back
+      expect(result.backtest).toBeNull();
+    });
+
+    it('needs two full seasons of history', () => {
+      expect(() => forecaster.forecast([1, 2, 3, 4, 5], { model: 'holt_winters', seasonLength: 4 }))
+        .toThrow('Model holt_winters needs at least 8 periods of history, have 5');
+    });
+  });
+
+  it('rejects unknown models, horizons and confidence levels', () => {
+    const series = [1, 2, 3];
+
+    expect(() => forecaster.forecast(series, { model: 'arima' })).toThrow('Unknown forecast model: arima');
+    expect(() => forecaster.forecast(series, { horizon: 0 })).toThrow('Horizon must be a positive integer');
+    expect(() => forecaster.forecast(series, { confidence: 0.5 })).toThrow('Confidence must be one of');
+  });
+
+  it('forecasts the calendar periods after the last completed one', async () => {
+    const { revenue } = server.commercialPlatform;
+    for (const [month, amount] of [['01', 100], ['02', 200], ['03', 300], ['04', 400]]) {
+      await revenue.updateRevenue('merchandise', amount, { timestamp: new Date(`2030-${month}-15T12:00:00Z`) });
+    }
+
+    const prediction = revenue.predictRevenue('month', { horizon: 2, now: new Date('2030-05-20T00:00:00Z') });
+
+    expect(prediction.history.map(point => point.total)).toEqual([100, 200, 300, 400]);
+    expect(prediction.forecast).toEqual([
+      expect.objectContaining({ period: '2030-05-01T00:00:00.000Z', value: 500 }),
+      expect.objectContaining({ period: '2030-06-01T00:00:00.000Z', value: 600 })
+    ]);
+  });
+
+  it('explains through the API why there is not enough history', async () => {
+    const response = await request(server.app)
+      .get('/api/analytics/revenue/forecast')
+      .query({ model: 'holt_winters', interval: 'quarter' })
+      .set('Authorization', bearer('analyst-1', 'analyst'));
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/^Model holt_winters needs at least 8 periods of history/);
+  });
+});
@@ -0,0 +1,134 @@
+const request = require('supertest');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('listing views and conversion funnel', () => {
+  let server;
+  let marketplace;
+  let skin;
+  let rifle;
+
+  const range = { from: '2032-06-01T00:00:00Z', to: '2032-06-03T00:00:00Z' };
+
+  beforeAll(async () => {
+    server = await loadServer();
+    marketplace = server.commercialPlatform.marketplace;
+
+    const list = (name, price, category) => marketplace.createListing({ name, price, category, sellerId: 'seller-1' });
+    skin = await list('Ember Skin', 10, 'cosmetics');
+    rifle = await list('Rail Rifle', 40, 'equipment');
+
+    const view = async (listing, times, at) => {
+      for (let i = 0; i < times; i++) await marketplace.recordView(listing.id, new Date(at));
+    };
+    await view(skin, 4, '2032-06-01T09:00:00Z');
+    await view(skin, 2, '2032-06-02T09:00:00Z');
+    await view(rifle, 2, '2032-06-01T18:00:00Z');
+
+    // Purchase attempts as the marketplace records them; only the statuses and times matter here
+    const attempt = (listing, status, timestamp, completedAt) => marketplace.transactions.push({
+      id: `purchase-${marketplace.transactions.length}`,
+      listingId: listing.id,
+      amount: listing.price,
+      currency: 'USD',
+      status,
+      timestamp: new Date(timestamp),
+      completedAt: completedAt && new Date(completedAt)
+    });
+    attempt(skin, 'completed', '2032-06-01T09:05:00Z', '2032-06-01T09:06:00Z');
+    attempt(skin, 'failed', '2032-06-01T10:00:00Z');
+    attempt(rifle, 'refunded', '2032-06-01T18:05:00Z', '2032-06-01T18:06:00Z');
+    attempt(skin, 'pending', '2032-06-02T09:05:00Z');
+    attempt(skin, 'completed', '2032-05-20T09:05:00Z', '2032-05-20T09:06:00Z');
+  });
+
+  it('keeps one daily counter per listing alongside its running total', () => {
+    expect(skin.views).toBe(6);
+    expect(server.db.collection('listing_views').documents).toEqual(expect.arrayContaining([
+      expect.objectContaining({ id: `${skin.id}:2032-06-01`, category: 'cosmetics', views: 4 }),
+      expect.objectContaining({ id: `${skin.id}:2032-06-02`, views: 2 }),
+      expect.objectContaining({ id: `${rifle.id}:2032-06-01`, category: 'equipment', views: 2 })
+    ]));
+  });
+
+  it('has no conversion rate without views', () => {
+    expect(marketplace.conversionRate(3, 0)).toBe(0);
+    expect(marketplace.conversionRate(1, 4)).toBe(0.25);
+  });
+
+  it('moves views to attempts to purchases, counting refunded sales', () => {
+    const funnel = marketplace.getConversionFunnel(range);
+
+    expect(funnel.totals).toEqual({
+      views: 8,
+      attempts: 4,
+      purchases: 2,
+      viewToAttempt: 0.5,
+      attemptToPurchase: 0.5,
+      conversionRate: 0.25
+    });
+    expect(funnel.buckets.map(({ period, views, attempts, purchases }) => [period, views, attempts, purchases]))
+      .toEqual([
+        ['2032-06-01T00:00:00.000Z', 6, 3, 2],
+        ['2032-06-02T00:00:00.000Z', 2, 1, 0]
+      ]);
+    expect(funnel.byCategory.cosmetics).toMatchObject({ views: 6, attempts: 3, purchases: 1 });
+    expect(funnel.byCategory.equipment).toMatchObject({ views: 2, attempts: 1, purchases: 1, conversionRate: 0.5 });
+  });
+
+  it('narrows to one category and widens to weeks and months', () => {
+    const equipment = marketplace.getConversionFunnel({ ...range, category: 'equipment' });
+    expect(equipment.totals).toMatchObject({ views: 2, attempts: 1, purchases: 1 });
+    expect(Object.keys(equipment.byCategory)).toEqual(['equipment']);
+
+    const monthly = marketplace.getConversionFunnel({ from: '2032-05-01', to: '2032-07-01', interval: 'month' });
+    expect(monthly.buckets.map(bucket => [bucket.views, bucket.attempts, bucket.purchases])).toEqual([
+      [0, 1, 1],
+      [8, 4, 2]
+    ]);
+    // 1 June 2032 is a Tuesday, so the week bucket starts the day before
+    const weekly = marketplace.getConversionFunnel({ ...range, interval: 'week' });
+    expect(weekly.buckets).toEqual([expect.objectContaining({ period: '2032-05-31T00:00:00.000Z', views: 8 })]);
+  });
+
+  it('refuses ranges with more buckets than the cap', () => {
+    const decades = { from: '2000-01-01', to: '2032-01-01' };
+
+    expect(() => marketplace.getConversionFunnel({ ...decades, interval: 'day' }))
+      .toThrow(`Date range spans more than ${marketplace.maxFunnelBuckets} day buckets`);
+    expect(marketplace.getConversionFunnel({ ...decades, interval: 'month' }).buckets).toHaveLength(384);
+    expect(() => marketplace.getConversionFunnel({ from: '2032-02-01', to: '2032-01-01' }))
+      .toThrow('Invalid date range');
+  });
+
+  it('counts public views of live listings only', async () => {
+    const draft = await marketplace.createListing({
+      name: 'Hidden Hull',
+      price: 5,
+      category: 'cosmetics',
+      sellerId: 'seller-1',
+      status: 'draft'
+    });
+
+    const live = await request(server.app).get(`/api/marketplace/listings/${rifle.id}`);
+    const hidden = await request(server.app).get(`/api/marketplace/listings/${draft.id}`);
+
+    expect(live.body.data).toMatchObject({ views: 3, conversionRate: 0 });
+    expect(hidden.status).toBe(404);
+    expect(draft.views).toBe(0);
+  });
+
+  it('serves the funnel with the marketplace analytics', async () => {
+    const analytics = query => request(server.app)
+      .get('/api/analytics/marketplace')
+      .query(query)
+      .set('Authorization', bearer('analyst-1', 'analyst'));
+
+    const response = await analytics({ ...range, category: 'cosmetics' });
+    const tooLong = await analytics({ from: '2000-01-01', to: '2032-01-01' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.funnel.totals).toMatchObject({ views: 6, attempts: 3, purchases: 1 });
+    expect(tooLong.status).toBe(400);
+    expect(tooLong.body.error).toBe(`Date range spans more than ${marketplace.maxFunnelBuckets} day buckets`);
+  });
+});
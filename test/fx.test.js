@@ -0,0 +1,182 @@
+const request = require('supertest');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('currency conversion', () => {
+  let server;
+
+  beforeAll(async () => {
+    server = await loadServer();
+  });
+
+  // Serves each snapshot in turn, so tests control which rates were in force when
+  const converterWith = async (...snapshots) => {
+    const queue = [...snapshots];
+    const fx = new server.CurrencyConverter({ fetchRates: async () => queue.shift() });
+    for (let i = 0; i < snapshots.length; i++) await fx.refreshRates();
+    return fx;
+  };
+
+  describe('CurrencyConverter', () => {
+    let fx;
+
+    beforeAll(async () => {
+      fx = new server.CurrencyConverter(new server.FixtureRateProvider());
+      await fx.refreshRates();
+    });
+
+    it('converts through the base currency and rounds to the target minor unit', () => {
+      expect(fx.getRate('USD', 'EUR')).toBe(0.92);
+      expect(fx.getRate('EUR', 'GBP')).toBeCloseTo(0.79 / 0.92, 10);
+      expect(fx.convert(10, 'USD', 'EUR')).toBe(9.2);
+      expect(fx.convert(9.99, 'EUR', 'GBP')).toBe(8.58);
+      expect(fx.convert(10, 'USD', 'JPY')).toBe(1495);
+      expect(fx.convert(1000, 'JPY', 'USD')).toBe(6.69);
+    });
+
+    it('knows which currencies have no minor unit', () => {
+      expect(fx.toMinorUnits(12.34, 'USD')).toBe(1234);
+      expect(fx.toMinorUnits(1500, 'JPY')).toBe(1500);
+      expect(fx.fromMinorUnits(1234, 'EUR')).toBe(12.34);
+      expect(fx.formatAmount(1500, 'JPY')).toBe('1500');
+      expect(fx.formatAmount(5, 'GBP')).toBe('5.00');
+    });
+
+    it('refuses to convert before any rates are loaded', () => {
+      const empty = new server.CurrencyConverter(new server.FixtureRateProvider());
+
+      expect(() => empty.convert(1, 'USD', 'EUR')).toThrow('No exchange rates loaded');
+      expect(empty.convert(1, 'EUR', 'EUR')).toBe(1);
+    });
+
+    it('rejects a provider response without the base rate', async () => {
+      const broken = await converterWith();
+      broken.provider = { fetchRates: async () => ({ base: 'USD', rates: { EUR: 0.9 }, asOf: new Date() }) };
+
+      await expect(broken.refreshRates()).rejects.toThrow('Exchange rate provider returned no usable rates');
+    });
+  });
+
+  describe('rate history', () => {
+    const january = new Date('2026-01-01T00:00:00Z');
+    const june = new Date('2026-06-01T00:00:00Z');
+    let fx;
+
+    beforeAll(async () => {
+      fx = await converterWith(
+        { base: 'USD', rates: { USD: 1, EUR: 0.8 }, asOf: june },
+        { base: 'USD', rates: { USD: 1, EUR: 0.9 }, asOf: january }
+      );
+    });
+
+    it('uses the snapshot in force at the given time', () => {
+      expect(fx.getRate('USD', 'EUR', new Date('2026-03-15T00:00:00Z'))).toBe(0.9);
+      expect(fx.getRate('USD', 'EUR', june)).toBe(0.8);
+      expect(fx.getRate('USD', 'EUR')).toBe(0.8);
+    });
+
+    it('falls back to the oldest snapshot for earlier amounts', () => {
+      expect(fx.getRate('USD', 'EUR', new Date('2025-06-01T00:00:00Z'))).toBe(0.9);
+    });
+
+    it('reports amounts in the reporting currency with the rate used', () => {
+      expect(fx.toReporting(90, 'EUR', january))
+        .toEqual({ reportingAmount: 100, reportingCurrency: 'USD', fxRate: 1 / 0.9 });
+    });
+
+    it('only stores a snapshot when the rates have moved', async () => {
+      const converter = new server.CurrencyConverter(new server.FixtureRateProvider());
+      converter.attachDatabase(server.db);
+      const stored = () => server.db.collection('fx_rates').documents.length;
+      const before = stored();
+
+      const first = await converter.refreshRates();
+      await expect(converter.refreshRates()).resolves.toBe(first);
+      expect(converter.snapshots).toEqual([first]);
+
+      const { base, rates } = converter.provider.fixture;
+      converter.provider = new server.FixtureRateProvider({ base, rates: { ...rates, EUR: 0.95 } });
+      await converter.refreshRates();
+
+      expect(converter.snapshots).toHaveLength(2);
+      expect(stored()).toBe(before + 2);
+    });
+
+    it('finds the snapshot in force among many', async () => {
+      const days = Array.from({ length: 50 }, (_, i) => ({
+        base: 'USD',
+        rates: { USD: 1, EUR: 1 + i / 100 },
+        asOf: new Date(Date.UTC(2027, 0, 1 + i))
+      }));
+      const converter = await converterWith(...days.reverse());
+
+      expect(converter.snapshots.map(snapshot => snapshot.asOf)).toEqual(days.map(day => day.asOf).reverse());
+      expect(converter.getRate('USD', 'EUR', new Date('2027-01-01T00:00:00Z'))).toBe(1);
+      expect(converter.getRate('USD', 'EUR', new Date('2027-01-20T12:00:00Z'))).toBe(1.19);
+      expect(converter.getRate('USD', 'EUR', new Date('2030-01-01T00:00:00Z'))).toBe(1.49);
+      expect(converter.getRate('USD', 'EUR', new Date('2026-12-31T00:00:00Z'))).toBe(1);
+    });
+  });
+
+  it('prices plans from their price table or the converted USD price', () => {
+    const { subscriptions } = server.commercialPlatform;
+
+    expect(subscriptions.getPlanPrice('premium', 'JPY')).toBe(1500);
+    expect(subscriptions.getPlanPrice('premium', 'CAD')).toBe(13.59);
+    expect(() => subscriptions.getPlanPrice('premium', 'CHF')).toThrow('Unsupported currency: CHF');
+  });
+
+  describe('marketplace pricing', () => {
+    let platform;
+    let listing;
+
+    beforeAll(async () => {
+      platform = server.commercialPlatform;
+      listing = await platform.marketplace.createListing({
+        name: 'Solar Sail',
+        price: 10,
+        prices: { EUR: 9.5 },
+        category: 'equipment',
+        sellerId: 'seller-fx'
+      });
+    });
+
+    it('prefers the price table and converts the USD price otherwise', () => {
+      expect(platform.marketplace.getPrice(listing, 'USD')).toBe(10);
+      expect(platform.marketplace.getPrice(listing, 'EUR')).toBe(9.5);
+      expect(platform.marketplace.getPrice(listing, 'GBP')).toBe(7.9);
+      expect(() => platform.marketplace.getPrice(listing, 'CHF')).toThrow('Unsupported currency: CHF');
+    });
+
+    it('books revenue at the rate locked in when the purchase was made', async () => {
+      const card = await platform.giftCards.issueCard({ amount: 50, currency: 'EUR' }, 'admin-1');
+      const { transaction, payment } = await platform.purchaseListing(listing.id, 'buyer-fx', 'gift_card',
+        { giftCardCode: card.code }, { currency: 'EUR', billingAddress });
+
+      expect(transaction).toMatchObject({ status: 'completed', currency: 'EUR', amount: 9.5 });
+      expect(transaction.reportingCurrency).toBe('USD');
+      expect(transaction.fxRate).toBeCloseTo(1 / 0.92, 10);
+      expect(transaction.reportingAmount).toBe(10.33);
+      expect(card.balance).toBe(40.5);
+
+      // A later rate move does not restate revenue already booked
+      const { base, rates } = new server.FixtureRateProvider().fixture;
+      platform.fx.provider = new server.FixtureRateProvider({ base, rates: { ...rates, EUR: 0.5 } });
+      await platform.fx.refreshRates();
+
+      const entry = platform.revenue.ledger.find(e => e.sourceTransactionId === payment.id);
+      expect(entry).toMatchObject({ amount: 9.5, currency: 'EUR', reportingAmount: 10.33 });
+      expect(listing.revenue).toBe(10.33);
+      expect(platform.marketplace.toReporting(transaction)).toBe(10.33);
+      expect(platform.fx.convert(9.5, 'EUR', 'USD')).toBe(19);
+    });
+
+    it('rejects currencies without rates at the API', async () => {
+      const response = await request(server.app)
+        .post(`/api/marketplace/purchase/${listing.id}`)
+        .set('Authorization', bearer('buyer-fx'))
+        .send({ paymentMethod: 'gift_card', currency: 'CHF', billingAddress });
+
+      expect(response.status).toBe(400);
+    });
+  });
+});
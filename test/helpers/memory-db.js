@@ -0,0 +1,133 @@
+// In-memory stand-in for a MongoDB database. Implements the slice of the driver API that
+// MongoRepository uses: find (with projection, sort, limit), findOne, replaceOne with upsert,
+// updateOne with $set, insertOne and deleteOne. Queries support equality, $and, $or, $in, $ne,
+// $gt(e)/$lt(e) and regular expressions. Documents are cloned on the way in and out, as the
+// real driver would.
+
+const comparable = value => (value instanceof Date ? value.getTime() : value);
+
+const matchesCondition = (value, condition) => {
+  if (condition instanceof RegExp) return typeof value === 'string' && condition.test(value);
+  if (condition instanceof Date || condition === null || typeof condition !== 'object') {
+    return comparable(value) === comparable(condition);
+  }
+
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$gt': return comparable(value) > comparable(operand);
+      case '$gte': return comparable(value) >= comparable(operand);
+      case '$lt': return comparable(value) < comparable(operand);
+      case '$lte': return comparable(value) <= comparable(operand);
+      case '$ne': return comparable(value) !== comparable(operand);
+      case '$in': return operand.some(candidate => comparable(candidate) === comparable(value));
+      default: throw new Error(`Unsupported query operator ${operator}`);
+    }
+  });
+};
+
+const matches = (document, query) => Object.entries(query).every(([field, condition]) => {
+  if (field === '$and') return condition.every(part => matches(document, part));
+  if (field === '$or') return condition.some(part => matches(document, part));
+  return matchesCondition(document[field], condition);
+});
+
+const project = (document, projection = {}) => {
+  const copy = structuredClone(document);
+  Object.entries(projection).forEach(([field, include]) => {
+    if (!include) delete copy[field];
+  });
+  return copy;
+};
+
+class MemoryCursor {
+  constructor(documents) {
+    this.documents = documents;
+  }
+
+  sort(spec) {
+    const fields = Object.entries(spec);
+    this.documents.sort((a, b) => {
+      for (const [field, direction] of fields) {
+        const left = comparable(a[field]);
+        const right = comparable(b[field]);
+        if (left < right) return -direction;
+        if (left > right) return direction;
+      }
+      return 0;
+    });
+    return this;
+  }
+
+  limit(count) {
+    this.documents = this.documents.slice(0, count);
+    return this;
+  }
+
+  async toArray() {
+    return this.documents;
+  }
+}
+
+class MemoryCollection {
+  constructor() {
+    this.documents = [];
+    this.nextId = 1;
+  }
+
+  find(query = {}, { projection } = {}) {
+    return new MemoryCursor(this.documents.filter(doc => matches(doc, query)).map(doc => project(doc, projection)));
+  }
+
+  async findOne(query = {}, { projection } = {}) {
+    const document = this.documents.find(doc => matches(doc, query));
+    return document ? project(document, projection) : null;
+  }
+
+  async replaceOne(filter, replacement, { upsert = false } = {}) {
+    const index = this.documents.findIndex(doc => matches(doc, filter));
+    if (index === -1) {
+      if (upsert) return this.insertOne(replacement);
+      return { matchedCount: 0 };
+    }
+
+    this.documents[index] = { ...structuredClone(replacement), _id: this.documents[index]._id };
+    return { matchedCount: 1 };
+  }
+
+  async updateOne(filter, { $set }) {
+    const document = this.documents.find(doc => matches(doc, filter));
+    if (!document) return { matchedCount: 0 };
+
+    Object.assign(document, structuredClone($set));
+    return { matchedCount: 1 };
+  }
+
+  async insertOne(document) {
+    const stored = { ...structuredClone(document), _id: this.nextId++ };
+    this.documents.push(stored);
+    return { insertedId: stored._id };
+  }
+
+  async deleteOne(filter) {
+    const index = this.documents.findIndex(doc => matches(doc, filter));
+    if (index !== -1) this.documents.splice(index, 1);
+    return { deletedCount: index === -1 ? 0 : 1 };
+  }
+
+  async createIndex() {
+    return 'index';
+  }
+}
+
+class MemoryDb {
+  constructor() {
+    this.collections = new Map();
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new MemoryCollection());
+    return this.collections.get(name);
+  }
+}
+
+module.exports = { MemoryDb };
@@ -0,0 +1,54 @@
+const http = require('http');
+
+// Local HTTP server standing in for a payment provider's API. Routes map
+// 'METHOD /path' (with :params) to handlers returning [status, body]; every request is
+// recorded so tests can assert on what was sent.
+const startMockServer = async (routes) => {
+  const requests = [];
+  const compiled = Object.entries(routes).map(([route, handler]) => {
+    const [method, path] = route.split(' ');
+    const names = [];
+    const pattern = new RegExp(`^${path.replace(/:(\w+)/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    })}$`);
+    return { method, pattern, names, handler };
+  });
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const type = req.headers['content-type'] || '';
+      let body = raw;
+      if (type.includes('json') && raw) body = JSON.parse(raw);
+      else if (type.includes('x-www-form-urlencoded')) body = Object.fromEntries(new URLSearchParams(raw));
+
+      const request = { method: req.method, path: url.pathname, headers: req.headers, body, params: {} };
+      requests.push(request);
+
+      const route = compiled.find(r => r.method === req.method && r.pattern.test(url.pathname));
+      if (!route) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: `No mock for ${req.method} ${url.pathname}` }));
+      }
+
+      const values = url.pathname.match(route.pattern).slice(1);
+      route.names.forEach((name, i) => { request.params[name] = decodeURIComponent(values[i]); });
+      const [status, responseBody] = await route.handler(request);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    port: server.address().port,
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = { startMockServer };
@@ -0,0 +1,17 @@
+const jwt = require('jsonwebtoken');
+const { MemoryDb } = require('./memory-db');
+
+// Loads server.js against a fresh in-memory database. Anything the module reads from the
+// environment at load time (provider URLs, the Stripe host) must be set before calling this.
+const loadServer = async () => {
+  const server = require('../../server');
+  const db = new MemoryDb();
+  await server.commercialPlatform.initializePersistence(db);
+  return { ...server, db };
+};
+
+const bearer = (id, role = 'player') => `Bearer ${jwt.sign({ id, role }, process.env.JWT_SECRET)}`;
+
+const billingAddress = { country: 'US', region: 'OR' }; // no sales tax, so amounts stay round
+
+module.exports = { loadServer, bearer, billingAddress };
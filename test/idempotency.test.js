@@ -0,0 +1,166 @@
+const request = require('supertest');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('idempotency keys', () => {
+  let server;
+  let platform;
+  let card;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+  });
+
+  beforeEach(async () => {
+    await server.redis.flushall();
+    card = await platform.giftCards.issueCard({ amount: 100 }, 'admin-1');
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const pay = (key, { amount = 10, userId = 'buyer-1' } = {}) => request(server.app)
+    .post('/api/payments/process')
+    .set('Authorization', bearer(userId))
+    .set('Idempotency-Key', key)
+    .send({ amount, method: 'gift_card', data: { giftCardCode: card.code }, billingAddress });
+
+  it('replays the stored response instead of charging again', async () => {
+    const first = await pay('order-1');
+    const retry = await pay('order-1');
+
+    expect(first.status).toBe(200);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(retry.body).toEqual(first.body);
+    expect(card.balance).toBe(90);
+    expect(await server.redis.ttl('idempotency:buyer-1:order-1')).toBeGreaterThan(60 * 60);
+  });
+
+  it('refuses to reuse a key for a different request', async () => {
+    await pay('order-2');
+    const response = await pay('order-2', { amount: 20 });
+
+    expect(response.status).toBe(409);
+    expect(response.body.error).toBe('Idempotency-Key was already used for a different request');
+    expect(card.balance).toBe(90);
+  });
+
+  it('scopes keys to the caller', async () => {
+    await pay('order-3');
+    const response = await pay('order-3', { userId: 'buyer-2' });
+
+    expect(response.headers['idempotent-replayed']).toBeUndefined();
+    expect(card.balance).toBe(80);
+  });
+
+  it('runs every request without a key', async () => {
+    const send = () => request(server.app)
+      .post('/api/payments/process')
+      .set('Authorization', bearer('buyer-1'))
+      .send({ amount: 10, method: 'gift_card', data: { giftCardCode: card.code }, billingAddress });
+
+    await send();
+    await send();
+
+    expect(card.balance).toBe(80);
+  });
+
+  it('rejects malformed keys', async () => {
+    const response = await pay('x'.repeat(256));
+
+    expect(response.status).toBe(400);
+    expect(card.balance).toBe(100);
+  });
+
+  it('turns away a retry while the first request is still running', async () => {
+    let finish;
+    const processPayment = platform.payments.processPayment.bind(platform.payments);
+    jest.spyOn(platform.payments, 'processPayment').mockImplementationOnce(async (...args) => {
+      await new Promise(resolve => { finish = resolve; });
+      return processPayment(...args);
+    });
+
+    const first = pay('order-4').then(response => response.status);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const retry = await pay('order-4');
+    const claimTtl = await server.redis.ttl('idempotency:buyer-1:order-4');
+    finish();
+
+    expect(retry.status).toBe(409);
+    expect(retry.body.error).toBe('A request with this Idempotency-Key is still in progress');
+    // A crashed request only holds the key briefly
+    expect(claimTtl).toBeGreaterThan(0);
+    expect(claimTtl).toBeLessThanOrEqual(60);
+    expect(await first).toBe(200);
+    expect(card.balance).toBe(90);
+  });
+
+  it('releases the key after a server error so the retry runs again', async () => {
+    jest.spyOn(platform.payments, 'processPayment').mockRejectedValueOnce(new Error('Database timeout'));
+
+    const failed = await pay('order-5');
+    const retry = await pay('order-5');
+
+    expect(failed.status).toBe(500);
+    expect(retry.status).toBe(200);
+    expect(retry.headers['idempotent-replayed']).toBeUndefined();
+    expect(card.balance).toBe(90);
+  });
+
+  it('keeps declined payments final', async () => {
+    const first = await pay('order-6', { amount: 500 });
+    card.balance = 1000;
+    const retry = await pay('order-6', { amount: 500 });
+
+    expect(first.body.data.status).toBe('failed');
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(card.balance).toBe(1000);
+  });
+
+  it('fails closed when Redis is unavailable', async () => {
+    jest.spyOn(server.redis, 'set').mockRejectedValueOnce(new Error('Connection is closed.'));
+
+    const response = await pay('order-7');
+
+    expect(response.status).toBe(503);
+    expect(card.balance).toBe(100);
+  });
+
+  it('does not reserve stock twice for a replayed purchase', async () => {
+    const listing = await platform.marketplace.createListing({
+      name: 'Ion Thruster',
+      price: 15,
+      category: 'equipment',
+      sellerId: 'seller-1',
+      stock: 2
+    });
+    const purchase = () => request(server.app)
+      .post(`/api/marketplace/purchase/${listing.id}`)
+      .set('Authorization', bearer('buyer-1'))
+      .set('Idempotency-Key', 'purchase-1')
+      .send({ paymentMethod: 'gift_card', paymentData: { giftCardCode: card.code }, billingAddress });
+
+    const first = await purchase();
+    const retry = await purchase();
+
+    expect(retry.body.data.transaction.id).toBe(first.body.data.transaction.id);
+    expect(listing).toMatchObject({ stock: 1, purchases: 1 });
+    expect(platform.marketplace.transactions.filter(t => t.listingId === listing.id)).toHaveLength(1);
+  });
+
+  it('does not open a second subscription for a replayed signup', async () => {
+    const subscribe = () => request(server.app)
+      .post('/api/subscriptions')
+      .set('Authorization', bearer('subscriber-1'))
+      .set('Idempotency-Key', 'signup-1')
+      .send({ planId: 'basic', paymentMethod: 'gift_card', paymentData: { giftCardCode: card.code }, billingAddress });
+
+    const first = await subscribe();
+    const retry = await subscribe();
+
+    expect(retry.body.data.subscription.id).toBe(first.body.data.subscription.id);
+    const owned = Array.from(platform.subscriptions.subscriptions.values()).filter(s => s.userId === 'subscriber-1');
+    expect(owned).toHaveLength(1);
+    expect(card.balance).toBe(95.01);
+  });
+});
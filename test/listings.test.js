@@ -0,0 +1,80 @@
+const request = require('supertest');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('listing lifecycle', () => {
+  let server;
+  let marketplace;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    marketplace = server.commercialPlatform.marketplace;
+  });
+
+  const createListing = (fields = {}) => marketplace.createListing({
+    name: 'Nebula Skin',
+    price: 10,
+    category: 'cosmetics',
+    sellerId: 'seller-1',
+    stock: 5,
+    ...fields
+  });
+
+  const update = (listing, body, sellerId = 'seller-1') => request(server.app)
+    .patch(`/api/marketplace/listings/${listing.id}`)
+    .set('Authorization', bearer(sellerId, 'seller'))
+    .send(body);
+
+  it('records price changes in the history', async () => {
+    const listing = await createListing();
+
+    const response = await update(listing, { price: 12, prices: { EUR: 11 }, name: 'Nebula Skin II' });
+
+    expect(response.status).toBe(200);
+    expect(listing).toMatchObject({ price: 12, prices: { EUR: 11 }, name: 'Nebula Skin II' });
+    expect(marketplace.getPriceHistory(listing.id)).toEqual([
+      expect.objectContaining({ currency: 'USD', previousPrice: 10, price: 12, changedBy: 'seller-1' }),
+      expect.objectContaining({ currency: 'EUR', previousPrice: null, price: 11 })
+    ]);
+  });
+
+  it('leaves the listing untouched when the status change is not allowed', async () => {
+    const listing = await createListing({ status: 'draft' });
+    const before = JSON.parse(JSON.stringify(listing));
+
+    const response = await update(listing, { status: 'paused', stock: 9, price: 15, prices: { GBP: 12 } });
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Cannot change listing from draft to paused');
+    expect(JSON.parse(JSON.stringify(listing))).toEqual(before);
+    expect(marketplace.getPriceHistory(listing.id)).toEqual([]);
+  });
+
+  it('follows the stock level between active and sold out', async () => {
+    const listing = await createListing();
+
+    await marketplace.updateListing(listing.id, { stock: 0 }, 'seller-1');
+    expect(listing.status).toBe('sold_out');
+
+    await marketplace.updateListing(listing.id, { stock: 3 }, 'seller-1');
+    expect(listing.status).toBe('active');
+  });
+
+  it('fixes the stock of limited editions', async () => {
+    const listing = await createListing({ editionSize: 10 });
+
+    await expect(marketplace.updateListing(listing.id, { stock: 20, price: 30 }, 'seller-1'))
+      .rejects.toThrow('Stock of a limited edition cannot be changed');
+    expect(listing).toMatchObject({ stock: 10, price: 10 });
+  });
+
+  it('refuses changes to archived listings and to other sellers\' listings', async () => {
+    const archived = await createListing();
+    await marketplace.archiveListing(archived.id);
+    const owned = await createListing();
+
+    expect((await update(archived, { price: 20 })).status).toBe(400);
+    expect((await update(owned, { price: 20 }, 'seller-2')).status).toBe(404);
+    expect(archived.price).toBe(10);
+    expect(owned.price).toBe(10);
+  });
+});
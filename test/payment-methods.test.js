@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { startMockServer } = require('./helpers/mock-http');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('payment methods', () => {
+  let paypalApi;
+  let cryptoApi;
+  let server;
+  let platform;
+  let payments;
+
+  beforeAll(async () => {
+    // PayPal Orders v2: vaulted payers are captured at once, everyone else has to approve the
+    // order first, and asking to vault them returns a vault id on capture. An order for 13.13
+    // is declined.
+    const orders = new Map();
+    let sequence = 0;
+    const capture = order => ({
+      ...order,
+      status: 'COMPLETED',
+      ...(order.payment_source?.paypal?.attributes?.vault && {
+        payment_source: { paypal: { attributes: { vault: { id: `VAULT-${order.id}`, status: 'VAULTED' } } } }
+      }),
+      purchase_units: [{
+        ...order.purchase_units[0],
+        payments: { captures: [{ id: `CAP-${order.id}`, status: 'COMPLETED' }] }
+      }]
+    });
+    paypalApi = await startMockServer({
+      'POST /v1/oauth2/token': () => [200, { access_token: 'A21-token', expires_in: 32400 }],
+      'POST /v2/checkout/orders': ({ body }) => {
+        if (body.purchase_units[0].amount.value === '13.13') {
+          return [422, { name: 'UNPROCESSABLE_ENTITY', details: [{ description: 'The instrument was declined.' }] }];
+        }
+        const order = {
+          id: `ORDER-${++sequence}`,
+          status: 'PAYER_ACTION_REQUIRED',
+          purchase_units: body.purchase_units,
+          payment_source: body.payment_source,
+          links: [{ rel: 'payer-action', href: `https://paypal.test/checkoutnow?token=ORDER-${sequence}` }]
+        };
+        orders.set(order.id, order);
+        return [200, body.payment_source?.paypal?.vault_id ? capture(order) : order];
+      },
+      'GET /v2/checkout/orders/:id': ({ params }) => (orders.has(params.id) ?
+        [200, orders.get(params.id)] : [404, { name: 'RESOURCE_NOT_FOUND' }]),
+      'POST /v2/checkout/orders/:id/capture': ({ params }) => [201, capture(orders.get(params.id))],
+      'POST /v2/payments/captures/:id/refund': () => [201, { id: `REFUND-${++sequence}`, status: 'COMPLETED' }]
+    });
+    cryptoApi = await startMockServer({
+      'POST /charges': ({ body }) => [201, {
+        data: {
+          id: `charge-${++sequence}`,
+          code: `CODE${sequence}`,
+          hosted_url: `https://commerce.test/charges/CODE${sequence}`,
+          expires_at: '2030-01-01T01:00:00Z',
+          metadata: body.metadata
+        }
+      }]
+    });
+    process.env.PAYPAL_API_URL = paypalApi.url;
+    process.env.CRYPTO_API_URL = cryptoApi.url;
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    payments = platform.payments;
+    await payments.updateProfile('buyer-vault', { paypalVaultId: 'vault-1' });
+  });
+
+  afterAll(async () => {
+    await paypalApi.close();
+    await cryptoApi.close();
+  });
+
+  it('rejects methods that have no adapter', async () => {
+    await expect(payments.processPayment(10, 'USD', 'bank_transfer')).rejects.toThrow(server.PaymentError);
+
+    const response = await request(server.app)
+      .post('/api/payments/process')
+      .set('Authorization', bearer('buyer-1'))
+      .send({ amount: 10, method: 'bank_transfer', billingAddress });
+    expect(response.status).toBe(400);
+  });
+
+  describe('PayPal', () => {
+    const capture = transactionId => request(server.app)
+      .post(`/api/payments/${transactionId}/capture`)
+      .set('Authorization', bearer('buyer-paypal'));
+
+    it('creates an order for the buyer to approve, then captures it', async () => {
+      const payment = await payments.processPayment(12.5, 'USD', 'paypal', { userId: 'buyer-paypal' });
+
+      expect(payment).toMatchObject({ status: 'processing', paypalOrderId: expect.stringMatching(/^ORDER-/) });
+      expect(payment.approvalUrl).toContain(payment.paypalOrderId);
+      const create = paypalApi.requests.find(r => r.path === '/v2/checkout/orders');
+      expect(create.headers).toMatchObject({ authorization: 'Bearer A21-token', 'paypal-request-id': payment.id });
+      expect(create.body.purchase_units[0].amount).toEqual({ currency_code: 'USD', value: '12.50' });
+
+      const response = await capture(payment.id);
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        status: 'completed',
+        paypalCaptureId: `CAP-${payment.paypalOrderId}`
+      });
+      expect((await capture(payment.id)).status).toBe(409);
+    });
+
+    it('reuses the OAuth token until it expires', async () => {
+      await payments.processPayment(3, 'USD', 'paypal');
+      await payments.processPayment(4, 'USD', 'paypal');
+
+      expect(paypalApi.requests.filter(r => r.path === '/v1/oauth2/token')).toHaveLength(1);
+    });
+
+    it('captures vaulted payers off-session straight away', async () => {
+      const payment = await payments.processPayment(9.99, 'USD', 'paypal', { userId: 'buyer-vault', offSession: true });
+
+      expect(payment.status).toBe('completed');
+      expect(paypalApi.requests.at(-1).body.payment_source).toEqual({ paypal: { vault_id: 'vault-1' } });
+    });
+
+    it('vaults the payer on approval when asked, and never takes a vault from the caller', async () => {
+      const payment = await payments.processPayment(15, 'USD', 'paypal',
+        { userId: 'buyer-paypal', savePaymentSource: true, paypalVaultId: 'vault-1' });
+      expect(paypalApi.requests.at(-1).body.payment_source).toEqual({
+        paypal: { attributes: { vault: { store_in_vault: 'ON_SUCCESS', usage_type: 'MERCHANT' } } }
+      });
+
+      await capture(payment.id);
+
+      expect(payments.profiles.get('buyer-paypal').paypalVaultId).toBe(`VAULT-${payment.paypalOrderId}`);
+    });
+
+    it('records a declined order as a failed payment', async () => {
+      const payment = await payments.processPayment(13.13, 'USD', 'paypal');
+
+      expect(payment).toMatchObject({ status: 'failed', failureReason: 'The instrument was declined.' });
+    });
+
+    it('only captures client-approved orders for the amount being charged', async () => {
+      const approved = await payments.processPayment(20, 'USD', 'paypal');
+
+      const wrongAmount = await payments.processPayment(2, 'USD', 'paypal', { paypalOrderId: approved.paypalOrderId });
+      expect(wrongAmount).toMatchObject({
+        status: 'failed',
+        failureReason: 'PayPal order amount does not match the charge'
+      });
+
+      const matching = await payments.processPayment(20, 'USD', 'paypal', { paypalOrderId: approved.paypalOrderId });
+      expect(matching.status).toBe('completed');
+    });
+
+    it('refunds the capture', async () => {
+      const payment = await payments.processPayment(9.99, 'USD', 'paypal', { userId: 'buyer-vault', offSession: true });
+      const refund = await payments.refundTransaction(payment.id, 'Changed my mind');
+
+      expect(refund).toMatchObject({ status: 'completed', paypalRefundId: expect.stringMatching(/^REFUND-/) });
+      expect(paypalApi.requests.at(-1)).toMatchObject({
+        path: `/v2/payments/captures/${payment.paypalCaptureId}/refund`,
+        body: { amount: { currency_code: 'USD', value: '9.99' }, note_to_payer: 'Changed my mind' }
+      });
+      expect(payment.status).toBe('refunded');
+    });
+  });
+
+  describe('crypto', () => {
+    const sendWebhook = (type, charge, secret = process.env.CRYPTO_WEBHOOK_SECRET) => {
+      const payload = JSON.stringify({ id: 1, event: { id: `event-${type}`, type, data: charge } });
+      return request(server.app)
+        .post('/api/payments/webhooks/crypto')
+        .set('Content-Type', 'application/json')
+        .set('X-CC-Webhook-Signature', crypto.createHmac('sha256', secret).update(payload).digest('hex'))
+        .send(payload);
+    };
+
+    it('creates a hosted charge and waits for the webhook', async () => {
+      const payment = await payments.processPayment(25, 'EUR', 'crypto');
+
+      expect(payment).toMatchObject({ status: 'processing', cryptoChargeId: expect.stringMatching(/^charge-/) });
+      expect(payment.hostedUrl).toBe(`https://commerce.test/charges/${payment.cryptoChargeCode}`);
+      expect(cryptoApi.requests.at(-1)).toMatchObject({
+        headers: { 'x-cc-api-key': expect.any(String) },
+        body: { local_price: { amount: '25.00', currency: 'EUR' }, metadata: { transactionId: payment.id } }
+      });
+    });
+
+    it('completes a purchase on charge:confirmed', async () => {
+      const listing = await platform.marketplace.createListing({
+        name: 'Dark Matter',
+        price: 30,
+        category: 'boosts',
+        sellerId: 'seller-crypto'
+      });
+      const { transaction, payment } = await platform.purchaseListing(listing.id, 'buyer-crypto', 'crypto', {},
+        { billingAddress });
+
+      await sendWebhook('charge:pending', { id: payment.cryptoChargeId, metadata: { transactionId: payment.id } });
+      expect(transaction.status).toBe('processing');
+
+      const response = await sendWebhook('charge:confirmed', { id: payment.cryptoChargeId, metadata: {} });
+      expect(response.status).toBe(200);
+      expect(payment.status).toBe('completed');
+      expect(transaction.status).toBe('completed');
+    });
+
+    it('fails the payment on charge:failed', async () => {
+      const payment = await payments.processPayment(5, 'USD', 'crypto');
+
+      await sendWebhook('charge:failed', { id: payment.cryptoChargeId, metadata: { transactionId: payment.id } });
+
+      expect(payment).toMatchObject({ status: 'failed', failureReason: 'charge:failed' });
+    });
+
+    it('ignores events naming a payment made another way', async () => {
+      const payment = { id: 'paypal-pending', method: 'paypal', amount: 5, currency: 'USD', status: 'processing' };
+      payments.transactions.push(payment);
+
+      const response = await sendWebhook('charge:confirmed', {
+        id: 'charge-other',
+        metadata: { transactionId: payment.id }
+      });
+
+      expect(response.status).toBe(200);
+      expect(payment.status).toBe('processing');
+    });
+
+    it('rejects events with a bad signature', async () => {
+      const payment = await payments.processPayment(5, 'USD', 'crypto');
+
+      const response = await sendWebhook('charge:confirmed', { metadata: { transactionId: payment.id } }, 'forged');
+
+      expect(response.status).toBe(400);
+      expect(payment.status).toBe('processing');
+    });
+
+    it('cannot refund on-chain payments automatically', async () => {
+      const payment = await payments.processPayment(5, 'USD', 'crypto');
+      await sendWebhook('charge:resolved', { id: payment.cryptoChargeId, metadata: { transactionId: payment.id } });
+
+      await expect(payments.refundTransaction(payment.id)).rejects.toThrow('Crypto payments must be refunded manually');
+    });
+  });
+
+  describe('gift cards', () => {
+    let code;
+    let card;
+
+    beforeAll(async () => {
+      const response = await request(server.app)
+        .post('/api/gift-cards')
+        .set('Authorization', bearer('finance-1', 'finance'))
+        .send({ amount: 25 });
+      expect(response.status).toBe(201);
+      ({ code } = response.body.data);
+      card = platform.giftCards.findByCode(code);
+    });
+
+    it('cannot be issued by players', async () => {
+      const response = await request(server.app)
+        .post('/api/gift-cards')
+        .set('Authorization', bearer('buyer-1'))
+        .send({ amount: 25 });
+
+      expect(response.status).toBe(403);
+    });
+
+    it('is spent down across payments and accepts codes in any format', async () => {
+      const first = await payments.processPayment(10, 'USD', 'gift_card', { giftCardCode: code });
+      const second = await payments.processPayment(10, 'USD', 'gift_card', {
+        giftCardCode: code.replace(/-/g, '').toLowerCase()
+      });
+
+      expect([first.status, second.status]).toEqual(['completed', 'completed']);
+      expect(first).toMatchObject({ giftCardId: card.id, giftCardLast4: card.last4 });
+      expect(first).not.toHaveProperty('giftCardCode');
+      expect(card.balance).toBe(5);
+    });
+
+    it('declines payments the balance does not cover', async () => {
+      const payment = await payments.processPayment(10, 'USD', 'gift_card', { giftCardCode: code });
+
+      expect(payment).toMatchObject({ status: 'failed', failureReason: 'Insufficient gift card balance' });
+      expect(card.balance).toBe(5);
+    });
+
+    it('declines cards in another currency', async () => {
+      const payment = await payments.processPayment(1, 'EUR', 'gift_card', { giftCardCode: code });
+
+      expect(payment).toMatchObject({ status: 'failed', failureReason: 'Gift card is denominated in USD' });
+    });
+
+    it('returns refunds to the card', async () => {
+      const payment = await payments.processPayment(5, 'USD', 'gift_card', { giftCardCode: code });
+      expect(card.balance).toBe(0);
+
+      await payments.refundTransaction(payment.id);
+      expect(card.balance).toBe(5);
+    });
+
+    it('refunds a payment only once when two refunds race', async () => {
+      const other = await platform.giftCards.issueCard({ amount: 50 }, 'admin-1');
+      const payment = await payments.processPayment(20, 'USD', 'gift_card', { giftCardCode: other.code });
+
+      const results = await Promise.allSettled([
+        payments.refundTransaction(payment.id),
+        payments.refundTransaction(payment.id)
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.message)
+        .toBe('Transaction already has a refund in progress');
+      expect(other.balance).toBe(50);
+      expect(payment.status).toBe('refunded');
+    });
+
+    it('releases the refund claim when the refund itself fails', async () => {
+      const other = await platform.giftCards.issueCard({ amount: 50 }, 'admin-1');
+      const payment = await payments.processPayment(20, 'USD', 'gift_card', { giftCardCode: other.code });
+      jest.spyOn(platform.giftCards, 'refund').mockRejectedValueOnce(new Error('Database timeout'));
+
+      await expect(payments.refundTransaction(payment.id)).rejects.toThrow('Database timeout');
+      expect(payment).toMatchObject({ status: 'completed', refund: undefined });
+
+      await payments.refundTransaction(payment.id);
+      expect(other.balance).toBe(50);
+    });
+
+    it('shows the balance and history without echoing the code', async () => {
+      const response = await request(server.app)
+        .get(`/api/gift-cards/${code}`)
+        .set('Authorization', bearer('buyer-1'));
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ balance: 5, usable: true });
+      expect(response.body.data.history.map(entry => entry.type))
+        .toEqual(['issue', 'redeem', 'redeem', 'redeem', 'refund']);
+      expect(JSON.stringify(response.body)).not.toContain(code);
+    });
+
+    it('refuses expired cards', async () => {
+      const expiring = await platform.giftCards.issueCard({ amount: 10, expiresAt: '2030-01-01T00:00:00Z' }, 'admin-1');
+      expiring.expiresAt = new Date(Date.now() - 1000);
+
+      const payment = await payments.processPayment(1, 'USD', 'gift_card', { giftCardCode: expiring.code });
+
+      expect(payment).toMatchObject({ status: 'failed', failureReason: 'Gift card is invalid or expired' });
+    });
+  });
+});
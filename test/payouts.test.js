@@ -0,0 +1,109 @@
+const request = require('supertest');
+const moment = require('moment');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('seller payouts', () => {
+  let server;
+  let platform;
+  let payouts;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    payouts = platform.payouts;
+  });
+
+  const afterHold = () => moment().add(payouts.settings.holdDays, 'days').add(1, 'hour').toDate();
+
+  // Cosmetics pay the seller a 30% royalty
+  const sell = async (sellerId, price = 100) => {
+    const listing = await platform.marketplace.createListing({
+      name: 'Ghost Hull',
+      price,
+      category: 'cosmetics',
+      sellerId
+    });
+    const card = await platform.giftCards.issueCard({ amount: price }, 'admin-1');
+    return platform.purchaseListing(listing.id, 'buyer-payouts', 'gift_card', { giftCardCode: card.code },
+      { billingAddress });
+  };
+
+  it('accrues the royalty and holds it through the refund window', async () => {
+    const { transaction } = await sell('seller-accrues');
+
+    expect(payouts.entries).toContainEqual(expect.objectContaining({
+      sellerId: 'seller-accrues',
+      type: 'sale',
+      amount: 30,
+      grossAmount: 100,
+      marketplaceTransactionId: transaction.id
+    }));
+    expect(payouts.getBalance('seller-accrues')).toEqual({ available: 0, held: 30, total: 30 });
+    expect(payouts.getBalance('seller-accrues', afterHold())).toEqual({ available: 30, held: 0, total: 30 });
+  });
+
+  it('claws the royalty back once when the sale is refunded', async () => {
+    const { transaction, payment } = await sell('seller-refunded');
+
+    await platform.payments.refundTransaction(payment.id, 'requested_by_customer');
+
+    const entries = payouts.entries.filter(e => e.marketplaceTransactionId === transaction.id);
+    expect(entries.map(e => [e.type, e.amount])).toEqual([['sale', 30], ['clawback', -30]]);
+    expect(await payouts.clawback(transaction, 'refund')).toBeNull();
+    expect(payouts.getBalance('seller-refunded', afterHold()).total).toBe(0);
+  });
+
+  it('pays out available balances at or above the minimum', async () => {
+    await sell('seller-paid');
+    await sell('seller-small', 50);
+    const payoutDate = afterHold();
+
+    const issued = await payouts.runPayouts(payoutDate);
+
+    const paid = issued.find(payout => payout.sellerId === 'seller-paid');
+    expect(paid).toMatchObject({ amount: 30, currency: 'USD', status: 'issued' });
+    expect(issued.find(payout => payout.sellerId === 'seller-small')).toBeUndefined();
+    expect(payouts.getBalance('seller-paid', payoutDate).available).toBe(0);
+    expect(payouts.getBalance('seller-small', payoutDate).available).toBe(15);
+    expect(await payouts.runPayouts(payoutDate)).toEqual([]);
+  });
+
+  it('lets later sales pay down a refund of proceeds already paid out', async () => {
+    const { payment } = await sell('seller-negative');
+    await payouts.runPayouts(afterHold());
+
+    await platform.payments.refundTransaction(payment.id);
+    expect(payouts.getBalance('seller-negative', afterHold()).available).toBe(-30);
+
+    await sell('seller-negative');
+    const payoutDate = moment(afterHold()).add(payouts.settings.holdDays, 'days').toDate();
+    const issued = await payouts.runPayouts(payoutDate);
+    expect(issued.find(payout => payout.sellerId === 'seller-negative')).toBeUndefined();
+    expect(payouts.getBalance('seller-negative', payoutDate).available).toBe(0);
+  });
+
+  it('has nobody to pay for platform-owned listings', async () => {
+    await sell('system_store');
+
+    expect(payouts.entries.filter(e => e.sellerId === 'system_store')).toEqual([]);
+  });
+
+  it('shows sellers their own statement only', async () => {
+    await sell('seller-statement');
+
+    const own = await request(server.app)
+      .get('/api/marketplace/sellers/seller-statement/payouts')
+      .set('Authorization', bearer('seller-statement', 'seller'));
+    const other = await request(server.app)
+      .get('/api/marketplace/sellers/seller-statement/payouts')
+      .set('Authorization', bearer('seller-other', 'seller'));
+
+    expect(own.status).toBe(200);
+    expect(own.body.data).toMatchObject({
+      balance: { available: 0, held: 30 },
+      minimumPayout: payouts.settings.minimumPayout,
+      entries: [expect.objectContaining({ type: 'sale', amount: 30 })]
+    });
+    expect(other.status).toBe(403);
+  });
+});
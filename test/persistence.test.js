@@ -0,0 +1,135 @@
+const { loadServer, billingAddress } = require('./helpers/server');
+
+describe('persistence', () => {
+  let server;
+  let platform;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+  });
+
+  describe('MongoRepository', () => {
+    it('is a no-op until a database is attached', async () => {
+      const repository = new server.MongoRepository('things');
+      const thing = { id: 'a', value: 1 };
+
+      expect(repository.isAttached()).toBe(false);
+      await expect(repository.save(thing)).resolves.toBe(thing);
+      await expect(repository.findAll()).resolves.toEqual([]);
+      await expect(repository.findById('a')).resolves.toBeNull();
+    });
+
+    it('upserts by id and strips the Mongo _id on the way out', async () => {
+      const repository = new server.MongoRepository('things');
+      repository.attach(server.db);
+
+      await repository.save({ id: 'a', value: 1 });
+      await repository.save({ id: 'a', value: 2 });
+      await repository.insert({ id: 'b', value: 3 });
+
+      await expect(repository.findById('a')).resolves.toEqual({ id: 'a', value: 2 });
+      await expect(repository.findAll({}, { value: -1 })).resolves.toEqual([
+        { id: 'b', value: 3 },
+        { id: 'a', value: 2 }
+      ]);
+      await expect(repository.findAll({ value: { $gte: 2 } }, { value: 1 }, 1))
+        .resolves.toEqual([{ id: 'a', value: 2 }]);
+
+      await repository.remove('a');
+      await expect(repository.findById('a')).resolves.toBeNull();
+    });
+
+    it('only applies a compare-and-set to a document still holding the expected values', async () => {
+      const repository = new server.MongoRepository('counters');
+      repository.attach(server.db);
+      await repository.save({ id: 'c', count: 1 });
+
+      await expect(repository.compareAndSet('c', { count: 1 }, { count: 2 })).resolves.toBe(true);
+      await expect(repository.compareAndSet('c', { count: 1 }, { count: 3 })).resolves.toBe(false);
+      await expect(repository.findById('c')).resolves.toEqual({ id: 'c', count: 2 });
+    });
+  });
+
+  describe('managers', () => {
+    let listing;
+    let card;
+    let campaign;
+
+    beforeAll(async () => {
+      listing = await platform.marketplace.createListing({
+        name: 'Nebula Skin',
+        price: 20,
+        category: 'cosmetics',
+        sellerId: 'seller-1',
+        stock: 5
+      });
+      card = await platform.giftCards.issueCard({ amount: 50 }, 'admin-1');
+      await platform.purchaseListing(listing.id, 'buyer-1', 'gift_card', { giftCardCode: card.code },
+        { billingAddress });
+      campaign = await platform.userAcquisition.createCampaign({ name: 'Launch', channel: 'google_ads', budget: 100 });
+    });
+
+    it('writes every change through to the collections', () => {
+      const stored = name => server.db.collection(name).documents;
+
+      expect(stored('marketplace')).toHaveLength(1);
+      expect(stored('marketplace_transactions')).toEqual([expect.objectContaining({ status: 'completed' })]);
+      expect(stored('transactions')).toEqual([expect.objectContaining({ method: 'gift_card', status: 'completed' })]);
+      expect(stored('gift_cards')).toEqual([expect.objectContaining({ balance: 30 })]);
+      expect(stored('revenue')).toEqual([expect.objectContaining({ stream: 'marketplace', amount: 20 })]);
+      expect(stored('campaigns')).toEqual([expect.objectContaining({ id: campaign.id })]);
+    });
+
+    it('restores the same state into a fresh platform at startup', async () => {
+      const restarted = new server.CommercialPlatform();
+      await restarted.initializePersistence(server.db);
+
+      const restored = restarted.marketplace.listings.get(listing.id);
+      expect(restored).toMatchObject({ name: 'Nebula Skin', stock: 4, purchases: 1 });
+      expect(new Date(restored.createdAt).getTime()).toBe(listing.createdAt.getTime());
+      expect(restarted.marketplace.transactions).toHaveLength(1);
+      expect(restarted.payments.transactions).toEqual([expect.objectContaining({ userId: 'buyer-1' })]);
+      expect(restarted.giftCards.findByCode(card.code).balance).toBe(30);
+      expect(restarted.revenue.streams.marketplace).toBe(20);
+      expect(restarted.userAcquisition.campaigns.get(campaign.id)).toMatchObject({ name: 'Launch', status: 'active' });
+      expect(restarted.invoices.getInvoicesFor('buyer-1')).toHaveLength(1);
+    });
+  });
+
+  describe('listing search', () => {
+    beforeAll(async () => {
+      for (const [name, price] of [['Alpha Blaster', 5], ['Beta Blaster', 15], ['Gamma Shield', 25]]) {
+        await platform.marketplace.createListing({ name, price, category: 'equipment', sellerId: 'seller-2' });
+      }
+    });
+
+    it('queries the collection when a database is attached', async () => {
+      const findAll = jest.spyOn(platform.marketplace.listingRepository, 'findAll');
+      const result = await platform.marketplace.searchListings({
+        category: 'equipment',
+        q: 'blaster',
+        sort: 'price_asc'
+      });
+
+      expect(findAll).toHaveBeenCalled();
+      expect(result.listings.map(l => l.name)).toEqual(['Alpha Blaster', 'Beta Blaster']);
+      findAll.mockRestore();
+    });
+
+    it('pages with a cursor', async () => {
+      const first = await platform.marketplace.searchListings({ category: 'equipment', sort: 'price_desc', limit: 2 });
+      expect(first.listings.map(l => l.price)).toEqual([25, 15]);
+      expect(first.pagination.hasMore).toBe(true);
+
+      const second = await platform.marketplace.searchListings({
+        category: 'equipment',
+        sort: 'price_desc',
+        limit: 2,
+        cursor: first.pagination.nextCursor
+      });
+      expect(second.listings.map(l => l.price)).toEqual([5]);
+      expect(second.pagination.hasMore).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,157 @@
+const request = require('supertest');
+const moment = require('moment');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('promotions', () => {
+  let server;
+  let platform;
+  let promotions;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    promotions = platform.promotions;
+  });
+
+  let codes = 0;
+  const createCoupon = (fields = {}) => promotions.createPromotion({
+    name: 'Launch coupon',
+    kind: 'coupon',
+    code: `LAUNCH${++codes}`,
+    discountType: 'percent',
+    value: 25,
+    ...fields
+  }, 'admin-1');
+
+  const createListing = (fields = {}) => platform.marketplace.createListing({
+    name: 'Nebula Skin',
+    price: 20,
+    category: 'cosmetics',
+    sellerId: 'seller-1',
+    stock: 10,
+    ...fields
+  });
+
+  const buy = async (listing, buyerId, couponCode, amount = 15) => {
+    const card = await platform.giftCards.issueCard({ amount }, 'admin-1');
+    return platform.purchaseListing(listing.id, buyerId, 'gift_card', { giftCardCode: card.code },
+      { couponCode, billingAddress });
+  };
+
+  describe('creating', () => {
+    it('refuses promotions that could never apply', async () => {
+      await expect(createCoupon({ value: 120 })).rejects.toThrow('Percentage discounts cannot exceed 100');
+      await expect(createCoupon({ code: undefined })).rejects.toThrow('Coupons need a code');
+      await expect(createCoupon({ endsAt: moment().subtract(1, 'day').toISOString() }))
+        .rejects.toThrow('Invalid promotion schedule');
+      await expect(promotions.createPromotion({ name: 'Sale', kind: 'sale', discountType: 'percent', value: 10 }))
+        .rejects.toThrow('Sales need a category, startsAt and endsAt');
+    });
+
+    it('keeps coupon codes unique regardless of case', async () => {
+      await createCoupon({ code: 'summer24' });
+
+      await expect(createCoupon({ code: 'SUMMER24' })).rejects.toThrow('Coupon code SUMMER24 already exists');
+    });
+  });
+
+  describe('coupons', () => {
+    it('discount the purchase and count the redemption', async () => {
+      const coupon = await createCoupon();
+      const listing = await createListing();
+
+      const { transaction } = await buy(listing, 'buyer-coupon', coupon.code.toLowerCase());
+
+      expect(transaction).toMatchObject({ status: 'completed', amount: 15, discount: 5, promotionId: coupon.id });
+      expect(coupon.redemptionCount).toBe(1);
+    });
+
+    it('never take the price below the minimum charge', async () => {
+      const coupon = await createCoupon({ discountType: 'fixed', value: 50 });
+      const listing = await createListing();
+
+      expect(promotions.quote(listing, 'buyer-floor', coupon.code)).toEqual({ promotion: coupon, discount: 19.5 });
+    });
+
+    it('are refused when unknown, ended or for another category', async () => {
+      const ended = await createCoupon();
+      await promotions.endPromotion(ended.id);
+      const equipmentOnly = await createCoupon({ category: 'equipment' });
+      const listing = await createListing();
+
+      expect(() => promotions.quote(listing, 'buyer-1', 'NOSUCHCODE')).toThrow('Coupon is invalid or expired');
+      expect(() => promotions.quote(listing, 'buyer-1', ended.code)).toThrow('Coupon is invalid or expired');
+      expect(() => promotions.quote(listing, 'buyer-1', equipmentOnly.code))
+        .toThrow('Coupon does not apply to this listing');
+    });
+
+    it('can be used once per buyer by default', async () => {
+      const coupon = await createCoupon();
+      const listing = await createListing();
+      await buy(listing, 'buyer-repeat', coupon.code);
+      const card = await platform.giftCards.issueCard({ amount: 15 }, 'admin-1');
+
+      const response = await request(server.app)
+        .post(`/api/marketplace/purchase/${listing.id}`)
+        .set('Authorization', bearer('buyer-repeat'))
+        .send({ paymentMethod: 'gift_card', paymentData: { giftCardCode: card.code }, couponCode: coupon.code });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Coupon redemption limit reached');
+      expect(coupon.redemptionCount).toBe(1);
+    });
+
+    it('stop at maxRedemptions across buyers', async () => {
+      const coupon = await createCoupon({ maxRedemptions: 2 });
+      const listing = await createListing();
+      await buy(listing, 'buyer-a', coupon.code);
+      await buy(listing, 'buyer-b', coupon.code);
+
+      await expect(buy(listing, 'buyer-c', coupon.code)).rejects.toThrow('Coupon redemption limit reached');
+      expect(coupon.redemptionCount).toBe(2);
+    });
+
+    it('hand the redemption back when the payment fails', async () => {
+      const coupon = await createCoupon({ maxRedemptions: 1 });
+      const listing = await createListing();
+
+      const { transaction } = await buy(listing, 'buyer-declined', coupon.code, 5);
+      expect(transaction.status).toBe('failed');
+      expect(coupon.redemptionCount).toBe(0);
+
+      await expect(buy(listing, 'buyer-retry', coupon.code)).resolves.toMatchObject({
+        transaction: { status: 'completed', promotionId: coupon.id }
+      });
+    });
+
+    it('let only one of two concurrent purchases take the last redemption', async () => {
+      const coupon = await createCoupon({ maxRedemptions: 1 });
+      const listing = await createListing();
+
+      const results = await Promise.allSettled([
+        buy(listing, 'buyer-first', coupon.code),
+        buy(listing, 'buyer-second', coupon.code)
+      ]);
+
+      expect(results.map(result => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+      expect(results.find(result => result.status === 'rejected').reason.message)
+        .toBe('Coupon redemption limit reached');
+      expect(coupon.redemptionCount).toBe(1);
+      const stored = new server.MongoRepository('promotions');
+      stored.attach(server.db);
+      expect((await stored.findById(coupon.id)).redemptionCount).toBe(1);
+    });
+
+    it('respect redemptions counted by another instance', async () => {
+      const coupon = await createCoupon({ maxRedemptions: 2 });
+      const listing = await createListing();
+      // Another server claimed both redemptions since this one last read the promotion
+      const elsewhere = new server.MongoRepository('promotions');
+      elsewhere.attach(server.db);
+      await elsewhere.save({ ...coupon, redemptionCount: 2 });
+
+      await expect(buy(listing, 'buyer-late', coupon.code)).rejects.toThrow('Coupon redemption limit reached');
+      expect(coupon.redemptionCount).toBe(2);
+    });
+  });
+});
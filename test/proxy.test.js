@@ -0,0 +1,45 @@
+const request = require('supertest');
+const { loadServer } = require('./helpers/server');
+
+describe('client addresses without TRUST_PROXY', () => {
+  const browser = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0';
+  let server;
+  let platform;
+
+  beforeAll(async () => {
+    // test/setup.js trusts one hop for the other suites; unset is what a deployment gets by default
+    delete process.env.TRUST_PROXY;
+    server = await loadServer();
+    platform = server.commercialPlatform;
+  });
+
+  afterAll(() => {
+    process.env.TRUST_PROXY = '1';
+    jest.restoreAllMocks();
+  });
+
+  it('ignores X-Forwarded-For, so rotating it does not get around the per-IP limit', async () => {
+    // express-rate-limit warns about exactly this setup, a forwarded header that is not trusted
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const campaign = await platform.userAcquisition.createCampaign({
+      name: 'Launch',
+      channel: 'google_ads',
+      budget: 50
+    });
+    const token = platform.trackingGuard.getToken(campaign.id);
+    const track = i => request(server.app)
+      .post(`/api/acquisition/track/${campaign.id}`)
+      .set('X-Forwarded-For', `203.0.113.${i}`)
+      .set('User-Agent', `${browser} build/${i}`)
+      .set('X-Tracking-Token', token)
+      .send({ eventType: 'impression' });
+
+    const { events } = platform.trackingGuard.rateLimit;
+    for (let i = 0; i < events; i++) await track(i);
+    const response = await track(events);
+
+    expect(server.app.get('trust proxy')).toBe(false);
+    expect(response.status).toBe(429);
+    expect(campaign.metrics.filtered).toEqual({ rate_limited: 1 });
+  });
+});
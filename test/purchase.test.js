@@ -0,0 +1,144 @@
+const request = require('supertest');
+const moment = require('moment');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('purchase saga', () => {
+  let server;
+  let platform;
+  let marketplace;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    marketplace = platform.marketplace;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const createListing = (stock = 1) => marketplace.createListing({
+    name: 'Quantum Drive',
+    price: 20,
+    category: 'cosmetics',
+    sellerId: 'seller-saga',
+    stock
+  });
+
+  const purchase = (listing, body, buyerId = 'buyer-saga') => request(server.app)
+    .post(`/api/marketplace/purchase/${listing.id}`)
+    .set('Authorization', bearer(buyerId))
+    .send({ billingAddress, ...body });
+
+  const payWithCard = async (listing, amount = 50) => {
+    const card = await platform.giftCards.issueCard({ amount }, 'admin-1');
+    return purchase(listing, { paymentMethod: 'gift_card', paymentData: { giftCardCode: card.code } });
+  };
+
+  const ledgerFor = transaction => platform.revenue.ledger.filter(e => e.sourceTransactionId === transaction.paymentId);
+
+  it('commits the sale once the payment completes', async () => {
+    const listing = await createListing();
+    const response = await payWithCard(listing);
+
+    expect(response.status).toBe(200);
+    const { transaction } = response.body.data;
+    expect(transaction).toMatchObject({ status: 'completed', amount: 20, royalty: 6, platformFee: 14 });
+    expect(listing).toMatchObject({ stock: 0, status: 'sold_out', purchases: 1, revenue: 20 });
+    expect(ledgerFor(transaction)).toEqual([expect.objectContaining({ stream: 'marketplace', amount: 20 })]);
+    expect(platform.payouts.entries).toContainEqual(expect.objectContaining({
+      sellerId: 'seller-saga',
+      type: 'sale',
+      amount: 6,
+      marketplaceTransactionId: transaction.id
+    }));
+    expect(platform.invoices.findBySource('marketplace_purchase', transaction.id)).toBeTruthy();
+  });
+
+  it('holds the last unit while it is reserved', async () => {
+    const listing = await createListing();
+
+    await marketplace.reservePurchase(listing.id, 'buyer-first', 'stripe');
+    const response = await payWithCard(listing);
+
+    expect(response.status).toBe(409);
+  });
+
+  it('releases the stock and books nothing when the payment is declined', async () => {
+    const listing = await createListing();
+    const response = await payWithCard(listing, 5);
+
+    expect(response.status).toBe(402);
+    const { transaction, payment } = response.body.data;
+    expect(transaction).toMatchObject({ status: 'failed', failureReason: 'Insufficient gift card balance' });
+    expect(payment.status).toBe('failed');
+    expect(listing).toMatchObject({ stock: 1, status: 'active', purchases: 0, revenue: 0 });
+    expect(platform.payouts.entries.some(e => e.marketplaceTransactionId === transaction.id)).toBe(false);
+    expect(platform.invoices.findBySource('marketplace_purchase', transaction.id)).toBeFalsy();
+  });
+
+  it('fails the reservation when the payment cannot be attempted at all', async () => {
+    const listing = await createListing();
+    jest.spyOn(platform.payments, 'processPayment').mockRejectedValue(new server.PaymentError('Provider down'));
+
+    const response = await payWithCard(listing);
+
+    expect(response.status).toBe(400);
+    expect(marketplace.transactions.at(-1)).toMatchObject({ listingId: listing.id, status: 'failed' });
+    expect(listing).toMatchObject({ stock: 1, status: 'active' });
+  });
+
+  it('refunds the buyer when the sale cannot be recorded after payment', async () => {
+    const listing = await createListing();
+    jest.spyOn(platform.revenue, 'updateRevenue').mockRejectedValueOnce(new Error('Ledger unavailable'));
+    const refund = jest.spyOn(platform.payments, 'refundTransaction');
+
+    const response = await payWithCard(listing);
+
+    const { payment } = response.body.data;
+    expect(refund).toHaveBeenCalledWith(payment.id, 'Marketplace purchase could not be completed');
+    expect(platform.payments.transactions.find(t => t.id === payment.id).status).toBe('refunded');
+  });
+
+  describe('reservation expiry', () => {
+    let listing;
+    let transaction;
+    let payment;
+
+    beforeEach(async () => {
+      listing = await createListing();
+      payment = { id: 'slow-payment', status: 'processing' };
+      jest.spyOn(platform.payments, 'processPayment').mockImplementation(async (amount, currency, method, data) => {
+        Object.assign(payment, { marketplaceTransactionId: data.marketplaceTransactionId });
+        return payment;
+      });
+      ({ transaction } = await platform.purchaseListing(listing.id, 'buyer-slow', 'stripe', {}, { billingAddress }));
+    });
+
+    it('keeps unpaid reservations inside the TTL', async () => {
+      const expired = await marketplace.expireStaleReservations(moment().add(59, 'minutes').toDate());
+
+      expect(expired).not.toContain(transaction);
+      expect(transaction.status).toBe('processing');
+      expect(listing.stock).toBe(0);
+    });
+
+    it('fails stale reservations and returns their stock', async () => {
+      const expired = await marketplace.expireStaleReservations(moment().add(61, 'minutes').toDate());
+
+      expect(expired).toContain(transaction);
+      expect(transaction).toMatchObject({ status: 'failed', failureReason: 'Reservation expired' });
+      expect(listing).toMatchObject({ stock: 1, status: 'active' });
+    });
+
+    it('refunds a payment that completes after its reservation expired', async () => {
+      const refund = jest.spyOn(platform.payments, 'refundTransaction').mockResolvedValue({ status: 'completed' });
+      await marketplace.expireStaleReservations(moment().add(61, 'minutes').toDate());
+
+      payment.status = 'completed';
+      await platform.syncPurchaseWithPayment(payment);
+
+      expect(refund).toHaveBeenCalledWith(payment.id, 'Reservation expired before payment completed');
+      expect(transaction.status).toBe('failed');
+      expect(listing.purchases).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+const request = require('supertest');
+const moment = require('moment');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('referrals', () => {
+  let server;
+  let platform;
+  let referrals;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    referrals = platform.referrals;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const buy = async (buyerId, price = 20) => {
+    const listing = await platform.marketplace.createListing({
+      name: 'Ion Sail',
+      price,
+      category: 'cosmetics',
+      sellerId: 'seller-referrals'
+    });
+    const card = await platform.giftCards.issueCard({ amount: price }, 'admin-1');
+    return platform.purchaseListing(listing.id, buyerId, 'gift_card', { giftCardCode: card.code }, { billingAddress });
+  };
+
+  const subscribe = async userId => {
+    const card = await platform.giftCards.issueCard({ amount: 4.99 }, 'admin-1');
+    const { subscription, invoice } = await platform.subscriptions.createSubscription(userId, 'basic', 'gift_card',
+      { giftCardCode: card.code }, { billingAddress });
+    await platform.settleSubscriptionInvoice(invoice);
+    return { subscription, invoice };
+  };
+
+  const refer = async (referrerId, refereeId, fingerprint = {}) => {
+    const code = await referrals.getOrCreateCode(referrerId);
+    return referrals.recordSignup(code.code, refereeId, fingerprint);
+  };
+
+  const rewardOf = (referral, side) => referral.rewards.filter(reward => reward.side === side).at(-1);
+  const creditCard = reward => platform.giftCards.cards.get(reward.giftCardId);
+
+  describe('fraud checks', () => {
+    it('refuses self-referral, repeat referral and existing customers', async () => {
+      const code = await referrals.getOrCreateCode('referrer-rules');
+      await referrals.recordSignup(code.code, 'referee-rules');
+      await buy('customer-already');
+
+      await expect(referrals.recordSignup(code.code, 'referrer-rules'))
+        .rejects.toThrow('You cannot use your own referral code');
+      await expect(referrals.recordSignup(code.code, 'referee-rules'))
+        .rejects.toThrow('Account has already been referred');
+      await expect(referrals.recordSignup(code.code, 'customer-already'))
+        .rejects.toThrow('Only new customers can be referred');
+      await expect(referrals.recordSignup('REF-NOPE', 'referee-unknown')).rejects.toThrow('Referral code not found');
+    });
+
+    it('flags a signup from the referrer\'s own IP or device', async () => {
+      await referrals.getOrCreateCode('referrer-self', { ip: '203.0.113.20', deviceId: 'device-self' });
+
+      const sameIp = await refer('referrer-self', 'referee-same-ip', { ip: '203.0.113.20' });
+      const sameDevice = await refer('referrer-self', 'referee-same-device', { deviceId: 'device-self' });
+      const clean = await refer('referrer-self', 'referee-clean', { ip: '198.51.100.20', deviceId: 'device-clean' });
+
+      expect(sameIp).toMatchObject({ status: 'flagged', fraudSignals: ['referrer_ip_match'] });
+      expect(sameDevice).toMatchObject({ status: 'flagged', fraudSignals: ['referrer_device_match'] });
+      expect(clean).toMatchObject({ status: 'signed_up', fraudSignals: [] });
+      expect(sameIp.ipHash).not.toContain('203.0.113.20');
+    });
+
+    it('flags one device signing up several accounts, whichever code they use', async () => {
+      await refer('referrer-farm-1', 'referee-farm-1', { deviceId: 'device-farm' });
+
+      const reused = await refer('referrer-farm-2', 'referee-farm-2', { deviceId: 'device-farm' });
+
+      expect(reused.fraudSignals).toEqual(['device_reuse']);
+    });
+
+    it('flags a cluster of signups under one code from one IP', async () => {
+      const signups = [];
+      for (let i = 1; i <= referrals.fraud.ipClusterSize; i++) {
+        signups.push(await refer('referrer-cluster', `referee-cluster-${i}`, { ip: '192.0.2.30' }));
+      }
+      const later = await referrals.recordSignup(referrals.getCodeFor('referrer-cluster').code, 'referee-cluster-late',
+        { ip: '192.0.2.30' }, moment().add(referrals.fraud.ipClusterWindowHours + 1, 'hours').toDate());
+
+      expect(signups.map(signup => signup.status)).toEqual(['signed_up', 'signed_up', 'flagged']);
+      expect(signups.at(-1).fraudSignals).toEqual(['ip_cluster']);
+      expect(later.status).toBe('signed_up');
+    });
+
+    it('holds rewards for flagged referrals until an admin approves them', async () => {
+      await referrals.getOrCreateCode('referrer-held', { deviceId: 'device-held' });
+      const approved = await refer('referrer-held', 'referee-approved', { deviceId: 'device-held' });
+      const rejected = await refer('referrer-held', 'referee-rejected', { deviceId: 'device-held' });
+      await buy('referee-approved');
+      await buy('referee-rejected');
+
+      expect(approved.rewards).toEqual([]);
+
+      await referrals.reviewReferral(approved.id, 'approve', 'admin-1');
+      await referrals.reviewReferral(rejected.id, 'reject', 'admin-1');
+
+      expect(approved.status).toBe('converted');
+      expect(rewardOf(approved, 'referrer')).toMatchObject({ status: 'issued', amount: 5 });
+      expect(rejected).toMatchObject({ status: 'rejected', rewards: [] });
+    });
+  });
+
+  describe('rewards', () => {
+    it('are issued on the referee\'s first purchase only', async () => {
+      const referral = await refer('referrer-paid', 'referee-paid');
+
+      await buy('referee-paid');
+      await buy('referee-paid');
+
+      expect(referral).toMatchObject({ status: 'converted', firstPurchase: { source: 'marketplace', amount: 20 } });
+      expect(referral.rewards).toHaveLength(2);
+      expect(creditCard(rewardOf(referral, 'referrer'))).toMatchObject({ balance: 5, issuedTo: 'referrer-paid' });
+      // No subscription to extend yet
+      expect(rewardOf(referral, 'referee')).toMatchObject({ type: 'subscription_days', status: 'pending' });
+    });
+
+    it('hand over pending subscription days once the referee subscribes', async () => {
+      const referral = await refer('referrer-days', 'referee-days');
+      await buy('referee-days');
+
+      const { subscription } = await subscribe('referee-days');
+
+      expect(rewardOf(referral, 'referee')).toMatchObject({ status: 'issued', subscriptionId: subscription.id });
+      expect(subscription.freeDaysGranted).toBe(7);
+    });
+
+    it('retry a reward that failed to issue on the user\'s next purchase', async () => {
+      const referral = await refer('referrer-retry', 'referee-retry');
+      const { issueCard } = platform.giftCards;
+      // Fails only the credit issued by the referral, not the card the referee pays with
+      jest.spyOn(platform.giftCards, 'issueCard').mockImplementation(function (card, issuedBy) {
+        if (issuedBy.startsWith('referral:')) return Promise.reject(new Error('DB down'));
+        return issueCard.call(this, card, issuedBy);
+      });
+
+      await buy('referee-retry');
+      jest.restoreAllMocks();
+      expect(rewardOf(referral, 'referrer').status).toBe('pending');
+
+      await buy('referrer-retry');
+      expect(rewardOf(referral, 'referrer').status).toBe('issued');
+    });
+
+    it('are clawed back when the first purchase is refunded', async () => {
+      const referral = await refer('referrer-refund', 'referee-refund');
+      const { payment } = await buy('referee-refund');
+      const credit = rewardOf(referral, 'referrer');
+
+      await platform.payments.refundTransaction(payment.id, 'requested_by_customer');
+
+      expect(referral).toMatchObject({ status: 'signed_up', convertedAt: null, firstPurchase: null });
+      expect(credit).toMatchObject({ status: 'reversed', reversalReason: 'refunded', revokedAmount: 5 });
+      expect(rewardOf(referral, 'referee').status).toBe('reversed');
+      expect(creditCard(credit).balance).toBe(0);
+
+      // A purchase the referee keeps still earns the rewards
+      await buy('referee-refund');
+      expect(referral.status).toBe('converted');
+      expect(referral.rewards.filter(reward => reward.status !== 'reversed')).toHaveLength(2);
+    });
+
+    it('only take back credit that has not been spent', async () => {
+      const referral = await refer('referrer-spent', 'referee-spent');
+      const { payment } = await buy('referee-spent');
+      const credit = rewardOf(referral, 'referrer');
+      const listing = await platform.marketplace.createListing({
+        name: 'Decal',
+        price: 3,
+        category: 'cosmetics',
+        sellerId: 'seller-referrals'
+      });
+      await platform.purchaseListing(listing.id, 'referrer-spent', 'gift_card',
+        { giftCardCode: creditCard(credit).code }, { billingAddress });
+
+      await platform.payments.refundTransaction(payment.id);
+
+      expect(credit.revokedAmount).toBe(2);
+      expect(creditCard(credit).balance).toBe(0);
+    });
+
+    it('take back subscription days when the first subscription payment is refunded', async () => {
+      const referral = await refer('referrer-sub', 'referee-sub');
+      const { subscription, invoice } = await subscribe('referee-sub');
+      const renewsAt = moment(subscription.nextBilling);
+      expect(rewardOf(referral, 'referee')).toMatchObject({ status: 'issued', days: 7 });
+
+      await platform.payments.refundTransaction(invoice.paymentIds[0]);
+
+      expect(rewardOf(referral, 'referee').status).toBe('reversed');
+      expect(moment(subscription.nextBilling).isSame(renewsAt.subtract(7, 'days'))).toBe(true);
+      expect(referral.status).toBe('signed_up');
+    });
+
+    it('ignore refunds of purchases other than the first', async () => {
+      const referral = await refer('referrer-later', 'referee-later');
+      await buy('referee-later');
+      const { payment } = await buy('referee-later');
+
+      await platform.payments.refundTransaction(payment.id);
+
+      expect(referral.status).toBe('converted');
+      expect(rewardOf(referral, 'referrer').status).toBe('issued');
+    });
+  });
+
+  it('reports reversed rewards in the analytics', async () => {
+    const response = await request(server.app)
+      .get('/api/referrals/analytics')
+      .set('Authorization', bearer('analyst-1', 'analyst'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.rewards.reversed).toBeGreaterThan(0);
+    expect(response.body.data.fraud.signals).toMatchObject({ referrer_ip_match: 1, ip_cluster: 1 });
+  });
+});
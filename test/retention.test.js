@@ -0,0 +1,81 @@
+const request = require('supertest');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('churn, retention and growth', () => {
+  let server;
+  let platform;
+  let subscriptions;
+
+  const now = new Date('2030-04-15T12:00:00Z');
+
+  // Signed up in January and March; one January signup never paid
+  const fixtures = [
+    { id: 'sub-a', startDate: '2030-01-10', status: 'active' },
+    { id: 'sub-b', startDate: '2030-01-12', status: 'cancelled', cancelledAt: '2030-02-20' },
+    { id: 'sub-c', startDate: '2030-01-20', status: 'suspended', suspendedAt: '2030-03-05' },
+    { id: 'sub-d', startDate: '2030-01-25', status: 'incomplete_expired' },
+    { id: 'sub-e', startDate: '2030-03-01', status: 'active' },
+    { id: 'sub-f', startDate: '2030-03-02', status: 'cancelled', cancelledAt: '2030-04-05' }
+  ];
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    subscriptions = platform.subscriptions;
+
+    fixtures.forEach(({ startDate, cancelledAt, suspendedAt, ...fields }) => {
+      subscriptions.subscriptions.set(fields.id, {
+        ...fields,
+        userId: `user-${fields.id}`,
+        planId: 'basic',
+        currency: 'USD',
+        revenue: 4.99,
+        startDate: new Date(`${startDate}T00:00:00Z`),
+        cancelledAt: cancelledAt ? new Date(`${cancelledAt}T00:00:00Z`) : undefined,
+        suspendedAt: suspendedAt ? new Date(`${suspendedAt}T00:00:00Z`) : undefined
+      });
+    });
+  });
+
+  it('churns the share of subscribers at the window start who have since left', () => {
+    // Active on 16 March: a, e and f; f cancelled since
+    expect(subscriptions.calculateChurnRate(now)).toBeCloseTo(1 / 3, 10);
+    // Active on 15 January: a and b; b cancelled since
+    expect(subscriptions.calculateChurnRate(now, 90)).toBe(1 / 2);
+  });
+
+  it('follows each monthly signup cohort to the end of every month', () => {
+    expect(subscriptions.getCohortRetention(now)).toEqual({
+      '2030-01': { size: 3, retention: [1, 2 / 3, 1 / 3, 1 / 3] },
+      '2030-03': { size: 2, retention: [1, 1 / 2] }
+    });
+  });
+
+  it('has no churn to report before anyone subscribed', () => {
+    expect(subscriptions.calculateChurnRate(new Date('2029-06-01T00:00:00Z'))).toBe(0);
+  });
+
+  it('measures growth between the last two complete months of booked revenue', async () => {
+    await platform.revenue.updateRevenue('subscriptions', 100, { timestamp: new Date('2030-02-10T00:00:00Z') });
+    await platform.revenue.updateRevenue('subscriptions', 150, { timestamp: new Date('2030-03-10T00:00:00Z') });
+    // The month in progress does not count yet
+    await platform.revenue.updateRevenue('subscriptions', 10, { timestamp: new Date('2030-04-10T00:00:00Z') });
+
+    expect(platform.revenue.getHistoricalRevenue(now)).toEqual([100, 150]);
+    expect(platform.revenue.calculateGrowthRate(now)).toBe(0.5);
+    expect(platform.revenue.calculateGrowthRate(new Date('2030-03-15T00:00:00Z'))).toBe(0);
+  });
+
+  it('feeds the engagement metrics and the subscription analytics', async () => {
+    platform.refreshEngagementMetrics();
+
+    expect(platform.analytics.metrics.engagement.retention).toEqual(subscriptions.getCohortRetention());
+    expect(platform.analytics.metrics.engagement.churn).toEqual({ monthly: subscriptions.calculateChurnRate() });
+
+    const response = await request(server.app)
+      .get('/api/subscriptions/analytics')
+      .set('Authorization', bearer('analyst-1', 'analyst'));
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({ totalActive: 2, churnRate: subscriptions.calculateChurnRate() });
+  });
+});
@@ -0,0 +1,155 @@
+const request = require('supertest');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('revenue ledger', () => {
+  let server;
+  let platform;
+  let revenue;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    revenue = platform.revenue;
+
+    // Merchandise only appears in these fixtures, so series filtered on it are exact
+    const book = (amount, timestamp, currency = 'USD') =>
+      revenue.updateRevenue('merchandise', amount, { currency, timestamp: new Date(timestamp) });
+    await book(100, '2029-01-05T10:00:00Z');
+    await book(50, '2029-01-06T10:00:00Z', 'EUR');
+    await book(25, '2029-02-14T10:00:00Z');
+    await book(75, '2029-04-01T00:00:00Z');
+  });
+
+  it('keeps every entry with its original currency, rate and source', async () => {
+    const entry = await revenue.updateRevenue('ads', 10, {
+      currency: 'GBP',
+      sourceTransactionId: 'payment-ads',
+      timestamp: new Date('2029-06-01T00:00:00Z')
+    });
+
+    expect(entry).toMatchObject({
+      stream: 'ads',
+      amount: 10,
+      currency: 'GBP',
+      reportingCurrency: 'USD',
+      reportingAmount: 12.66,
+      sourceTransactionId: 'payment-ads'
+    });
+    expect(revenue.streams.ads).toBe(12.66);
+    expect(server.db.collection('revenue').documents).toContainEqual(expect.objectContaining({ id: entry.id }));
+    await expect(revenue.updateRevenue('lemonade', 1)).rejects.toThrow('Unknown revenue stream: lemonade');
+  });
+
+  it('buckets revenue by calendar period in the reporting currency', () => {
+    const series = revenue.getRevenueSeries({
+      from: '2029-01-01T00:00:00Z',
+      to: '2029-05-01T00:00:00Z',
+      interval: 'month',
+      stream: 'merchandise'
+    });
+
+    expect(series.buckets.map(bucket => [bucket.period.slice(0, 7), bucket.total, bucket.entries])).toEqual([
+      ['2029-01', 154.35, 2],
+      ['2029-02', 25, 1],
+      ['2029-03', 0, 0],
+      ['2029-04', 75, 1]
+    ]);
+    expect(series.buckets[0].byCurrency).toEqual({ USD: 100, EUR: 50 });
+  });
+
+  it('supports day, week and quarter buckets', () => {
+    const range = { from: '2029-01-01T00:00:00Z', to: '2029-07-01T00:00:00Z', stream: 'merchandise' };
+
+    const quarters = revenue.getRevenueSeries({ ...range, interval: 'quarter' }).buckets;
+    expect(quarters.map(bucket => bucket.total)).toEqual([179.35, 75]);
+
+    const weeks = revenue.getRevenueSeries({ ...range, to: '2029-01-15T00:00:00Z', interval: 'week' }).buckets;
+    // Weeks start on Monday, 1 January 2029
+    expect(weeks.map(bucket => [bucket.period.slice(0, 10), bucket.total])).toEqual([
+      ['2029-01-01', 154.35],
+      ['2029-01-08', 0]
+    ]);
+
+    const days = revenue.getRevenueSeries({ ...range, to: '2029-01-07T00:00:00Z', interval: 'day' }).buckets;
+    expect(days).toHaveLength(6);
+    expect(days.filter(bucket => bucket.entries > 0).map(bucket => bucket.period))
+      .toEqual(['2029-01-05T00:00:00.000Z', '2029-01-06T00:00:00.000Z']);
+  });
+
+  it('refuses ranges that are inverted or too long', () => {
+    expect(() => revenue.getRevenueSeries({ from: '2029-02-01', to: '2029-01-01' })).toThrow('Invalid date range');
+    expect(() => revenue.getRevenueSeries({ from: '1900-01-01', interval: 'day' }))
+      .toThrow(`Date range spans more than ${revenue.maxSeriesBuckets} day buckets`);
+  });
+
+  it('measures goals against the current calendar period only', () => {
+    const progress = revenue.checkGoalsProgress(new Date('2029-02-20T00:00:00Z'));
+
+    expect(progress.monthly).toMatchObject({ current: 25, target: revenue.goals.monthly });
+    expect(progress.quarterly.current).toBe(179.35);
+    expect(progress.yearly.current).toBe(179.35);
+  });
+
+  it('serves the series through the API', async () => {
+    const response = await request(server.app)
+      .get('/api/analytics/revenue/timeseries')
+      .query({ from: '2029-01-01T00:00:00Z', to: '2029-03-01T00:00:00Z', interval: 'month', stream: 'merchandise' })
+      .set('Authorization', bearer('analyst-1', 'analyst'));
+    const tooLong = await request(server.app)
+      .get('/api/analytics/revenue/timeseries')
+      .query({ from: '1900-01-01', interval: 'day' })
+      .set('Authorization', bearer('analyst-1', 'analyst'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.buckets.map(bucket => bucket.total)).toEqual([154.35, 25]);
+    expect(tooLong.status).toBe(400);
+  });
+
+  describe('subscription refunds', () => {
+    const subscribe = async (userId, currency = 'USD', address = billingAddress) => {
+      const card = await platform.giftCards.issueCard({ amount: 10, currency }, 'admin-1');
+      const response = await request(server.app)
+        .post('/api/subscriptions')
+        .set('Authorization', bearer(userId))
+        .send({
+          planId: 'basic',
+          currency,
+          paymentMethod: 'gift_card',
+          paymentData: { giftCardCode: card.code },
+          billingAddress: address
+        });
+      return response.body.data.invoice;
+    };
+
+    const ledgerFor = paymentId => revenue.ledger.filter(entry => entry.sourceTransactionId === paymentId);
+
+    it('reverse the subscription revenue booked for the payment', async () => {
+      const invoice = await subscribe('subscriber-refund');
+      const [paymentId] = invoice.paymentIds;
+      const before = revenue.streams.subscriptions;
+
+      const refund = await platform.payments.refundTransaction(paymentId, 'requested_by_customer');
+
+      expect(ledgerFor(paymentId)).toEqual([expect.objectContaining({ stream: 'subscriptions', amount: 4.99 })]);
+      expect(ledgerFor(refund.id)).toEqual([
+        expect.objectContaining({ stream: 'subscriptions', amount: -4.99, reportingAmount: -4.99 })
+      ]);
+      expect(revenue.streams.subscriptions).toBeCloseTo(before - 4.99, 10);
+    });
+
+    it('reverse the net amount at the rate it was booked at', async () => {
+      const invoice = await subscribe('subscriber-refund-gb', 'GBP', { country: 'GB' });
+      const [paymentId] = invoice.paymentIds;
+      const [booked] = ledgerFor(paymentId);
+      const refund = await platform.payments.refundTransaction(paymentId);
+
+      expect(booked).toMatchObject({ amount: invoice.subtotal, currency: 'GBP' });
+      expect(ledgerFor(refund.id)).toEqual([expect.objectContaining({
+        amount: -invoice.subtotal,
+        currency: 'GBP',
+        fxRate: booked.fxRate,
+        reportingAmount: -booked.reportingAmount
+      })]);
+    });
+  });
+});
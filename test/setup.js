@@ -0,0 +1,12 @@
+// Runs before every test file. Redis is replaced by an in-process mock and cron jobs are
+// never scheduled; the secrets are ones the webhook and tracking code refuses to run without.
+jest.mock('ioredis', () => require('ioredis-mock'));
+jest.mock('node-cron', () => ({ schedule: jest.fn() }));
+
+process.env.JWT_SECRET = 'test_jwt_secret';
+process.env.STRIPE_WEBHOOK_SECRET = 'whsec_test';
+process.env.CRYPTO_WEBHOOK_SECRET = 'crypto_whsec_test';
+process.env.TRACKING_TOKEN_SECRET = 'tracking_token_test';
+process.env.TRACKING_SERVER_SECRET = 'tracking_server_test';
+// Suites simulate clients behind one proxy hop with X-Forwarded-For
+process.env.TRUST_PROXY = '1';
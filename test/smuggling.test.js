@@ -0,0 +1,111 @@
+const request = require('supertest');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('smuggling, jobs and black market APIs', () => {
+  let server;
+  let platform;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+  });
+
+  const postJob = (job, action, userId, body = {}) => request(server.app)
+    .post(`/api/jobs/${job.id}/${action}`)
+    .set('Authorization', bearer(userId))
+    .send(body);
+
+  const createJob = () => {
+    const job = platform.jobBoard.createJobFromTemplate({
+      type: 'courier',
+      name: 'Medical Run',
+      description: 'Carry {cargo} to {destination}',
+      risk: 'low',
+      payout: { min: 500, max: 500 },
+      duration: { min: 2, max: 2 },
+      requirements: {},
+      objectives: []
+    });
+    platform.jobBoard.jobs.set(job.id, job);
+    return job;
+  };
+
+  it('require a token on every route', async () => {
+    const routes = [
+      ['get', '/api/smuggling/stats'],
+      ['post', '/api/cargo/manifest'],
+      ['get', '/api/cargo/stats'],
+      ['get', '/api/jobs/available'],
+      ['post', '/api/jobs/job-1/accept'],
+      ['post', '/api/jobs/job-1/complete'],
+      ['get', '/api/jobs/stats'],
+      ['post', '/api/blackmarket/listing'],
+      ['get', '/api/blackmarket/listings'],
+      ['post', '/api/blackmarket/listing-1/purchase'],
+      ['get', '/api/blackmarket/stats']
+    ];
+
+    for (const [method, path] of routes) {
+      const response = await request(server.app)[method](path);
+      expect([path, response.status]).toEqual([path, 401]);
+    }
+  });
+
+  describe('jobs', () => {
+    it('are accepted by the caller, whoever the body names', async () => {
+      const job = createJob();
+
+      const response = await postJob(job, 'accept', 'pilot-1', { playerId: 'pilot-2' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ status: 'active', acceptedBy: 'pilot-1' });
+      expect((await postJob(job, 'accept', 'pilot-2')).status).toBe(400);
+    });
+
+    it('can only be completed by the player who accepted them', async () => {
+      const job = createJob();
+      await postJob(job, 'accept', 'pilot-1');
+
+      const stolen = await postJob(job, 'complete', 'pilot-2', { playerId: 'pilot-1' });
+      expect(stolen.status).toBe(403);
+      expect(job.status).toBe('active');
+
+      const completed = await postJob(job, 'complete', 'pilot-1');
+      expect(completed.status).toBe(200);
+      expect(completed.body.data).toMatchObject({ status: 'completed', acceptedBy: 'pilot-1' });
+      expect(platform.jobBoard.jobStats.totalPayout).toBe(500);
+    });
+
+    it('cannot be completed by anyone before they are accepted', async () => {
+      const job = createJob();
+
+      expect((await postJob(job, 'complete', 'pilot-1')).status).toBe(403);
+      expect(job.status).toBe('available');
+    });
+  });
+
+  describe('black market', () => {
+    it('lists under the caller and sells only to someone else', async () => {
+      const created = await request(server.app)
+        .post('/api/blackmarket/listing')
+        .set('Authorization', bearer('fence-1'))
+        .send({ sellerId: 'fence-2', itemData: { name: 'Cloaking Coil', rarity: 'rare', legality: 'illegal' } });
+      const listing = created.body.data;
+      const purchase = userId => request(server.app)
+        .post(`/api/blackmarket/${listing.id}/purchase`)
+        .set('Authorization', bearer(userId))
+        .send({ buyerId: 'fence-1' });
+
+      expect(created.status).toBe(200);
+      expect(listing.sellerId).toBe('fence-1');
+
+      const own = await purchase('fence-1');
+      expect(own.status).toBe(400);
+      expect(own.body.error).toBe('Cannot purchase your own listing');
+
+      const bought = await purchase('runner-1');
+      expect(bought.status).toBe(200);
+      expect(bought.body.data).toMatchObject({ listingId: listing.id, buyerId: 'runner-1', sellerId: 'fence-1' });
+    });
+  });
+});
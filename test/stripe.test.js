@@ -0,0 +1,343 @@
+const request = require('supertest');
+const moment = require('moment');
+const { startMockServer } = require('./helpers/mock-http');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('Stripe payments', () => {
+  let stripeApi;
+  let server;
+  let platform;
+  let refundStatus = 'succeeded';
+
+  beforeAll(async () => {
+    // Minimal stand-in for stripe-mock: pm_card_chargeDeclined is declined,
+    // pm_card_authenticationRequired waits for 3D Secure, any other payment method succeeds and
+    // intents without one wait for the client to confirm
+    let sequence = 0;
+    stripeApi = await startMockServer({
+      'POST /v1/customers': () => [200, { id: `cus_${++sequence}`, object: 'customer' }],
+      'POST /v1/payment_intents': ({ body }) => {
+        if (body.payment_method === 'pm_card_chargeDeclined') {
+          return [402, { error: { type: 'card_error', code: 'card_declined', message: 'Your card was declined.' } }];
+        }
+        const id = `pi_${++sequence}`;
+        let status = body.payment_method ? 'succeeded' : 'requires_payment_method';
+        if (body.payment_method === 'pm_card_authenticationRequired') status = 'requires_action';
+        return [200, {
+          id,
+          object: 'payment_intent',
+          amount: Number(body.amount),
+          currency: body.currency,
+          status,
+          customer: body.customer || null,
+          payment_method: body.payment_method || null,
+          setup_future_usage: body.setup_future_usage || null,
+          client_secret: `${id}_secret`,
+          metadata: { transactionId: body['metadata[transactionId]'] }
+        }];
+      },
+      'POST /v1/payment_intents/:id/cancel': ({ params }) => [200, {
+        id: params.id,
+        object: 'payment_intent',
+        status: 'canceled'
+      }],
+      'POST /v1/refunds': ({ body }) => [200, {
+        id: `re_${++sequence}`,
+        object: 'refund',
+        payment_intent: body.payment_intent,
+        status: refundStatus
+      }]
+    });
+    process.env.STRIPE_API_HOST = '127.0.0.1';
+    process.env.STRIPE_API_PORT = String(stripeApi.port);
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    await platform.payments.updateProfile('buyer-card', { stripePaymentMethodId: 'pm_card_visa' });
+    await platform.payments.updateProfile('buyer-declined', { stripePaymentMethodId: 'pm_card_chargeDeclined' });
+  });
+
+  afterAll(() => stripeApi.close());
+
+  const sendWebhook = (type, object, { secret = process.env.STRIPE_WEBHOOK_SECRET } = {}) => {
+    const payload = JSON.stringify({ id: `evt_${type}`, object: 'event', type, data: { object } });
+    return request(server.app)
+      .post('/api/payments/webhooks/stripe')
+      .set('Content-Type', 'application/json')
+      .set('Stripe-Signature', server.stripe.webhooks.generateTestHeaderString({ payload, secret }))
+      .send(payload);
+  };
+
+  const createListing = (stock = null) => platform.marketplace.createListing({
+    name: 'Cargo Hauler',
+    price: 12.5,
+    category: 'equipment',
+    sellerId: 'seller-1',
+    stock
+  });
+
+  const chargeSavedCard = (amount, userId = 'buyer-card') => platform.payments.processPayment(amount, 'USD', 'stripe',
+    { userId, offSession: true });
+
+  it('charges the saved card off-session in minor units', async () => {
+    const payment = await chargeSavedCard(12.5);
+
+    expect(payment).toMatchObject({ status: 'completed', stripePaymentIntentId: expect.stringMatching(/^pi_/) });
+    expect(stripeApi.requests.at(-1).body).toMatchObject({
+      amount: '1250',
+      currency: 'usd',
+      customer: platform.payments.profiles.get('buyer-card').stripeCustomerId,
+      payment_method: 'pm_card_visa',
+      confirm: 'true',
+      off_session: 'true'
+    });
+  });
+
+  it('records a declined card as a failed payment', async () => {
+    const payment = await chargeSavedCard(5, 'buyer-declined');
+
+    expect(payment).toMatchObject({ status: 'failed', failureReason: 'Your card was declined.' });
+  });
+
+  it('only charges the customer and cards saved for the caller', async () => {
+    const victim = platform.payments.profiles.get('buyer-card');
+    const response = await request(server.app)
+      .post('/api/payments/process')
+      .set('Authorization', bearer('buyer-attacker'))
+      .send({
+        amount: 5,
+        method: 'stripe',
+        data: { customerId: victim.stripeCustomerId, paymentMethodId: 'pm_card_visa' },
+        billingAddress
+      });
+
+    expect(response.body.data.status).toBe('processing');
+    const { body } = stripeApi.requests.at(-1);
+    expect(body.customer).toBe(platform.payments.profiles.get('buyer-attacker').stripeCustomerId);
+    expect(body.customer).not.toBe(victim.stripeCustomerId);
+    expect(body).not.toHaveProperty('payment_method');
+    expect(response.body.data).not.toHaveProperty('paymentMethodId');
+  });
+
+  it('saves the card a buyer confirms when asked to keep it', async () => {
+    const payment = await platform.payments.processPayment(5, 'USD', 'stripe',
+      { userId: 'buyer-saving', savePaymentSource: true });
+    expect(stripeApi.requests.at(-1).body).toMatchObject({ setup_future_usage: 'off_session' });
+
+    await sendWebhook('payment_intent.succeeded', {
+      id: payment.stripePaymentIntentId,
+      object: 'payment_intent',
+      payment_method: 'pm_saved',
+      setup_future_usage: 'off_session',
+      metadata: { transactionId: payment.id }
+    });
+
+    expect(payment.status).toBe('completed');
+    expect(platform.payments.profiles.get('buyer-saving').stripePaymentMethodId).toBe('pm_saved');
+  });
+
+  it('keeps an unconfirmed intent processing and hands back the client secret', async () => {
+    const payment = await platform.payments.processPayment(5, 'USD', 'stripe');
+
+    expect(payment.status).toBe('processing');
+    expect(payment.clientSecret).toBe(`${payment.stripePaymentIntentId}_secret`);
+  });
+
+  it('completes a client-confirmed purchase when payment_intent.succeeded arrives', async () => {
+    const listing = await createListing(1);
+    const response = await request(server.app)
+      .post(`/api/marketplace/purchase/${listing.id}`)
+      .set('Authorization', bearer('buyer-1'))
+      .send({ paymentMethod: 'stripe', billingAddress });
+
+    expect(response.status).toBe(202);
+    const { transaction, payment } = response.body.data;
+    expect(transaction.status).toBe('processing');
+    expect(listing.status).toBe('sold_out');
+
+    const webhook = await sendWebhook('payment_intent.succeeded', {
+      id: payment.stripePaymentIntentId,
+      object: 'payment_intent',
+      metadata: { transactionId: payment.id }
+    });
+
+    expect(webhook.status).toBe(200);
+    expect(platform.payments.transactions.find(t => t.id === payment.id).status).toBe('completed');
+    expect(platform.marketplace.transactions.find(t => t.id === transaction.id).status).toBe('completed');
+    expect(listing.purchases).toBe(1);
+    expect(platform.revenue.ledger.at(-1)).toMatchObject({ stream: 'marketplace', sourceTransactionId: payment.id });
+  });
+
+  it('fails the purchase and releases its stock on payment_intent.payment_failed', async () => {
+    const listing = await createListing(1);
+    const { transaction, payment } = await platform.purchaseListing(listing.id, 'buyer-2', 'stripe', {},
+      { billingAddress });
+
+    await sendWebhook('payment_intent.payment_failed', {
+      id: payment.stripePaymentIntentId,
+      object: 'payment_intent',
+      metadata: { transactionId: payment.id },
+      last_payment_error: { message: 'Insufficient funds' }
+    });
+
+    expect(payment).toMatchObject({ status: 'failed', failureReason: 'Insufficient funds' });
+    expect(transaction.status).toBe('failed');
+    expect(listing).toMatchObject({ stock: 1, status: 'active' });
+  });
+
+  it('rejects events with a bad signature', async () => {
+    const response = await sendWebhook('payment_intent.succeeded', { id: 'pi_x' }, { secret: 'whsec_forged' });
+
+    expect(response.status).toBe(400);
+  });
+
+  it('refuses webhooks when no signing secret is configured', async () => {
+    const secret = process.env.STRIPE_WEBHOOK_SECRET;
+    delete process.env.STRIPE_WEBHOOK_SECRET;
+    try {
+      const response = await sendWebhook('payment_intent.succeeded', { id: 'pi_x' }, { secret: 'whsec_dummy' });
+      expect(response.status).toBe(500);
+    } finally {
+      process.env.STRIPE_WEBHOOK_SECRET = secret;
+    }
+  });
+
+  it('never settles a payment made with another method', async () => {
+    const paypal = { id: 'paypal-tx', method: 'paypal', status: 'processing', amount: 10, currency: 'USD' };
+    platform.payments.transactions.push(paypal);
+
+    await sendWebhook('payment_intent.succeeded', {
+      id: 'pi_attacker',
+      object: 'payment_intent',
+      metadata: { transactionId: paypal.id }
+    });
+
+    expect(paypal.status).toBe('processing');
+  });
+
+  describe('subscriptions', () => {
+    let subscription;
+
+    // Signs up through the client-secret flow: the subscriber confirms the first intent, which
+    // saves their card for renewals
+    const signUp = async (userId, card) => {
+      let invoice;
+      ({ subscription, invoice } = await platform.subscriptions.createSubscription(userId, 'basic', 'stripe', {},
+        { billingAddress }));
+      const payment = platform.payments.transactions.find(t => t.id === invoice.pendingPaymentId);
+      expect(stripeApi.requests.at(-1).body).toMatchObject({ setup_future_usage: 'off_session' });
+
+      await sendWebhook('payment_intent.succeeded', {
+        id: payment.stripePaymentIntentId,
+        object: 'payment_intent',
+        payment_method: card,
+        setup_future_usage: 'off_session',
+        metadata: { transactionId: payment.id }
+      });
+      await platform.subscriptions.runBillingCycle();
+      expect(subscription.status).toBe('active');
+    };
+
+    afterEach(() => platform.subscriptions.cancelSubscription(subscription.id));
+
+    it('renews off-session with the card saved at signup', async () => {
+      await signUp('subscriber-card', 'pm_card_visa');
+
+      const results = await platform.subscriptions.runBillingCycle(new Date(subscription.nextBilling));
+
+      expect(results.paid.map(invoice => invoice.subscriptionId)).toEqual([subscription.id]);
+      expect(stripeApi.requests.at(-1).body).toMatchObject({
+        payment_method: 'pm_card_visa',
+        off_session: 'true',
+        customer: platform.payments.profiles.get('subscriber-card').stripeCustomerId
+      });
+    });
+
+    it('sends a renewal nobody completes into dunning and cancels the intent', async () => {
+      await signUp('subscriber-3ds', 'pm_card_authenticationRequired');
+      const renewalDue = new Date(subscription.nextBilling);
+
+      await platform.subscriptions.runBillingCycle(renewalDue);
+      const invoice = platform.subscriptions.invoices.get(subscription.openInvoiceId);
+      const payment = platform.payments.transactions.find(t => t.id === invoice.pendingPaymentId);
+      expect(payment.status).toBe('processing');
+
+      const { pendingTimeoutHours } = platform.subscriptions.dunning;
+      await platform.subscriptions.runBillingCycle(moment(renewalDue).add(pendingTimeoutHours - 1, 'hours').toDate());
+      expect(subscription.status).toBe('active');
+
+      await platform.subscriptions.runBillingCycle(moment(renewalDue).add(pendingTimeoutHours, 'hours').toDate());
+      expect(stripeApi.requests.at(-1).path).toBe(`/v1/payment_intents/${payment.stripePaymentIntentId}/cancel`);
+      expect(payment).toMatchObject({ status: 'failed', failureReason: 'Payment was not completed in time' });
+      expect(subscription).toMatchObject({ status: 'past_due', retryCount: 1 });
+      expect(invoice).toMatchObject({ status: 'open', pendingPaymentId: null });
+    });
+
+    it('declines a renewal straight away when no card was saved', async () => {
+      ({ subscription } = await platform.subscriptions.createSubscription('subscriber-nocard', 'basic', 'stripe', {},
+        { billingAddress }));
+      const [signup] = platform.subscriptions.getInvoices(subscription.id);
+      platform.payments.transactions.find(t => t.id === signup.pendingPaymentId).status = 'completed';
+      await platform.subscriptions.runBillingCycle();
+
+      await platform.subscriptions.runBillingCycle(new Date(subscription.nextBilling));
+
+      const renewal = platform.subscriptions.getInvoices(subscription.id).at(-1);
+      expect(subscription.status).toBe('past_due');
+      expect(renewal.lastFailureReason).toBe('No saved card to charge');
+    });
+  });
+
+  describe('refunds', () => {
+    it('refunds through Stripe and marks the payment refunded', async () => {
+      refundStatus = 'succeeded';
+      const payment = await chargeSavedCard(8);
+      const refund = await platform.payments.refundTransaction(payment.id, 'requested_by_customer');
+
+      expect(refund).toMatchObject({ status: 'completed', stripeRefundId: expect.stringMatching(/^re_/) });
+      expect(stripeApi.requests.at(-1).body.payment_intent).toBe(payment.stripePaymentIntentId);
+      expect(payment.status).toBe('refunded');
+    });
+
+    it('refuses a second refund while the first is pending, then settles on charge.refunded', async () => {
+      refundStatus = 'pending';
+      const payment = await chargeSavedCard(8);
+      const refund = await platform.payments.refundTransaction(payment.id);
+
+      expect(refund.status).toBe('pending');
+      expect(payment.status).toBe('completed');
+      await expect(platform.payments.refundTransaction(payment.id)).rejects.toThrow(server.PaymentError);
+
+      await sendWebhook('charge.refunded', {
+        id: 'ch_1',
+        object: 'charge',
+        payment_intent: payment.stripePaymentIntentId
+      });
+      expect(payment.status).toBe('refunded');
+      expect(payment.refund.status).toBe('completed');
+    });
+
+    it('reverses the sale on a chargeback', async () => {
+      const listing = await createListing();
+      const { transaction, payment } = await platform.purchaseListing(listing.id, 'buyer-3', 'stripe', {},
+        { billingAddress });
+      await sendWebhook('payment_intent.succeeded', {
+        id: payment.stripePaymentIntentId,
+        object: 'payment_intent',
+        metadata: { transactionId: payment.id }
+      });
+      expect(transaction.status).toBe('completed');
+
+      await sendWebhook('charge.dispute.created', {
+        id: 'dp_1',
+        object: 'dispute',
+        payment_intent: payment.stripePaymentIntentId,
+        amount: 1250,
+        reason: 'fraudulent'
+      });
+
+      expect(payment).toMatchObject({ status: 'charged_back', dispute: { amount: 12.5, reason: 'fraudulent' } });
+      expect(transaction.status).toBe('charged_back');
+      expect(platform.revenue.ledger.at(-1)).toMatchObject({ stream: 'marketplace', amount: -12.5 });
+    });
+  });
+});
@@ -0,0 +1,260 @@
+const request = require('supertest');
+const moment = require('moment');
+const { loadServer, bearer, billingAddress } = require('./helpers/server');
+
+describe('subscriptions', () => {
+  let server;
+  let platform;
+  let subscriptions;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    subscriptions = platform.subscriptions;
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const issueCard = amount => platform.giftCards.issueCard({ amount }, 'admin-1');
+
+  const subscribe = (userId, body) => request(server.app)
+    .post('/api/subscriptions')
+    .set('Authorization', bearer(userId))
+    .send({ billingAddress, ...body });
+
+  describe('signup', () => {
+    it('charges the first period before activating', async () => {
+      const card = await issueCard(10);
+      const response = await subscribe('subscriber-1', {
+        planId: 'basic',
+        paymentMethod: 'gift_card',
+        paymentData: { giftCardCode: card.code }
+      });
+
+      expect(response.status).toBe(200);
+      const { subscription, invoice } = response.body.data;
+      expect(invoice).toMatchObject({ kind: 'initial', status: 'paid', amount: 4.99 });
+      expect(subscription).toMatchObject({ status: 'active', revenue: 4.99 });
+      expect(moment(subscription.nextBilling).diff(subscription.currentPeriodStart, 'months')).toBe(1);
+      expect(card.balance).toBe(5.01);
+    });
+
+    it('keeps the gift card by id rather than by code for renewals', async () => {
+      const card = await issueCard(10);
+      const { subscription } = await subscriptions.createSubscription('subscriber-2', 'basic', 'gift_card',
+        { giftCardCode: card.code }, { billingAddress });
+
+      expect(subscription.paymentDetails.giftCardId).toBe(card.id);
+      expect(JSON.stringify(subscription)).not.toContain(card.code);
+      expect(JSON.stringify(server.db.collection('subscriptions').documents)).not.toContain(card.code);
+    });
+
+    it('answers 402 and never activates when the first charge is declined', async () => {
+      const card = await issueCard(1);
+      const response = await subscribe('subscriber-3', {
+        planId: 'basic',
+        paymentMethod: 'gift_card',
+        paymentData: { giftCardCode: card.code }
+      });
+
+      expect(response.status).toBe(402);
+      const { subscription, invoice } = response.body.data;
+      expect(subscription).toMatchObject({ status: 'incomplete_expired', nextBilling: null, revenue: 0 });
+      expect(invoice).toMatchObject({ status: 'void', lastFailureReason: 'Insufficient gift card balance' });
+    });
+
+    it('activates once a pending first payment settles', async () => {
+      const payment = { id: 'pending-signup', status: 'processing' };
+      jest.spyOn(platform.payments, 'processPayment').mockImplementation(async () => {
+        platform.payments.transactions.push(payment);
+        return payment;
+      });
+
+      const response = await subscribe('subscriber-4', { planId: 'premium', paymentMethod: 'stripe' });
+      expect(response.status).toBe(202);
+      const subscription = subscriptions.subscriptions.get(response.body.data.subscription.id);
+      expect(subscription.status).toBe('incomplete');
+
+      await subscriptions.runBillingCycle();
+      expect(subscription.status).toBe('incomplete');
+
+      payment.status = 'completed';
+      const results = await subscriptions.runBillingCycle();
+      expect(results.paid).toHaveLength(1);
+      expect(subscription).toMatchObject({ status: 'active', revenue: 9.99 });
+      expect(subscription.nextBilling).not.toBeNull();
+
+      // Later cycles would try to renew it against the real Stripe API
+      await subscriptions.cancelSubscription(subscription.id);
+    });
+
+    it('expires a signup whose first payment is never completed', async () => {
+      const payment = { id: 'abandoned-signup', method: 'paypal', status: 'processing' };
+      jest.spyOn(platform.payments, 'processPayment').mockImplementation(async () => {
+        platform.payments.transactions.push(payment);
+        return payment;
+      });
+
+      const { subscription, invoice } = await subscriptions.createSubscription('subscriber-6', 'basic', 'paypal', {},
+        { billingAddress });
+      await subscriptions.runBillingCycle(moment().add(subscriptions.dunning.pendingTimeoutHours, 'hours').toDate());
+
+      expect(payment).toMatchObject({ status: 'failed', failureReason: 'Payment was not completed in time' });
+      expect(subscription.status).toBe('incomplete_expired');
+      expect(invoice).toMatchObject({ status: 'void', pendingPaymentId: null });
+    });
+
+    it('leaves incomplete signups out of retention', async () => {
+      const card = await issueCard(1);
+      await subscriptions.createSubscription('subscriber-5', 'basic', 'gift_card',
+        { giftCardCode: card.code }, { billingAddress });
+
+      const cohorts = subscriptions.getCohortRetention();
+      const subscribers = Object.values(cohorts).reduce((sum, cohort) => sum + cohort.size, 0);
+      const active = Array.from(subscriptions.subscriptions.values()).filter(s => !subscriptions.isIncomplete(s));
+      expect(subscribers).toBe(active.length);
+    });
+  });
+
+  describe('dunning', () => {
+    let subscription;
+    let invoiceId;
+
+    // A card holding exactly one period pays for the signup and then declines every renewal
+    beforeAll(async () => {
+      const card = await issueCard(4.99);
+      ({ subscription } = await subscriptions.createSubscription('subscriber-dunning', 'basic', 'gift_card',
+        { giftCardCode: card.code }, { billingAddress }));
+    });
+
+    it('retries a failed renewal after 1, 3 and 7 days', async () => {
+      let now = new Date(subscription.nextBilling);
+
+      for (const delayDays of subscriptions.dunning.retryDelaysDays) {
+        await subscriptions.runBillingCycle(now);
+
+        expect(subscription.status).toBe('past_due');
+        expect(moment(subscription.nextRetryAt).diff(now, 'days')).toBe(delayDays);
+        invoiceId = invoiceId || subscription.openInvoiceId;
+        expect(subscription.openInvoiceId).toBe(invoiceId);
+
+        now = new Date(subscription.nextRetryAt);
+      }
+    });
+
+    it('waits for the retry date', async () => {
+      const attempts = subscriptions.invoices.get(invoiceId).attempts;
+      await subscriptions.runBillingCycle(moment(subscription.nextRetryAt).subtract(1, 'hour').toDate());
+
+      expect(subscriptions.invoices.get(invoiceId).attempts).toBe(attempts);
+    });
+
+    it('suspends the subscription once the retries run out', async () => {
+      const results = await subscriptions.runBillingCycle(new Date(subscription.nextRetryAt));
+
+      expect(results.suspended.map(invoice => invoice.subscriptionId)).toEqual([subscription.id]);
+      expect(subscription).toMatchObject({ status: 'suspended', nextRetryAt: null, openInvoiceId: null });
+      expect(subscriptions.invoices.get(invoiceId)).toMatchObject({ status: 'uncollectible', attempts: 4 });
+    });
+
+    it('recovers when a retry succeeds', async () => {
+      const card = await issueCard(4.99);
+      const { subscription: recovering } = await subscriptions.createSubscription('subscriber-recovers', 'basic',
+        'gift_card', { giftCardCode: card.code }, { billingAddress });
+      const renewalDue = new Date(recovering.nextBilling);
+
+      await subscriptions.runBillingCycle(renewalDue);
+      expect(recovering.status).toBe('past_due');
+
+      card.balance = 4.99;
+      await subscriptions.runBillingCycle(new Date(recovering.nextRetryAt));
+      expect(recovering).toMatchObject({ status: 'active', retryCount: 0, nextRetryAt: null, openInvoiceId: null });
+      expect(new Date(recovering.currentPeriodStart).getTime()).toBe(renewalDue.getTime());
+      expect(moment(recovering.nextBilling).diff(renewalDue, 'months')).toBe(1);
+    });
+  });
+
+  describe('plan changes', () => {
+    let card;
+    let subscription;
+
+    beforeEach(async () => {
+      card = await issueCard(50);
+      ({ subscription } = await subscriptions.createSubscription('subscriber-upgrades', 'basic', 'gift_card',
+        { giftCardCode: card.code }, { billingAddress }));
+    });
+
+    afterEach(() => subscriptions.cancelSubscription(subscription.id));
+
+    const pointInPeriod = fraction => {
+      const start = new Date(subscription.currentPeriodStart).getTime();
+      const end = new Date(subscription.nextBilling).getTime();
+      return new Date(start + (end - start) * fraction);
+    };
+
+    it('charges the prorated difference for the rest of the period on upgrade', async () => {
+      const nextBilling = subscription.nextBilling;
+      const balance = card.balance;
+      const { invoice } = await subscriptions.changePlan(subscription.id, 'premium', pointInPeriod(0.75));
+
+      const [credit, charge] = invoice.lines;
+      expect(credit).toMatchObject({ type: 'proration_credit' });
+      expect(credit.amount).toBeCloseTo(-4.99 * 0.25, 2);
+      expect(charge).toMatchObject({ type: 'proration_charge' });
+      expect(charge.amount).toBeCloseTo(9.99 * 0.25, 2);
+      expect(invoice).toMatchObject({ kind: 'plan_change', status: 'paid', amount: charge.amount + credit.amount });
+      expect(card.balance).toBeCloseTo(balance - invoice.amount, 2);
+
+      expect(subscription).toMatchObject({ planId: 'premium', previousPlanId: 'basic', nextBilling });
+      expect(subscription.features).toEqual(subscriptions.plans.premium.features);
+    });
+
+    it('keeps the current plan when the upgrade payment fails', async () => {
+      card.balance = 0;
+
+      await expect(subscriptions.changePlan(subscription.id, 'vip', pointInPeriod(0.5)))
+        .rejects.toThrow('Plan change payment failed: Insufficient gift card balance');
+      expect(subscription.planId).toBe('basic');
+
+      const response = await request(server.app)
+        .patch(`/api/subscriptions/${subscription.id}`)
+        .set('Authorization', bearer('subscriber-upgrades'))
+        .send({ planId: 'vip' });
+      expect(response.status).toBe(400);
+    });
+
+    it('charges the full lifetime price and stops renewals', async () => {
+      card.balance = 150;
+      const { invoice } = await subscriptions.changePlan(subscription.id, 'lifetime', pointInPeriod(0.5));
+
+      expect(invoice.lines[1].amount).toBe(99.99);
+      expect(subscription).toMatchObject({ planId: 'lifetime', nextBilling: null });
+      await expect(subscriptions.changePlan(subscription.id, 'basic'))
+        .rejects.toThrow('Lifetime subscriptions cannot change plan');
+    });
+
+    it('defers a downgrade to the next renewal', async () => {
+      await subscriptions.changePlan(subscription.id, 'premium', pointInPeriod(0.1));
+      const renewal = new Date(subscription.nextBilling);
+
+      const { invoice } = await subscriptions.changePlan(subscription.id, 'basic', pointInPeriod(0.5));
+      expect(invoice).toBeNull();
+      expect(subscription.planId).toBe('premium');
+      expect(subscription.scheduledChange).toMatchObject({ planId: 'basic', effectiveAt: renewal });
+
+      await subscriptions.runBillingCycle(renewal);
+      const renewed = subscriptions.getInvoices(subscription.id).at(-1);
+      expect(renewed).toMatchObject({ kind: 'renewal', planId: 'basic', amount: 4.99, status: 'paid' });
+      expect(subscription).toMatchObject({ planId: 'basic', scheduledChange: null });
+    });
+
+    it('withdraws a pending downgrade when switching back to the current plan', async () => {
+      await subscriptions.changePlan(subscription.id, 'premium', pointInPeriod(0.1));
+      await subscriptions.changePlan(subscription.id, 'basic', pointInPeriod(0.2));
+
+      const { invoice } = await subscriptions.changePlan(subscription.id, 'premium', pointInPeriod(0.3));
+      expect(invoice).toBeNull();
+      expect(subscription).toMatchObject({ planId: 'premium', scheduledChange: null });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const request = require('supertest');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('tax', () => {
+  let server;
+  let platform;
+  let tax;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+    tax = platform.tax;
+  });
+
+  describe('TaxEngine', () => {
+    it('takes VAT out of tax-inclusive prices', () => {
+      expect(tax.calculate(9.99, 'GBP', { country: 'GB' })).toEqual({
+        net: 8.33,
+        gross: 9.99,
+        tax: {
+          country: 'GB',
+          region: null,
+          inclusive: true,
+          amount: 1.66,
+          lines: [{ type: 'VAT', jurisdiction: 'GB', rate: 0.2, amount: 1.66 }]
+        }
+      });
+      expect(tax.calculate(4.99, 'EUR', { country: 'DE' })).toMatchObject({ net: 4.19, gross: 4.99 });
+    });
+
+    it('adds US sales tax by state on top of the price', () => {
+      expect(tax.calculate(10, 'USD', { country: 'US', region: 'CA' })).toMatchObject({
+        net: 10,
+        gross: 10.73,
+        tax: { inclusive: false, amount: 0.73, lines: [{ type: 'sales_tax', jurisdiction: 'US-CA', rate: 0.0725 }] }
+      });
+      expect(tax.calculate(19.99, 'USD', { country: 'US', region: 'NY' })).toMatchObject({ gross: 20.79 });
+      expect(tax.calculate(10, 'USD', { country: 'US', region: 'OR' }).tax.amount).toBe(0);
+    });
+
+    it('rounds to the currency minor unit', () => {
+      expect(tax.calculate(1500, 'JPY', { country: 'AU' }))
+        .toMatchObject({ net: 1364, gross: 1500, tax: { amount: 136 } });
+      expect(tax.calculate(12.5, 'CAD', { country: 'CA', region: 'ON' })).toMatchObject({ gross: 13.13 });
+    });
+
+    it('leaves unknown countries and missing addresses untaxed', () => {
+      const untaxed = { net: 10, gross: 10, tax: { inclusive: false, amount: 0, lines: [] } };
+
+      expect(tax.calculate(10, 'USD', { country: 'BR' })).toMatchObject(untaxed);
+      expect(tax.calculate(10, 'USD', null)).toMatchObject({ ...untaxed, tax: { ...untaxed.tax, country: null } });
+    });
+  });
+
+  describe('invoices', () => {
+    const createListing = price => platform.marketplace.createListing({
+      name: 'Warp Coil',
+      price,
+      category: 'equipment',
+      sellerId: 'seller-tax'
+    });
+
+    const buy = async (buyerId, price, extra = {}) => {
+      const listing = await createListing(price);
+      const card = await platform.giftCards.issueCard({ amount: 100 }, 'admin-1');
+      const response = await request(server.app)
+        .post(`/api/marketplace/purchase/${listing.id}`)
+        .set('Authorization', bearer(buyerId))
+        .send({ paymentMethod: 'gift_card', paymentData: { giftCardCode: card.code }, ...extra });
+      return { response, card };
+    };
+
+    it('charges sales tax on top and books the net amount as revenue', async () => {
+      const { response, card } = await buy('buyer-ca', 10, { billingAddress: { country: 'US', region: 'CA' } });
+
+      expect(response.status).toBe(200);
+      const { transaction, payment } = response.body.data;
+      expect(transaction).toMatchObject({ amount: 10, totalAmount: 10.73 });
+      expect(card.balance).toBe(89.27);
+      expect(platform.revenue.ledger.find(e => e.sourceTransactionId === payment.id).amount).toBe(10);
+
+      const invoice = platform.invoices.findBySource('marketplace_purchase', transaction.id);
+      expect(invoice).toMatchObject({
+        customerId: 'buyer-ca',
+        subtotal: 10,
+        total: 10.73,
+        tax: { amount: 0.73 },
+        billingAddress: { country: 'US', region: 'CA' }
+      });
+    });
+
+    it('treats a purchase without a billing address as untaxed', async () => {
+      const { response, card } = await buy('buyer-no-address', 10);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.transaction).toMatchObject({ amount: 10, totalAmount: 10 });
+      expect(card.balance).toBe(90);
+      const invoice = platform.invoices.findBySource('marketplace_purchase', response.body.data.transaction.id);
+      expect(invoice).toMatchObject({ subtotal: 10, total: 10, tax: { amount: 0 }, billingAddress: null });
+    });
+
+    it('prices subscriptions tax-inclusive under VAT and invoices the split', async () => {
+      const card = await platform.giftCards.issueCard({ amount: 10, currency: 'GBP' }, 'admin-1');
+      const response = await request(server.app)
+        .post('/api/subscriptions')
+        .set('Authorization', bearer('subscriber-gb'))
+        .send({
+          planId: 'basic',
+          currency: 'GBP',
+          paymentMethod: 'gift_card',
+          paymentData: { giftCardCode: card.code },
+          billingAddress: { country: 'GB' }
+        });
+
+      expect(response.status).toBe(200);
+      const { subscription, invoice } = response.body.data;
+      expect(invoice).toMatchObject({ subtotal: 3.74, amount: 4.49, tax: { amount: 0.75, inclusive: true } });
+      expect(subscription.revenue).toBe(3.74);
+      expect(card.balance).toBe(5.51);
+
+      const taxInvoice = platform.invoices.findBySource('subscription_invoice', invoice.id);
+      expect(taxInvoice).toMatchObject({ subtotal: 3.74, total: 4.49, currency: 'GBP' });
+      const pdf = platform.invoices.renderPdf(taxInvoice).toString();
+      expect(pdf).toContain('VAT 20% \\(GB\\): 0.75 GBP');
+      expect(pdf).toContain('Prices include tax.');
+    });
+  });
+});
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('acquisition tracking guard', () => {
+  const browser = 'Mozilla/5.0 (X11; Linux x86_64) Firefox/128.0';
+  let server;
+  let platform;
+  let campaign;
+  let token;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+  });
+
+  beforeEach(async () => {
+    await server.redis.flushall();
+    campaign = await platform.userAcquisition.createCampaign({ name: 'Launch', channel: 'google_ads', budget: 500 });
+    token = platform.trackingGuard.getToken(campaign.id);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  const track = (body, { ip = '203.0.113.10', userAgent = browser, trackingToken = token } = {}) => request(server.app)
+    .post(`/api/acquisition/track/${campaign.id}`)
+    .set('X-Forwarded-For', ip)
+    .set('User-Agent', userAgent)
+    .set('X-Tracking-Token', trackingToken)
+    .send(body);
+
+  const sendConversion = (body, { timestamp = Math.floor(Date.now() / 1000), secret } = {}) => {
+    const payload = JSON.stringify({ eventType: 'conversion', ...body });
+    const signature = crypto.createHmac('sha256', secret || process.env.TRACKING_SERVER_SECRET)
+      .update(`${timestamp}.${payload}`)
+      .digest('hex');
+    return request(server.app)
+      .post(`/api/acquisition/track/${campaign.id}`)
+      .set('Content-Type', 'application/json')
+      .set('X-Tracking-Timestamp', String(timestamp))
+      .set('X-Tracking-Signature', signature)
+      .send(payload);
+  };
+
+  it('hands campaign managers the token and pixel for a campaign', async () => {
+    const response = await request(server.app)
+      .get(`/api/acquisition/campaigns/${campaign.id}/tracking`)
+      .set('Authorization', bearer('admin-1', 'admin'));
+
+    expect(response.status).toBe(200);
+    expect(response.body.data).toMatchObject({
+      token,
+      endpoint: expect.stringContaining(`/api/acquisition/track/${campaign.id}`),
+      pixelUrl: expect.stringContaining(`t=${token}`)
+    });
+  });
+
+  describe('browser events', () => {
+    it('counts events carrying the campaign token', async () => {
+      const response = await track({ eventType: 'click', anonymousId: 'visitor-1' });
+
+      expect(response.status).toBe(200);
+      expect(campaign.metrics.clicks).toBe(1);
+      expect(platform.userAcquisition.touchpoints.at(-1))
+        .toMatchObject({ campaignId: campaign.id, anonymousId: 'visitor-1' });
+    });
+
+    it('refuses a missing or foreign token', async () => {
+      const other = await platform.userAcquisition.createCampaign({ name: 'Other', channel: 'influencers' });
+      const otherToken = platform.trackingGuard.getToken(other.id);
+
+      const missing = await track({ eventType: 'impression' }, { trackingToken: '' });
+      const foreign = await track({ eventType: 'impression' }, { trackingToken: otherToken });
+
+      expect(missing.status).toBe(401);
+      expect(foreign.status).toBe(401);
+      expect(campaign.metrics.impressions).toBe(0);
+    });
+
+    it('quietly drops bots', async () => {
+      const response = await track({ eventType: 'impression' }, { userAgent: 'Googlebot/2.1' });
+
+      expect(response.status).toBe(200);
+      expect(campaign.metrics.impressions).toBe(0);
+      expect(campaign.metrics.filtered).toEqual({ bot: 1 });
+    });
+
+    it('counts repeats from one visitor once, whatever visitor id they send', async () => {
+      await track({ eventType: 'click', anonymousId: 'visitor-1' });
+      await track({ eventType: 'click', anonymousId: 'visitor-2' });
+      await track({ eventType: 'click', anonymousId: 'visitor-3' }, { ip: '198.51.100.7' });
+
+      expect(campaign.metrics.clicks).toBe(2);
+      expect(campaign.metrics.filtered).toEqual({ duplicate: 1 });
+    });
+
+    it('rate limits an IP flooding one campaign', async () => {
+      const { events } = platform.trackingGuard.rateLimit;
+      for (let i = 0; i < events; i++) {
+        await track({ eventType: 'impression' }, { userAgent: `${browser} build/${i}` });
+      }
+
+      const response = await track({ eventType: 'impression' }, { userAgent: `${browser} build/${events}` });
+      const elsewhere = await track({ eventType: 'impression' }, { ip: '198.51.100.8' });
+
+      expect(response.status).toBe(429);
+      expect(elsewhere.status).toBe(200);
+      expect(campaign.metrics.impressions).toBe(events + 1);
+      expect(campaign.metrics.filtered).toEqual({ rate_limited: 1 });
+    });
+
+    it('keeps counting when Redis is unavailable', async () => {
+      jest.spyOn(server.redis, 'incr').mockRejectedValue(new Error('Connection is closed.'));
+
+      const response = await track({ eventType: 'impression' });
+
+      expect(response.status).toBe(200);
+      expect(campaign.metrics.impressions).toBe(1);
+    });
+
+    it('serves the pixel whatever the outcome', async () => {
+      const pixel = t => request(server.app)
+        .get(`/api/acquisition/pixel/${campaign.id}`)
+        .query({ t, e: 'impression' })
+        .set('User-Agent', browser);
+
+      const counted = await pixel(token);
+      const refused = await pixel('not-the-token');
+
+      expect(counted.status).toBe(200);
+      expect(counted.headers['content-type']).toBe('image/gif');
+      expect(refused.status).toBe(401);
+      expect(refused.headers['content-type']).toBe('image/gif');
+      expect(campaign.metrics.impressions).toBe(1);
+    });
+  });
+
+  describe('conversions', () => {
+    it('are refused from the browser even with the campaign token', async () => {
+      const response = await track({ eventType: 'conversion', eventId: 'order-1', data: { cost: 100 } });
+
+      expect(response.status).toBe(401);
+      expect(campaign.metrics).toMatchObject({ conversions: 0, cost: 0 });
+    });
+
+    it('are counted once per eventId when signed by the server', async () => {
+      const body = { eventId: 'order-1', userId: 'buyer-1', data: { cost: 12.5 } };
+
+      expect((await sendConversion(body)).status).toBe(200);
+      expect((await sendConversion(body)).status).toBe(200);
+
+      expect(campaign.metrics).toMatchObject({ conversions: 1, cost: 12.5, filtered: { duplicate: 1 } });
+    });
+
+    it('need an eventId to dedupe on', async () => {
+      const response = await sendConversion({ userId: 'buyer-1', data: { cost: 5 } });
+
+      expect(response.status).toBe(400);
+    });
+
+    it('reject stale or wrongly signed requests', async () => {
+      const stale = await sendConversion({ eventId: 'order-2', userId: 'buyer-1' },
+        { timestamp: Math.floor(Date.now() / 1000) - 600 });
+      const forged = await sendConversion({ eventId: 'order-3', userId: 'buyer-1' }, { secret: 'guessed' });
+
+      expect(stale.status).toBe(401);
+      expect(forged.status).toBe(401);
+      expect(campaign.metrics.conversions).toBe(0);
+    });
+  });
+
+  describe('without secrets', () => {
+    let configured;
+
+    beforeEach(() => {
+      configured = platform.trackingGuard;
+      const { TRACKING_TOKEN_SECRET, TRACKING_SERVER_SECRET } = process.env;
+      delete process.env.TRACKING_TOKEN_SECRET;
+      delete process.env.TRACKING_SERVER_SECRET;
+      platform.trackingGuard = new server.TrackingGuard(server.redis, 'http://localhost');
+      Object.assign(process.env, { TRACKING_TOKEN_SECRET, TRACKING_SERVER_SECRET });
+    });
+
+    afterEach(() => {
+      platform.trackingGuard = configured;
+    });
+
+    it('refuses every event', async () => {
+      const click = await track({ eventType: 'click', anonymousId: 'visitor-1' });
+      const conversion = await sendConversion({ eventId: 'order-4', userId: 'buyer-1' });
+
+      expect(click.status).toBe(401);
+      expect(conversion.status).toBe(401);
+      expect(campaign.metrics).toMatchObject({ clicks: 0, conversions: 0 });
+    });
+
+    it('has no tracking details to hand out', async () => {
+      const response = await request(server.app)
+        .get(`/api/acquisition/campaigns/${campaign.id}/tracking`)
+        .set('Authorization', bearer('admin-1', 'admin'));
+
+      expect(response.status).toBe(503);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { loadServer, bearer } = require('./helpers/server');
+
+describe('request validation', () => {
+  let server;
+  let platform;
+
+  beforeAll(async () => {
+    server = await loadServer();
+    platform = server.commercialPlatform;
+  });
+
+  const createListing = body => request(server.app)
+    .post('/api/marketplace/listings')
+    .set('Authorization', bearer('seller-1', 'seller'))
+    .send(body);
+
+  it('reports every failing field at once', async () => {
+    const response = await createListing({ price: -1, category: 'weapons', stock: 1.5 });
+
+    expect(response.status).toBe(400);
+    expect(response.body).toEqual({
+      success: false,
+      error: 'Validation failed',
+      fields: [
+        { field: 'body.name', message: 'is required' },
+        { field: 'body.price', message: 'must be at least 0.01' },
+        { field: 'body.category', message: expect.stringMatching(/^must be one of: .*cosmetics/) },
+        { field: 'body.stock', message: 'must be an integer' }
+      ]
+    });
+    expect(platform.marketplace.listings.size).toBe(0);
+  });
+
+  it('drops fields the server owns, including nested ones', async () => {
+    const response = await createListing({
+      id: 'chosen-id',
+      name: 'Solar Sail',
+      price: 10,
+      category: 'cosmetics',
+      sellerId: 'seller-2',
+      revenue: 1000,
+      purchases: 50,
+      prices: { GBP: 8, DOGE: 1 }
+    });
+    const listing = response.body.data;
+
+    expect(response.status).toBe(200);
+    expect(listing.id).not.toBe('chosen-id');
+    expect(listing).toMatchObject({ sellerId: 'seller-1', revenue: 0, purchases: 0, prices: { GBP: 8 } });
+    expect(listing.prices).not.toHaveProperty('DOGE');
+  });
+
+  it('coerces path and query strings but not body values', async () => {
+    const search = await request(server.app).get('/api/marketplace/listings').query({ limit: '1' });
+    const badLimit = await request(server.app).get('/api/marketplace/listings').query({ limit: 'ten' });
+    const stringPrice = await createListing({ name: 'Ion Wake', price: '10', category: 'cosmetics' });
+
+    expect(search.status).toBe(200);
+    expect(search.body.pagination).toMatchObject({ limit: 1 });
+    expect(badLimit.body.fields).toEqual([{ field: 'query.limit', message: 'must be a number' }]);
+    expect(stringPrice.body.fields).toEqual([{ field: 'body.price', message: 'must be a number' }]);
+  });
+
+  describe('cargo manifests', () => {
+    const manifest = body => request(server.app)
+      .post('/api/cargo/manifest')
+      .set('Authorization', bearer('pilot-1'))
+      .send(body);
+
+    it('reject a ship capacity that is missing, non-numeric or fractional', async () => {
+      const generate = jest.spyOn(platform.cargoSystem, 'generateCargoManifest');
+
+      expect((await manifest({})).body.fields).toEqual([{ field: 'body.shipCapacity', message: 'is required' }]);
+      expect((await manifest({ shipCapacity: 'lots' })).body.fields)
+        .toEqual([{ field: 'body.shipCapacity', message: 'must be a number' }]);
+      expect((await manifest({ shipCapacity: 2.5 })).body.fields)
+        .toEqual([{ field: 'body.shipCapacity', message: 'must be an integer' }]);
+      expect((await manifest({ shipCapacity: 50, riskTolerance: 'reckless' })).status).toBe(400);
+      expect(generate).not.toHaveBeenCalled();
+      generate.mockRestore();
+    });
+
+    it('default the risk tolerance', async () => {
+      const generate = jest.spyOn(platform.cargoSystem, 'generateCargoManifest');
+
+      const response = await manifest({ shipCapacity: 50 });
+
+      expect(response.status).toBe(200);
+      expect(generate).toHaveBeenCalledWith(50, 'medium');
+      generate.mockRestore();
+    });
+
+    it('are refused a non-positive capacity by the cargo system itself', () => {
+      expect(() => platform.cargoSystem.generateCargoManifest(NaN))
+        .toThrow('Ship capacity must be a positive number');
+      expect(() => platform.cargoSystem.generateCargoManifest(0)).toThrow('Ship capacity must be a positive number');
+    });
+  });
+});